@@ -108,7 +108,7 @@ class TorrentStreamClient {
       }
 
       if (status.error) {
-        throw new Error(`Stream error: ${status.error}`);
+        throw new Error(`Stream error: ${status.error.code} - ${status.error.message}`);
       }
 
       console.log(`   Progress: ${status.progress?.toFixed(1) || 0}% | Peers: ${status.numPeers || 0} | Speed: ${(status.downloadSpeed / 1024 / 1024).toFixed(1)}MB/s`);
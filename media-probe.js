@@ -0,0 +1,202 @@
+// Media probe: ffprobe JSON parsed into the streams, chapters and container the server works with,
+// and the decisions that follow from it (which streams can be copied rather than re-encoded, and
+// how a file is delivered).
+
+// Video codecs each segment format can carry without re-encoding ('ts' also stands for direct MP4
+// playback); HEVC only plays from fMP4
+const COPYABLE_VIDEO_CODECS = { ts: ['h264'], cmaf: ['h264', 'hevc'] };
+// Audio codecs HLS players accept as-is in MPEG-TS segments
+const COPYABLE_AUDIO_CODECS = ['aac', 'mp3', 'ac3', 'eac3'];
+const HDR_TRANSFERS = { smpte2084: 'hdr10', 'arib-std-b67': 'hlg' };
+// Subtitle codecs that can be converted to WebVTT (bitmap ones can't)
+const TEXT_SUBTITLE_CODECS = ['subrip', 'srt', 'ass', 'ssa', 'mov_text', 'webvtt', 'text'];
+
+// ffprobe JSON -> every video/audio/subtitle stream, the chapters and the container. The main video
+// stream's size/codec and the audio presence are also flattened onto the result for the pipeline code.
+// Stream language tags are passed through `normalizeLanguage` (the server maps them to ISO 639-2).
+export function parseProbeOutput(info, { normalizeLanguage = (value) => value || null } = {}) {
+    const all = info.streams || [];
+    const format = info.format || {};
+    const tag = (st, name) => (st.tags && (st.tags[name] || st.tags[name.toUpperCase()])) || null;
+    const flag = (st, name) => !!(st.disposition && st.disposition[name]);
+    // Matroska keeps per-track bitrates in a BPS tag rather than the stream header
+    const bitRate = (st) => parseInt(st.bit_rate || tag(st, 'BPS'), 10) || null;
+    const ofType = (type) => all.filter(st => st.codec_type === type);
+
+    // index is the position among the streams of that type (ffmpeg's 0:v:<index>, 0:a:<index>, 0:s:<index>)
+    const videoStreams = ofType('video').map((st, index) => ({
+        index,
+        codec: st.codec_name || null,
+        profile: st.profile || null,
+        level: Number(st.level) > 0 ? Number(st.level) : null,
+        codecString: rfc6381Codec(st),
+        pixelFormat: st.pix_fmt || null,
+        bitDepth: videoBitDepth(st),
+        width: st.width || null,
+        height: st.height || null,
+        frameRate: parseFrameRate(st.avg_frame_rate) || parseFrameRate(st.r_frame_rate),
+        bitRate: bitRate(st),
+        hdr: hdrFormat(st),
+        colorPrimaries: st.color_primaries || null,
+        colorTransfer: st.color_transfer || null,
+        language: normalizeLanguage(tag(st, 'language')),
+        default: flag(st, 'default'),
+        // cover art is muxed as a one-frame video stream
+        attachedPicture: flag(st, 'attached_pic')
+    }));
+    const audioStreams = ofType('audio').map((st, index) => ({
+        index,
+        codec: st.codec_name || null,
+        profile: st.profile || null,
+        channels: st.channels || null,
+        channelLayout: st.channel_layout || null,
+        sampleRate: parseInt(st.sample_rate, 10) || null,
+        bitRate: bitRate(st),
+        language: normalizeLanguage(tag(st, 'language')),
+        title: tag(st, 'title'),
+        default: flag(st, 'default')
+    }));
+    // only text subtitle streams can become WebVTT
+    const subtitleStreams = ofType('subtitle').map((st, index) => ({
+        index,
+        codec: st.codec_name || null,
+        text: TEXT_SUBTITLE_CODECS.includes(st.codec_name),
+        language: normalizeLanguage(tag(st, 'language')),
+        title: tag(st, 'title'),
+        default: flag(st, 'default'),
+        forced: flag(st, 'forced')
+    }));
+    const chapters = (info.chapters || []).map((ch, index) => ({
+        index,
+        start: parseFloat(ch.start_time) || 0,
+        end: parseFloat(ch.end_time) || null,
+        title: tag(ch, 'title')
+    }));
+
+    const video = videoStreams.find(st => !st.attachedPicture && st.width > 0) || null;
+    const duration = parseFloat(format.duration);
+    return {
+        container: format.format_name || null,
+        duration: duration > 0 ? duration : null,
+        // ffmpeg output timestamps count from here (MPEG-TS sources rarely start at 0)
+        startTime: parseFloat(format.start_time) || 0,
+        bitRate: parseInt(format.bit_rate, 10) || null,
+        size: parseInt(format.size, 10) || null,
+        video,
+        videoStreams,
+        audioStreams,
+        subtitleStreams,
+        chapters,
+        tags: musicTags(info),
+        width: video ? video.width : null,
+        height: video ? video.height : null,
+        videoCodec: video ? video.codec : null,
+        videoCodecString: video ? video.codecString : null,
+        frameRate: video ? video.frameRate : null,
+        hasAudio: audioStreams.length > 0
+    };
+}
+
+// Music tags (ID3, Vorbis comments, MP4 atoms), or null when there are none. They sit on the
+// container, except in Ogg where they belong to the audio stream.
+function musicTags(info) {
+    const format = info.format || {};
+    const sources = [format.tags];
+    if (/^ogg/.test(format.format_name || '')) sources.push(...(info.streams || []).filter(st => st.codec_type === 'audio').map(st => st.tags));
+    const get = (...names) => {
+        for (const tags of sources.filter(Boolean)) {
+            for (const [key, value] of Object.entries(tags)) {
+                if (names.includes(key.toLowerCase()) && String(value).trim()) return String(value).trim();
+            }
+        }
+        return null;
+    };
+    // "3/12" style numbering, or the total in a tag of its own
+    const [track, trackTotal] = (get('track', 'tracknumber') || '').split('/');
+    const [disc] = (get('disc', 'discnumber') || '').split('/');
+    const tags = {
+        title: get('title'),
+        artist: get('artist'),
+        album: get('album'),
+        albumArtist: get('album_artist', 'albumartist'),
+        track: parseInt(track, 10) || null,
+        trackTotal: parseInt(trackTotal || get('tracktotal', 'totaltracks'), 10) || null,
+        disc: parseInt(disc, 10) || null,
+        date: get('date', 'year'),
+        genre: get('genre')
+    };
+    return Object.values(tags).some(v => v !== null) ? tags : null;
+}
+
+// Bits per sample of a video stream: the raw sample size when reported, else read off the pixel format
+function videoBitDepth(stream) {
+    const raw = parseInt(stream.bits_per_raw_sample, 10);
+    if (raw > 0) return raw;
+    if (!stream.pix_fmt) return null;
+    const match = stream.pix_fmt.match(/(\d+)(le|be)$/);
+    return match ? parseInt(match[1], 10) : 8;
+}
+
+// 'dolby-vision', 'hdr10', 'hlg' or null (SDR) from the stream's transfer function and side data
+function hdrFormat(stream) {
+    if ((stream.side_data_list || []).some(d => d.side_data_type === 'DOVI configuration record')) return 'dolby-vision';
+    return HDR_TRANSFERS[stream.color_transfer] || null;
+}
+
+// ffprobe rational ("24000/1001") -> frames per second, or null
+export function parseFrameRate(value) {
+    const [num, den] = String(value || '').split('/').map(Number);
+    const rate = den ? num / den : num;
+    return rate > 0 && Number.isFinite(rate) ? Math.round(rate * 1000) / 1000 : null;
+}
+
+// RFC 6381 codec string (as used in HLS CODECS / DASH @codecs) for an ffprobe H.264/HEVC stream
+function rfc6381Codec(stream) {
+    const level = Number(stream.level) > 0 ? Number(stream.level) : null;
+    if (stream.codec_name === 'h264') {
+        const profiles = { 'Constrained Baseline': [0x42, 0x40], Baseline: [0x42, 0x00], Main: [0x4d, 0x00], High: [0x64, 0x00], 'High 10': [0x6e, 0x00], 'High 4:2:2': [0x7a, 0x00] };
+        const [idc, constraints] = profiles[stream.profile] || [0x64, 0x00];
+        const hex = (n) => n.toString(16).padStart(2, '0');
+        return `avc1.${hex(idc)}${hex(constraints)}${hex(level || 40)}`;
+    }
+    if (stream.codec_name === 'hevc') {
+        return stream.profile === 'Main 10' ? `hvc1.2.4.L${level || 120}.B0` : `hvc1.1.6.L${level || 120}.B0`;
+    }
+    return null;
+}
+
+// Why the main video can't be stream-copied into `format` segments, or null when it can
+export function videoCopyBlocker(media, format) {
+    const video = media && media.video;
+    if (!video) return 'no video stream';
+    if (!COPYABLE_VIDEO_CODECS[format].includes(video.codec)) return `${video.codec} video`;
+    // browsers decode 4:2:0 only, and H.264 at 8 bits only
+    const maxDepth = video.codec === 'hevc' ? 10 : 8;
+    if (video.pixelFormat && (!/^yuvj?420p/.test(video.pixelFormat) || video.bitDepth > maxDepth)) return `${video.pixelFormat} pixels`;
+    if (video.codec === 'h264' && video.hdr) return `${video.hdr} H.264`;
+    return null;
+}
+
+// Can every audio track be copied into MPEG-TS segments as it is?
+export function audioCopyable(media) {
+    return !media || media.audioStreams.every(st => COPYABLE_AUDIO_CODECS.includes(st.codec));
+}
+
+// How a probed torrent file is delivered: { mode: 'direct' } (the MP4 served by range requests) or
+// { mode: 'pipeline', profile }, with `copyBlocker`, why its video can't be copied (null when it
+// can or the file wasn't probed). Without a probe the extension decides: MP4 is copied, anything
+// else transcoded. A requested encode preset always gets its own pipeline, "copy" only where
+// copying works; `lowMemory` skips ffmpeg for MP4s browsers play as they are, except for CMAF,
+// which was asked for explicitly (DASH players can't use the direct MP4).
+export function fileOutputPlan(source, { isMp4, format, profile, abr, lowMemory, defaultPreset }) {
+    const copyBlocker = source ? videoCopyBlocker(source, format) : null;
+    // fMP4 can carry H.264/HEVC from any container, so CMAF copies the video whenever it can;
+    // plain HLS only copies MP4 sources, the rest is re-encoded so VOD can cut exact segments
+    const copy = (isMp4 || format === 'cmaf') && !copyBlocker;
+    if (profile && profile !== 'copy') return { mode: 'pipeline', profile, copyBlocker };
+    if (profile === 'copy' && !copy) return { mode: 'pipeline', profile: defaultPreset, copyBlocker };
+    if (isMp4 && !copyBlocker && audioCopyable(source) && format !== 'cmaf' && lowMemory) {
+        return { mode: 'direct', profile: null, copyBlocker };
+    }
+    return { mode: 'pipeline', profile: abr && !profile ? 'abr' : (copy ? 'copy' : defaultPreset), copyBlocker };
+}
@@ -2,20 +2,28 @@ import express from "express";
 import WebTorrent from "webtorrent";
 import cors from "cors";
 import ffmpeg from "fluent-ffmpeg";
+import multer from "multer";
+import parseTorrent from "parse-torrent";
 import fs from "fs";
 import path from "path";
 import { randomBytes } from "crypto";
-import { spawn, spawnSync, exec } from "child_process";
+import { spawn, spawnSync, execFile } from "child_process";
 import { promisify } from "util";
 import os from 'os';
-
-const execAsync = promisify(exec);
+import http from 'http';
+import https from 'https';
+import dns from 'dns';
+import net from 'net';
+import { audioCopyable, fileOutputPlan, parseProbeOutput, videoCopyBlocker } from './media-probe.js';
+import { DEFAULT_SUBTITLE_FPS, SUBTITLE_CONVERT_TARGETS, formatVttTimestamp, parseSubtitles, parseTimestamp, parseVttCues, serializeSubtitles, subtitleFormatOf } from './subtitles.js';
+
+const execFileAsync = promisify(execFile);
 const app = express();
 app.use(cors());
-app.use(express.json());
+app.use(express.json({ limit: process.env.JSON_BODY_LIMIT || '10mb' })); // base64 .torrent bodies can be large
 
 const client = new WebTorrent();
-const streams = {}; // store active sessions: { [id]: { folder, torrent, file, ready, error, metadata, subtitles, duration, currentTime } }
+const streams = {}; // store active sessions: { [id]: { folder, torrent, file, ready, error, metadata, subtitles, duration, currentTime, lastActivity } }
 
 // Global error handlers
 process.on('uncaughtException', (err) => console.error('Uncaught exception:', err));
@@ -138,7 +146,11 @@ function computeRuntimeDefaults() {
     // Threads per ffmpeg: 1 on low memory, otherwise cpus/2
     const threads = mem < 1024 ? 1 : Math.max(1, Math.floor(cpus / 2));
 
-    return { mem, cpus, perFfmpegMB, maxConcurrent, threads };
+    // Adaptive bitrate ladder: every rendition is another encode in the same ffmpeg process
+    const maxRenditions = (cpus < 2 || mem < 1500) ? 1 : (cpus < 4 ? 2 : (cpus < 8 ? 3 : 4));
+    const maxRenditionHeight = mem < 2048 ? 480 : (cpus < 4 ? 720 : 1080);
+
+    return { mem, cpus, perFfmpegMB, maxConcurrent, threads, maxRenditions, maxRenditionHeight };
 }
 
 // Allow env overrides but default to computed ones
@@ -148,6 +160,439 @@ const DEFAULT_FFMPEG_THREADS = parseInt(process.env.FFMPEG_THREADS || String(run
 // If the instance has very low memory, prefer serving MP4 directly instead of running ffmpeg
 const DEFAULT_DIRECT_FALLBACK_MB = parseInt(process.env.DIRECT_MP4_FALLBACK_MEMORY_MB || '1024', 10);
 
+// ---------------------------
+// Torrent file classification and selection
+// ---------------------------
+const VIDEO_FILE_PATTERN = /\.(mp4|mkv|webm|mov|avi|flv)$/i;
+const FILE_TYPE_PATTERNS = {
+    video: VIDEO_FILE_PATTERN,
+    audio: /\.(mp3|flac|m4a|aac|opus|ogg|wav|wma)$/i,
+    subtitle: /\.(srt|vtt|ass|ssa|sub|sbv)$/i,
+    image: /\.(jpe?g|png|gif|webp|bmp)$/i,
+    archive: /\.(zip|rar|7z|tar|gz|r\d\d)$/i,
+    text: /\.(nfo|txt|md)$/i
+};
+// Extras that should never be picked automatically when a main feature exists
+const EXTRA_FILE_PATTERN = /(^|[^a-z])(sample|trailer)([^a-z]|$)/i;
+
+function classifyFile(name) {
+    for (const [type, pattern] of Object.entries(FILE_TYPE_PATTERNS)) {
+        if (pattern.test(name)) return type;
+    }
+    return 'other';
+}
+
+function isExtraFile(file) {
+    return EXTRA_FILE_PATTERN.test(file.path || file.name);
+}
+
+// The torrent file a request names by fileIndex or filePath: { file }, { error }, or {} when it names none
+function findRequestedFile(torrent, selection) {
+    const files = torrent.files;
+
+    if (selection.fileIndex !== undefined && selection.fileIndex !== null) {
+        const file = files[selection.fileIndex];
+        if (!file) return { error: `file_not_found: fileIndex ${selection.fileIndex} out of range (0-${files.length - 1})` };
+        return { file };
+    }
+
+    if (selection.filePath) {
+        const wanted = selection.filePath.replace(/^\/+/, '');
+        const file = files.find(f => f.path === wanted)
+            || files.find(f => f.path === `${torrent.name}/${wanted}`)
+            || files.find(f => f.name === wanted);
+        if (!file) return { error: `file_not_found: ${selection.filePath}` };
+        return { file };
+    }
+    return {};
+}
+
+// Resolve which torrent file to stream. `selection` may carry fileIndex or filePath
+// from the request; otherwise pick the largest video that is not a sample/trailer.
+// Returns { file } or { error }.
+function selectVideoFile(torrent, selection = {}) {
+    const requested = findRequestedFile(torrent, selection);
+    if (requested.error) return requested;
+    if (requested.file) {
+        if (classifyFile(requested.file.name) !== 'video') return { error: `unsupported_file: ${requested.file.path} is not a video file` };
+        return requested;
+    }
+
+    const files = torrent.files;
+    const videos = files.filter(f => classifyFile(f.name) === 'video');
+    if (videos.length === 0) return { error: 'no_playable_file' };
+    const mainFeatures = videos.filter(f => !isExtraFile(f));
+    const candidates = mainFeatures.length > 0 ? mainFeatures : videos;
+    return { file: candidates.reduce((best, f) => (f.length > best.length ? f : best)) };
+}
+
+// Files each torrent currently has selected on behalf of our sessions
+const torrentFileSelections = new WeakMap(); // torrent -> Set<fileIndex>
+
+// Only download files some session is using: deselect everything else in WebTorrent
+function applyFileSelection(torrent) {
+    if (!torrent || torrent.destroyed || !torrent.files || torrent.files.length === 0) return;
+
+    const wanted = new Set();
+    for (const entry of Object.values(streams)) {
+        if (entry.torrent !== torrent || !entry.file) continue;
+        wanted.add(torrent.files.indexOf(entry.file));
+    }
+
+    let current = torrentFileSelections.get(torrent);
+    try {
+        if (!current) {
+            // Drop WebTorrent's default whole-torrent selection the first time round
+            current = new Set();
+            torrent.deselect(0, torrent.pieces.length - 1, false);
+        }
+        for (const idx of current) {
+            if (!wanted.has(idx)) torrent.files[idx].deselect();
+        }
+        for (const idx of wanted) {
+            if (!current.has(idx)) torrent.files[idx].select();
+        }
+        torrentFileSelections.set(torrent, wanted);
+    } catch (e) {
+        console.warn(`[torrent ${torrent.infoHash}] file selection error:`, e.message);
+    }
+}
+
+// ---------------------------
+// Season packs: episode ordering, switching and prefetch
+// ---------------------------
+const EPISODE_PREFETCH_BYTES = parseInt(process.env.EPISODE_PREFETCH_BYTES || String(16 * 1024 * 1024), 10);
+const EPISODE_PREFETCH_SECONDS = parseInt(process.env.EPISODE_PREFETCH_SECONDS || '120', 10);
+
+// Parse season/episode numbering (S01E02, 1x02, "Episode 2", E02) from a torrent file path
+function parseEpisodeInfo(filePath) {
+    const name = path.basename(filePath);
+    let m = name.match(/S(\d{1,2})[ ._-]?E(\d{1,3})/i);
+    if (m) return { season: parseInt(m[1], 10), episode: parseInt(m[2], 10) };
+
+    m = name.match(/(?<!\d)(\d{1,2})x(\d{2,3})(?!\d)/i);
+    if (m) return { season: parseInt(m[1], 10), episode: parseInt(m[2], 10) };
+
+    m = name.match(/(?:^|[^a-z])(?:episode|ep|e)[ ._-]?(\d{1,3})(?!\d)/i);
+    if (m) {
+        // Season usually lives in a folder name ("Season 2", "S02") in this layout
+        const seasonMatch = filePath.match(/(?:season[ ._-]?|(?:^|[^a-z])s)(\d{1,2})(?!\d)/i);
+        return { season: seasonMatch ? parseInt(seasonMatch[1], 10) : 1, episode: parseInt(m[1], 10) };
+    }
+    return null;
+}
+
+function episodeCode(season, episode) {
+    return `S${String(season).padStart(2, '0')}E${String(episode).padStart(2, '0')}`;
+}
+
+// Ordered episode list for a multi-episode torrent, or null if it is not a season pack
+function buildEpisodeList(torrent) {
+    const episodes = [];
+    torrent.files.forEach((file) => {
+        if (classifyFile(file.name) !== 'video' || isExtraFile(file)) return;
+        const info = parseEpisodeInfo(file.path || file.name);
+        if (info) episodes.push({ ...info, code: episodeCode(info.season, info.episode), file });
+    });
+    if (episodes.length < 2) return null;
+
+    episodes.sort((a, b) => a.season - b.season || a.episode - b.episode || a.file.path.localeCompare(b.file.path));
+    return episodes;
+}
+
+// Resolve an episode reference (list index, "S01E02" code, "next"/"previous") to a list index.
+// Returns -1 if it does not match.
+function resolveEpisodeIndex(episodes, ref, currentIndex) {
+    if (!episodes) return -1;
+    if (ref === 'next') return currentIndex + 1 < episodes.length ? currentIndex + 1 : -1;
+    if (ref === 'previous') return currentIndex > 0 ? currentIndex - 1 : -1;
+    if (Number.isInteger(ref)) return ref >= 0 && ref < episodes.length ? ref : -1;
+    if (typeof ref === 'string') {
+        const info = parseEpisodeInfo(ref);
+        if (!info) return -1;
+        return episodes.findIndex(e => e.season === info.season && e.episode === info.episode);
+    }
+    return -1;
+}
+
+function currentEpisodeIndex(entry) {
+    if (!entry.episodes || !entry.file) return -1;
+    return entry.episodes.findIndex(e => e.file === entry.file);
+}
+
+function describeEpisode(entry, ep, index) {
+    return {
+        index,
+        code: ep.code,
+        season: ep.season,
+        episode: ep.episode,
+        name: ep.file.name,
+        path: ep.file.path,
+        fileIndex: entry.torrent ? entry.torrent.files.indexOf(ep.file) : null,
+        size: ep.file.length,
+        progress: Math.round((ep.file.progress || 0) * 10000) / 100, // percent
+        current: ep.file === entry.file
+    };
+}
+
+// Drop the prefetch selection made for the upcoming episode
+function clearEpisodePrefetch(entry) {
+    const prefetch = entry.episodePrefetch;
+    entry.episodePrefetch = null;
+    if (!prefetch || !entry.torrent || entry.torrent.destroyed) return;
+    try {
+        entry.torrent.deselect(prefetch.start, prefetch.end, 1);
+    } catch (e) {
+        // ignore
+    }
+}
+
+// Near the end of the current episode (or album track), raise priority on the first pieces of the
+// next one. `position` is either { seconds } (HLS) or { byteOffset } (Range requests).
+function maybePrefetchNextFile(id, position) {
+    const entry = streams[id];
+    const list = entry && (entry.episodes || entry.tracks);
+    if (!list || !entry.torrent || entry.episodePrefetch) return;
+
+    const idx = list.findIndex(item => item.file === entry.file);
+    const next = idx === -1 ? null : list[idx + 1];
+    if (!next) return;
+
+    let nearEnd = false;
+    if (position.byteOffset !== undefined && entry.file) {
+        nearEnd = position.byteOffset >= entry.file.length * 0.9;
+    } else if (position.seconds !== undefined) {
+        const total = entry.duration
+            || (transcodeFinished(entry) && entry.ffmpegJob ? (entry.totalSegments || 0) * (entry.segmentDuration || 4) : 0);
+        nearEnd = total > 0 && position.seconds >= total - EPISODE_PREFETCH_SECONDS;
+    }
+    if (!nearEnd) return;
+
+    const torrent = entry.torrent;
+    const start = Math.floor(next.file.offset / torrent.pieceLength);
+    const end = Math.floor((next.file.offset + Math.min(next.file.length, EPISODE_PREFETCH_BYTES) - 1) / torrent.pieceLength);
+    try {
+        torrent.select(start, end, 1);
+        entry.episodePrefetch = { start, end, index: idx + 1, code: next.code || null };
+        console.log(`[${id}] prefetching first pieces of ${next.code || next.file.name} (${start}-${end})`);
+    } catch (e) {
+        console.warn(`[${id}] prefetch error:`, e.message);
+    }
+    // the next track's tags show in the track list before it plays
+    if (entry.tracks) probeTrack(torrent, next);
+}
+
+// Switch a session to another episode of the same torrent. The session keeps its id and URLs;
+// its HLS output now points at the new episode's pipeline.
+function switchEpisode(id, index) {
+    const ep = streams[id].episodes[index];
+    console.log(`[${id}] switching to episode ${ep.code}`);
+    switchSessionFile(id, ep.file);
+    return ep;
+}
+
+// Move a session on to another file of its torrent (episode or album track)
+function switchSessionFile(id, file) {
+    const entry = streams[id];
+    clearEpisodePrefetch(entry);
+    clearSeekPriority(entry);
+    if (entry.pipeline) releasePipeline(id, entry.pipeline);
+    releaseTrickplay(id, entry.trickplay);
+
+    // Reset per-file playback state
+    for (const key of ['pipeline', 'hlsFolder', 'ffmpegJob', 'evictedSegments', 'playlistReady', 'totalSegments', 'mediaInfo', 'duration', 'mode', 'trickplay']) {
+        delete entry[key];
+    }
+    entry.ready = false;
+    entry.error = null;
+
+    startFilePlayback(id, entry.torrent, file);
+}
+
+// ---------------------------
+// Audio albums: music, podcast and audiobook torrents played track by track
+// ---------------------------
+// AAC bitrate (kbit/s) lossless tracks are transcoded to; lossy ones keep their own, capped here
+const AUDIO_LOSSLESS_BITRATE = parseInt(process.env.AUDIO_LOSSLESS_BITRATE || '256', 10);
+const LOSSLESS_AUDIO_CODECS = ['flac', 'alac', 'wavpack', 'ape', 'tta', 'truehd', 'mlp'];
+// Audio files browsers play natively from a range-served URL
+const AUDIO_CONTENT_TYPES = { '.mp3': 'audio/mpeg', '.m4a': 'audio/mp4', '.aac': 'audio/aac', '.opus': 'audio/ogg', '.ogg': 'audio/ogg', '.flac': 'audio/flac', '.wav': 'audio/wav' };
+const IMAGE_CONTENT_TYPES = { '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg', '.png': 'image/png', '.gif': 'image/gif', '.webp': 'image/webp', '.bmp': 'image/bmp' };
+// "CD1", "Disc 2": a disc folder inside the album folder
+const DISC_FOLDER_PATTERN = /^(?:cd|dis[ck])[ ._-]?(\d{1,2})(?!\d)/i;
+// Preferred names for album art shipped as a file next to the tracks
+const COVER_FILE_PATTERN = /(^|[^a-z])(cover|folder|front|album)([^a-z]|$)/i;
+
+function isLosslessAudio(codec) {
+    return !!codec && (LOSSLESS_AUDIO_CODECS.includes(codec) || codec.startsWith('pcm_'));
+}
+
+// Content-Type for serving a torrent file as it is
+function mediaContentType(name) {
+    const ext = path.extname(name || '').toLowerCase();
+    if (AUDIO_CONTENT_TYPES[ext]) return AUDIO_CONTENT_TYPES[ext];
+    return classifyFile(name || '') === 'audio' ? 'application/octet-stream' : 'video/mp4';
+}
+
+// Disc/track number and title from an audio file name: "1-03 Title", "03 - Title", "03. Title",
+// "Track 03", "Artist - 03 - Title". Numbers are null when the name has none.
+function parseTrackName(fileName) {
+    const name = path.basename(fileName, path.extname(fileName)).replace(/_/g, ' ').trim();
+    const clean = (title) => title.replace(/^[\s.)_-]+|[\s._-]+$/g, '') || name;
+
+    let m = name.match(/^(\d{1,2})-(\d{2,3})(?!\d)(.*)$/);
+    if (m) return { disc: parseInt(m[1], 10), number: parseInt(m[2], 10), title: clean(m[3]) };
+    m = name.match(/^(\d{1,3})(?!\d)(.*)$/);
+    if (m) return { disc: null, number: parseInt(m[1], 10), title: clean(m[2]) };
+    m = name.match(/(?:^|[^a-z])track[ ._-]?(\d{1,3})(?!\d)/i);
+    if (m) return { disc: null, number: parseInt(m[1], 10), title: name };
+    m = name.match(/ - (\d{1,3}) - (.+)$/);
+    if (m) return { disc: null, number: parseInt(m[1], 10), title: clean(m[2]) };
+    return { disc: null, number: null, title: name };
+}
+
+// Ordered track list for a torrent without any video (albums in folder order, then disc and track
+// number, then name), or null. Tags are filled in as each track is probed.
+function buildTrackList(torrent) {
+    if (torrent.files.some(f => classifyFile(f.name) === 'video')) return null;
+    const tracks = torrent.files.filter(f => classifyFile(f.name) === 'audio').map((file) => {
+        const dir = path.dirname(file.path || file.name);
+        const discFolder = path.basename(dir).match(DISC_FOLDER_PATTERN);
+        const parsed = parseTrackName(file.name);
+        return {
+            file,
+            folder: discFolder ? path.dirname(dir) : dir,
+            disc: parsed.disc || (discFolder ? parseInt(discFolder[1], 10) : 1),
+            number: parsed.number,
+            title: parsed.title,
+            media: null
+        };
+    });
+    if (tracks.length === 0) return null;
+
+    const natural = (a, b) => a.localeCompare(b, undefined, { numeric: true, sensitivity: 'base' });
+    tracks.sort((a, b) => natural(a.folder, b.folder)
+        || a.disc - b.disc
+        || (a.number ?? Infinity) - (b.number ?? Infinity)
+        || natural(a.file.path, b.file.path));
+    return tracks;
+}
+
+// Resolve a track reference (list index, "next"/"previous") to a list index, or -1
+function resolveTrackIndex(tracks, ref, currentIndex) {
+    if (!tracks) return -1;
+    if (ref === 'next') return currentIndex + 1 < tracks.length ? currentIndex + 1 : -1;
+    if (ref === 'previous') return currentIndex > 0 ? currentIndex - 1 : -1;
+    if (Number.isInteger(ref)) return ref >= 0 && ref < tracks.length ? ref : -1;
+    return -1;
+}
+
+function currentTrackIndex(entry) {
+    if (!entry.tracks || !entry.file) return -1;
+    return entry.tracks.findIndex(t => t.file === entry.file);
+}
+
+// Track to start an album session on: a fileIndex/filePath naming one of the tracks, else `track`
+// (list index, the first by default). Returns { file } or { error }.
+function selectTrack(torrent, tracks, selection) {
+    const requested = findRequestedFile(torrent, selection);
+    if (requested.error) return requested;
+    if (requested.file) {
+        if (!tracks.some(t => t.file === requested.file)) return { error: `unsupported_file: ${requested.file.path} is not an audio track` };
+        return requested;
+    }
+    const idx = resolveTrackIndex(tracks, selection.track ?? 0, -1);
+    if (idx === -1) return { error: `track_not_found: ${selection.track}` };
+    return { file: tracks[idx].file };
+}
+
+// Probe a track (shared with playback, see probeTorrentFile) to learn its tags and cover art
+async function probeTrack(torrent, track) {
+    if (!track.media) track.media = await probeTorrentFile(torrent, track.file);
+    return track.media;
+}
+
+// Tags of a track, falling back to what its file name says until it has been probed
+function trackTags(track) {
+    const tags = (track.media && track.media.tags) || {};
+    return {
+        title: tags.title || track.title,
+        artist: tags.artist || tags.albumArtist || null,
+        album: tags.album || null,
+        albumArtist: tags.albumArtist || null,
+        number: tags.track || track.number,
+        disc: tags.disc || track.disc,
+        date: tags.date || null,
+        genre: tags.genre || null
+    };
+}
+
+function describeTrack(id, entry, track, index) {
+    const audio = track.media ? track.media.audioStreams[0] : null;
+    return {
+        index,
+        ...trackTags(track),
+        duration: track.media && track.media.duration ? Math.round(track.media.duration) : null,
+        codec: audio ? audio.codec : null,
+        lossless: audio ? isLosslessAudio(audio.codec) : null,
+        tagged: !!track.media,
+        name: track.file.name,
+        path: track.file.path,
+        fileIndex: entry.torrent ? entry.torrent.files.indexOf(track.file) : null,
+        size: track.file.length,
+        progress: Math.round((track.file.progress || 0) * 10000) / 100, // percent
+        cover_url: `/cover/${id}?track=${index}`,
+        current: track.file === entry.file
+    };
+}
+
+// Switch an album session to another track; like an episode switch the session keeps its URLs
+function switchTrack(id, index) {
+    const track = streams[id].tracks[index];
+    console.log(`[${id}] switching to track ${index + 1}: ${track.file.name}`);
+    switchSessionFile(id, track.file);
+    return track;
+}
+
+// AAC bitrate (kbit/s) for a track's HLS output: lossless sources get AUDIO_LOSSLESS_BITRATE, lossy
+// ones their own bitrate so a re-encode doesn't inflate them
+function trackAudioBitrate(audio) {
+    if (!audio || isLosslessAudio(audio.codec)) return AUDIO_LOSSLESS_BITRATE;
+    const kbps = audio.bitRate ? Math.round(audio.bitRate / 1000) : AUDIO_RENDITION_BITRATE;
+    return Math.min(Math.max(kbps, 64), AUDIO_LOSSLESS_BITRATE);
+}
+
+// Album art shipped as an image file in the track's folder (or the album folder above a disc folder)
+function folderCoverFile(torrent, file) {
+    const dir = path.dirname(file.path || file.name);
+    const dirs = [dir];
+    if (DISC_FOLDER_PATTERN.test(path.basename(dir))) dirs.push(path.dirname(dir));
+    for (const folder of dirs) {
+        const images = torrent.files.filter(f => classifyFile(f.name) === 'image' && path.dirname(f.path || f.name) === folder);
+        if (images.length === 0) continue;
+        return images.find(f => COVER_FILE_PATTERN.test(path.basename(f.name, path.extname(f.name))))
+            || images.reduce((best, f) => (f.length > best.length ? f : best));
+    }
+    return null;
+}
+
+// Write a track's embedded picture (an attached-picture video stream) to `output`: JPEG and PNG
+// are copied out as they are, anything else becomes a JPEG
+function extractCoverArt(streamId, input, picture, output) {
+    return new Promise((resolve, reject) => {
+        scheduleConversion(streamId, () => {
+            const copy = ['mjpeg', 'png'].includes(picture.codec);
+            const cmd = ffmpeg(input, { timeout: Math.ceil(SNAPSHOT_TIMEOUT_MS / 1000) })
+                .outputOptions(['-map', `0:v:${picture.index}`, '-frames:v', '1', '-c:v', copy ? 'copy' : 'mjpeg'])
+                .output(output)
+                .on('error', reject)
+                .on('end', resolve);
+            cmd.run();
+            return cmd;
+        }, { priority: 'thumbnail', label: `cover art ${path.basename(output)}`, onCancel: () => reject(new Error('cover art extraction cancelled')) });
+    });
+}
+
 // Detect subtitle files in torrent
 function detectSubtitles(torrent, outputFolder) {
     const subtitleExtensions = ['.srt', '.vtt', '.ass', '.ssa', '.sub', '.sbv', '.json'];
@@ -168,46 +613,81 @@ function detectSubtitles(torrent, outputFolder) {
     return subtitles;
 }
 
-// Detect language from filename (simple heuristics)
+// Language code -> name and short forms looked for in file names (the name comes first)
+const LANGUAGE_KEYWORDS = {
+    'eng': ['english', 'eng'],
+    'hin': ['hindi', 'hin'],
+    'tam': ['tamil', 'tam'],
+    'tel': ['telugu', 'tel'],
+    'kan': ['kannada', 'kan'],
+    'mal': ['malayalam', 'mal'],
+    'mar': ['marathi', 'mar'],
+    'ben': ['bengali', 'ben'],
+    'spa': ['spanish', 'es', 'spa'],
+    'fra': ['french', 'fr', 'fra'],
+    'deu': ['german', 'de', 'deu'],
+    'por': ['portuguese', 'pt', 'por'],
+    'rus': ['russian', 'ru', 'rus'],
+    'jpn': ['japanese', 'ja', 'jpn'],
+    'zho': ['chinese', 'zh', 'zho'],
+    'ara': ['arabic', 'ar', 'ara'],
+    'tha': ['thai', 'th', 'tha']
+};
+
+// Name parts after the language tag that say what kind of track it is ("Movie.eng.forced.srt")
+const SUBTITLE_TAG_QUALIFIERS = ['forced', 'sdh', 'cc', 'full', 'default', 'signs', 'songs'];
+
+// Detect language from filename. A code ("Movie.eng.srt", "Movie.pt-BR.srt", "Show.S01E01.en.forced.srt")
+// only counts as the last name part, where release tools put it: title words elsewhere ("Ben.Hur",
+// "Mal.Cerebro", "Le.Voyage.de...") are not tags. A full language name counts anywhere
+// ("Movie_Hindi.srt", "2_English.srt"), the last one winning.
 function detectLanguageFromName(filename) {
-    const nameLower = filename.toLowerCase();
-    const langMap = {
-        'eng': ['english', 'eng'],
-        'hin': ['hindi', 'hin'],
-        'tam': ['tamil', 'tam'],
-        'tel': ['telugu', 'tel'],
-        'kan': ['kannada', 'kan'],
-        'mal': ['malayalam', 'mal'],
-        'mar': ['marathi', 'mar'],
-        'ben': ['bengali', 'ben'],
-        'spa': ['spanish', 'es', 'spa'],
-        'fra': ['french', 'fr', 'fra'],
-        'deu': ['german', 'de', 'deu'],
-        'por': ['portuguese', 'pt', 'por'],
-        'rus': ['russian', 'ru', 'rus'],
-        'jpn': ['japanese', 'ja', 'jpn'],
-        'zho': ['chinese', 'zh', 'zho'],
-        'ara': ['arabic', 'ar', 'ara'],
-        'tha': ['thai', 'th', 'tha']
-    };
-
-    for (const [lang, keywords] of Object.entries(langMap)) {
-        if (keywords.some(kw => nameLower.includes(kw))) {
-            return lang;
-        }
+    const base = path.basename(filename, path.extname(filename)).toLowerCase();
+
+    const parts = base.split(/[.\s_]+/).filter(Boolean);
+    while (parts.length > 1 && SUBTITLE_TAG_QUALIFIERS.includes(parts[parts.length - 1])) parts.pop();
+    // "pt-br" -> "pt" (a region after the code), "movie-eng" -> "eng"
+    const pieces = (parts[parts.length - 1] || '').split('-');
+    const tag = pieces.length === 2 && /^[a-z]{2}$/.test(pieces[1]) ? pieces[0] : pieces[pieces.length - 1];
+    for (const [lang, keywords] of Object.entries(LANGUAGE_KEYWORDS)) {
+        if (keywords.includes(tag)) return lang;
     }
+    if (ISO_639_1_TO_2[tag]) return ISO_639_1_TO_2[tag];
 
-    // Check for ISO 639-1 codes
-    const iso2Match = nameLower.match(/\.(en|hi|ta|te|kn|ml|mr|bn|es|fr|de|pt|ru|ja|zh|ar|th)[\.\-_]/);
-    if (iso2Match) {
-        const iso2 = iso2Match[1];
-        const iso2to3 = { en: 'eng', hi: 'hin', ta: 'tam', te: 'tel', kn: 'kan', ml: 'mal', mr: 'mar', bn: 'ben', es: 'spa', fr: 'fra', de: 'deu', pt: 'por', ru: 'rus', ja: 'jpn', zh: 'zho', ar: 'ara', th: 'tha' };
-        return iso2to3[iso2] || iso2;
+    const tokens = base.split(/[^a-z]+/).filter(Boolean);
+    for (const token of tokens.reverse()) {
+        const lang = Object.keys(LANGUAGE_KEYWORDS).find(code => LANGUAGE_KEYWORDS[code][0] === token);
+        if (lang) return lang;
     }
 
     return 'unknown';
 }
 
+const ISO_639_1_TO_2 = { en: 'eng', hi: 'hin', ta: 'tam', te: 'tel', kn: 'kan', ml: 'mal', mr: 'mar', bn: 'ben', es: 'spa', fr: 'fra', de: 'deu', pt: 'por', ru: 'rus', ja: 'jpn', zh: 'zho', ar: 'ara', th: 'tha' };
+// MKV tags often carry the bibliographic ISO 639-2 codes
+const ISO_639_2_BIBLIOGRAPHIC = { fre: 'fra', ger: 'deu', chi: 'zho' };
+
+// ISO 639-2 code for a language tag or name ("hi", "hin", "Hindi"), or null
+function normalizeLanguage(value) {
+    if (typeof value !== 'string') return null;
+    const lang = value.trim().toLowerCase();
+    if (/^[a-z]{2}$/.test(lang)) return ISO_639_1_TO_2[lang] || null;
+    if (/^[a-z]{3}$/.test(lang)) return lang === 'und' ? null : (ISO_639_2_BIBLIOGRAPHIC[lang] || lang);
+    return Object.keys(LANGUAGE_KEYWORDS).find(code => LANGUAGE_KEYWORDS[code][0] === lang) || null;
+}
+
+// Display name for a language code ("tam" -> "Tamil"), or the code itself
+function languageName(lang) {
+    const name = LANGUAGE_KEYWORDS[lang] && LANGUAGE_KEYWORDS[lang][0];
+    return name ? name[0].toUpperCase() + name.slice(1) : lang;
+}
+
+// RFC 5646 tag for HLS LANGUAGE / DASH @lang: the two-letter code where there is one
+function languageTag(lang) {
+    const iso1 = Object.keys(ISO_639_1_TO_2).find(k => ISO_639_1_TO_2[k] === lang);
+    return iso1 || lang;
+}
+
 // Extract and copy subtitle files from torrent
 async function extractSubtitles(torrent, outputFolder, subtitlesList) {
     const extracted = [];
@@ -216,28 +696,44 @@ async function extractSubtitles(torrent, outputFolder, subtitlesList) {
         const file = torrent.files.find(f => f.name === subInfo.name);
         if (!file) continue;
 
-        const outputPath = path.join(outputFolder, `subtitle_${subInfo.language}.${subInfo.ext}`);
-
         try {
             const stream = file.createReadStream();
-            const writeStream = fs.createWriteStream(outputPath);
+            const chunks = [];
 
             await new Promise((resolve, reject) => {
-                stream.pipe(writeStream);
-                writeStream.on('finish', resolve);
-                writeStream.on('error', reject);
+                stream.on('data', chunk => chunks.push(chunk));
+                stream.on('end', resolve);
                 stream.on('error', reject);
             });
 
+            // stored as UTF-8; binary subtitles (VobSub) are kept as they are
+            const raw = Buffer.concat(chunks);
+            const decoded = decodeSubtitleBuffer(raw, subInfo.language);
+            const detected = decoded
+                ? detectSubtitleLanguage(decoded.text, subInfo.name)
+                : { language: subInfo.language, confidence: 0, source: 'filename' };
+
+            // two files in the same language get numbered
+            let outputPath = path.join(outputFolder, `subtitle_${detected.language}.${subInfo.ext}`);
+            for (let n = 2; extracted.some(s => s.path === outputPath); n++) {
+                outputPath = path.join(outputFolder, `subtitle_${detected.language}_${n}.${subInfo.ext}`);
+            }
+            fs.writeFileSync(outputPath, decoded ? decoded.text : raw);
+
             extracted.push({
                 name: subInfo.name,
                 path: outputPath,
-                language: subInfo.language,
+                language: detected.language,
+                languageConfidence: detected.confidence,
+                languageSource: detected.source,
                 ext: subInfo.ext,
-                size: subInfo.size
+                size: fs.statSync(outputPath).size,
+                encoding: decoded ? decoded.encoding : null
             });
+            // the listing of available subtitles follows the better guess too
+            subInfo.language = detected.language;
 
-            console.log(`[torrent] extracted subtitle: ${subInfo.name} (${subInfo.language})`);
+            console.log(`[torrent] extracted subtitle: ${subInfo.name} (${detected.language} from ${detected.source}, confidence ${detected.confidence}; ${decoded ? decoded.encoding : 'binary'})`);
         } catch (e) {
             console.error(`[torrent] failed to extract subtitle ${subInfo.name}:`, e.message);
         }
@@ -246,47 +742,437 @@ async function extractSubtitles(torrent, outputFolder, subtitlesList) {
     return extracted;
 }
 
-// Get media duration and codec info using ffprobe
-async function getMediaInfo(filePath) {
-    if (!ffprobeAvailable) return null;
+// ---------------------------
+// Subtitle text encodings: sidecar subtitles are often in legacy code pages (Windows-1251/1256,
+// TIS-620, ISCII) or UTF-16; they are detected and stored as UTF-8
+// ---------------------------
+// Single-byte candidates in order of preference when they score the same
+const LEGACY_SUBTITLE_ENCODINGS = ['windows-1252', 'windows-1251', 'windows-1256', 'windows-874', 'iscii-devanagari', 'windows-1250', 'koi8-r', 'windows-1253', 'windows-1254', 'windows-1255'];
+// Code pages worth favouring for a language guessed from the file name
+const LANGUAGE_ENCODINGS = {
+    rus: ['windows-1251', 'koi8-r'],
+    ara: ['windows-1256'],
+    tha: ['windows-874'],
+    hin: ['iscii-devanagari'],
+    mar: ['iscii-devanagari'],
+    spa: ['windows-1252'],
+    fra: ['windows-1252'],
+    deu: ['windows-1252'],
+    por: ['windows-1252']
+};
+const ENCODING_SCRIPTS = ['Latin', 'Cyrillic', 'Greek', 'Arabic', 'Hebrew', 'Thai', 'Devanagari'];
+
+// ISCII-91 (Devanagari) bytes 0xA1-0xFA -> Unicode; 0xD9 (INV) is dropped
+const ISCII_DEVANAGARI = {
+    0xA1: 0x0901, 0xA2: 0x0902, 0xA3: 0x0903, 0xA4: 0x0905, 0xA5: 0x0906, 0xA6: 0x0907, 0xA7: 0x0908, 0xA8: 0x0909,
+    0xA9: 0x090A, 0xAA: 0x090B, 0xAB: 0x090E, 0xAC: 0x090F, 0xAD: 0x0910, 0xAE: 0x090D, 0xAF: 0x0912, 0xB0: 0x0913,
+    0xB1: 0x0914, 0xB2: 0x0911, 0xB3: 0x0915, 0xB4: 0x0916, 0xB5: 0x0917, 0xB6: 0x0918, 0xB7: 0x0919, 0xB8: 0x091A,
+    0xB9: 0x091B, 0xBA: 0x091C, 0xBB: 0x091D, 0xBC: 0x091E, 0xBD: 0x091F, 0xBE: 0x0920, 0xBF: 0x0921, 0xC0: 0x0922,
+    0xC1: 0x0923, 0xC2: 0x0924, 0xC3: 0x0925, 0xC4: 0x0926, 0xC5: 0x0927, 0xC6: 0x0928, 0xC7: 0x0929, 0xC8: 0x092A,
+    0xC9: 0x092B, 0xCA: 0x092C, 0xCB: 0x092D, 0xCC: 0x092E, 0xCD: 0x092F, 0xCE: 0x095F, 0xCF: 0x0930, 0xD0: 0x0931,
+    0xD1: 0x0932, 0xD2: 0x0933, 0xD3: 0x0934, 0xD4: 0x0935, 0xD5: 0x0936, 0xD6: 0x0937, 0xD7: 0x0938, 0xD8: 0x0939,
+    0xDA: 0x093E, 0xDB: 0x093F, 0xDC: 0x0940, 0xDD: 0x0941, 0xDE: 0x0942, 0xDF: 0x0943, 0xE0: 0x0946, 0xE1: 0x0947,
+    0xE2: 0x0948, 0xE3: 0x0945, 0xE4: 0x094A, 0xE5: 0x094B, 0xE6: 0x094C, 0xE7: 0x0949, 0xE8: 0x094D, 0xE9: 0x093C,
+    0xEA: 0x0964, 0xF1: 0x0966, 0xF2: 0x0967, 0xF3: 0x0968, 0xF4: 0x0969, 0xF5: 0x096A, 0xF6: 0x096B, 0xF7: 0x096C,
+    0xF8: 0x096D, 0xF9: 0x096E, 0xFA: 0x096F
+};
+// Byte pairs ending in nukta (0xE9) or a second virama that stand for other characters
+const ISCII_DEVANAGARI_PAIRS = { 0xA1: '\u0950', 0xEA: '\u093D', 0xE8: '\u094D\u200D' };
+
+function decodeIscii(buffer) {
+    let out = '';
+    for (let i = 0; i < buffer.length; i++) {
+        const b = buffer[i];
+        if (b < 0x80) {
+            out += String.fromCharCode(b);
+        } else if (buffer[i + 1] === 0xE9 && ISCII_DEVANAGARI_PAIRS[b]) {
+            out += ISCII_DEVANAGARI_PAIRS[b];
+            i++;
+        } else if (b === 0xE8 && buffer[i + 1] === 0xE8) {
+            out += '\u094D\u200C'; // explicit halant
+            i++;
+        } else if (b !== 0xD9) {
+            out += ISCII_DEVANAGARI[b] ? String.fromCharCode(ISCII_DEVANAGARI[b]) : '\uFFFD';
+        }
+    }
+    return out;
+}
+
+function decodeAs(buffer, encoding) {
+    return encoding === 'iscii-devanagari' ? decodeIscii(buffer) : new TextDecoder(encoding).decode(buffer);
+}
+
+// Thai and Devanagari have no case to go wrong, but their dependent vowel signs and marks only
+// ever follow a consonant (Thai leading vowels precede one)
+const DEPENDENT_SIGN_RULES = {
+    Thai: { consonant: /[\u0E01-\u0E2E]/, sign: /[\u0E31\u0E34-\u0E3A\u0E47-\u0E4E]/, leading: /[\u0E40-\u0E44]/ },
+    Devanagari: { consonant: /[\u0915-\u0939\u0958-\u095F\u093C]/, sign: /[\u093C\u093E-\u094D]/, leading: null }
+};
+
+function signsWellFormed(word, script) {
+    const rules = DEPENDENT_SIGN_RULES[script];
+    if (!rules) return true;
+    const chars = [...word];
+    for (let i = 0; i < chars.length; i++) {
+        const prev = chars[i - 1] || '';
+        // a Thai tone mark may sit on a vowel sign that is itself on a consonant
+        if (rules.sign.test(chars[i]) && !rules.consonant.test(prev) && !(script === 'Thai' && rules.sign.test(prev))) return false;
+        if (rules.leading && rules.leading.test(chars[i]) && !rules.consonant.test(chars[i + 1] || '')) return false;
+    }
+    return true;
+}
+
+// How plausible decoded text is, 0..1: the share of non-ASCII words written in a single script
+// with natural casing and well-formed vowel signs. Mojibake mixes scripts (Windows-1251 read as 1256), flips case (KOI8-R read
+// as 1251) or turns every letter of a word into an accented Latin one (anything read as 1252).
+function textPlausibility(text) {
+    const words = text.match(/[\p{L}\p{M}]+/gu) || [];
+    let total = 0;
+    let good = 0;
+    let letters = 0;
+    let nonAscii = 0;
+    for (const word of words) {
+        letters += word.length;
+        const high = word.replace(/[A-Za-z]/g, '').length;
+        nonAscii += high;
+        if (!high) continue;
+        total++;
+        const scripts = ENCODING_SCRIPTS.filter(s => new RegExp(`\\p{Script=${s}}`, 'u').test(word));
+        if (scripts.length !== 1 || !signsWellFormed(word, scripts[0])) continue;
+        const rest = word.slice(1);
+        if (rest === rest.toLowerCase()) good++;
+        else if (word === word.toUpperCase()) good += word.length > 3 ? 0.5 : 1; // a few all-caps words are normal
+        if (scripts[0] === 'Latin' && high === word.length && word.length > 2) good -= 0.5;
+    }
+    const broken = (text.match(/[\uFFFD\u0080-\u009F]/g) || []).length;
+    if (!total) return broken ? 0 : 1;
+    let score = Math.max(0, good) / (total + broken);
+    // Latin-script languages write most letters in ASCII
+    if (/^\p{Script=Latin}/u.test(words.find(w => /[^A-Za-z]/.test(w)) || '') && nonAscii / letters > 0.4) score *= 0.5;
+    return score;
+}
+
+// Detect a subtitle file's encoding and decode it -> { text, encoding }, or null for binary data
+// (VobSub .sub). `language` (ISO 639-2, from the file name) favours that language's code pages.
+function decodeSubtitleBuffer(buffer, language) {
+    if (buffer[0] === 0xEF && buffer[1] === 0xBB && buffer[2] === 0xBF) return { text: buffer.toString('utf8', 3), encoding: 'utf-8' };
+    if (buffer[0] === 0xFF && buffer[1] === 0xFE) return { text: new TextDecoder('utf-16le').decode(buffer.subarray(2)), encoding: 'utf-16le' };
+    if (buffer[0] === 0xFE && buffer[1] === 0xFF) return { text: new TextDecoder('utf-16be').decode(buffer.subarray(2)), encoding: 'utf-16be' };
+
+    // UTF-16 without a BOM: ASCII-range text leaves every other byte zero
+    const sample = buffer.subarray(0, 4096);
+    let evenZeros = 0;
+    let oddZeros = 0;
+    for (let i = 0; i < sample.length; i++) {
+        if (sample[i] === 0) i % 2 ? oddZeros++ : evenZeros++;
+    }
+    const half = sample.length / 2;
+    if (oddZeros > half * 0.3 && evenZeros < half * 0.05) return { text: new TextDecoder('utf-16le').decode(buffer), encoding: 'utf-16le' };
+    if (evenZeros > half * 0.3 && oddZeros < half * 0.05) return { text: new TextDecoder('utf-16be').decode(buffer), encoding: 'utf-16be' };
+    if (evenZeros + oddZeros > 0) return null;
 
     try {
-        const { stdout } = await execAsync(`ffprobe -v error -show_entries format=duration,nb_streams -of default=noprint_wrappers=1:nokey=1:noesc=1 "${filePath}"`);
-        const lines = stdout.trim().split('\n');
-        const duration = parseFloat(lines[0]);
+        return { text: new TextDecoder('utf-8', { fatal: true }).decode(buffer), encoding: 'utf-8' };
+    } catch (e) {
+        // not UTF-8: one of the single-byte code pages
+    }
+    const favoured = LANGUAGE_ENCODINGS[language] || [];
+    let best = null;
+    for (const encoding of favoured.concat(LEGACY_SUBTITLE_ENCODINGS.filter(e => !favoured.includes(e)))) {
+        const text = decodeAs(buffer, encoding);
+        const score = textPlausibility(text) + (favoured.includes(encoding) ? 0.05 : 0);
+        if (!best || score > best.score) best = { text, encoding, score };
+    }
+    return { text: best.text, encoding: best.encoding };
+}
+
+// A subtitle file as UTF-8 text (whatever it is stored in)
+function readSubtitleText(filePath, language) {
+    const decoded = decodeSubtitleBuffer(fs.readFileSync(filePath), language);
+    return decoded ? decoded.text : '';
+}
+
+const SUBTITLE_CONTENT_TYPES = { vtt: 'text/vtt', srt: 'application/x-subrip', ass: 'text/x-ssa', ssa: 'text/x-ssa' };
 
-        if (!isNaN(duration)) {
-            return { duration: Math.round(duration), durationFormatted: formatDuration(duration) };
+// Content-Type of a UTF-8 subtitle file by extension
+function subtitleContentType(ext) {
+    return `${SUBTITLE_CONTENT_TYPES[ext] || 'text/plain'}; charset=utf-8`;
+}
+
+// ---------------------------
+// Subtitle language identification: the writing system settles most languages; Latin-script and
+// Devanagari text is told apart by its most frequent character trigrams
+// ---------------------------
+const LANGUAGE_DETECTION_MIN_CONFIDENCE = 0.3;
+const LANGUAGE_DETECTION_SAMPLE_CHARS = 6000;
+// Scripts used by a single supported language
+const SCRIPT_LANGUAGES = { Cyrillic: 'rus', Arabic: 'ara', Thai: 'tha', Bengali: 'ben', Tamil: 'tam', Telugu: 'tel', Kannada: 'kan', Malayalam: 'mal' };
+const DETECTION_SCRIPTS = ['Latin', 'Devanagari', 'Hiragana', 'Katakana', 'Han'].concat(Object.keys(SCRIPT_LANGUAGES));
+const DETECTION_SCRIPT_PATTERNS = DETECTION_SCRIPTS.map(s => [s, new RegExp(`[\\p{Script=${s}}]`, 'u')]);
+// Most frequent trigrams of each language in subtitle dialogue, most frequent first ("_" = word boundary)
+const TRIGRAM_PROFILES = {
+    Latin: {
+        eng: '_th the he_ _yo you ou_ _to _a_ and _an nd_ ing ng_ _i_ _it it_ _wh is_ _is hat at_ _in _we re_ er_ _be _of of_ _do _kn now ow_ all _he thi tha _me me_ on_ ve_ _no _so _ha',
+        spa: '_de de_ _qu que ue_ _la la_ _no no_ _es _el el_ _en en_ os_ es_ _lo lo_ as_ _y_ _se se_ _un _me me_ do_ _po ar_ _te te_ est _co ent _ha ra_ _su ien _ti ado _mi _ho on_ _pe per',
+        fra: '_de _je je_ de_ es_ _le le_ _la la_ _qu que ue_ _pa pas as_ _ne ne_ _vo ous vou _tu tu_ est _es nt_ ent _et et_ _un re_ _ce ce_ ais _mo _ça ça_ ai_ _me _co _fa _bi',
+        deu: '_ic ich ch_ _di die ie_ _da _un und nd_ en_ _de der er_ _ni nic cht ht_ _is ist st_ _si sie _ei ein _es es_ _wi _ha das as_ _du du_ ine _zu zu_ _mi _we sch _au _so den _ja',
+        por: '_de de_ _qu que ue_ _o_ _a_ _nã não ão_ _vo voc ocê cê_ _é_ os_ _se se_ _e_ _do do_ _um um_ _da da_ _me me_ _es _co com ar_ as_ _pa _eu eu_ est _el ele ra_ _te _po ist _is'
+    },
+    Devanagari: {
+        hin: '_है है_ _मे में ें_ _के के_ _का का_ _की की_ _नह हीं ीं_ _और और_ _तु तुम ुम_ _यह यह_ _हम हम_ _को को_ ्या क्य या_ हैं ैं_ _मै मैं _ने ने_ _हो _से से_ _था था_ रहा _जा',
+        mar: '_आह आहे ाहे हे_ _ना नाह ाही ही_ _आण आणि णि_ _मी मी_ _तू तू_ ्या _का काय ाय_ _हो होत ोतं _तु तुम म्ह ला_ ची_ चा_ _मा माझ ाझं _तर _नक नको _कर करा _बर _ते ते_ ात_ _गे'
+    }
+};
+
+// Trigram counts of text, words padded with "_"
+function trigramCounts(text) {
+    const counts = new Map();
+    let total = 0;
+    for (const word of text.toLowerCase().match(/[\p{L}\p{M}']+/gu) || []) {
+        const padded = `_${word}_`;
+        const chars = [...padded];
+        for (let i = 0; i + 3 <= chars.length; i++) {
+            const gram = chars.slice(i, i + 3).join('');
+            counts.set(gram, (counts.get(gram) || 0) + 1);
+            total++;
         }
-    } catch (e) {
-        console.error('ffprobe error:', e.message);
     }
+    return { counts, total };
+}
 
-    return null;
+// Best-matching language of a profile group -> { language, confidence }: each profile scores the
+// share of the text's trigrams it lists, weighted towards its most frequent ones; confidence is how
+// far ahead the winner is (certain at 50% ahead of the runner-up), scaled down for short samples
+function matchTrigramProfiles(text, profiles) {
+    const { counts, total } = trigramCounts(text);
+    if (!total) return null;
+    const scores = Object.entries(profiles).map(([language, profile]) => {
+        const grams = profile.split(' ');
+        let score = 0;
+        grams.forEach((gram, rank) => { score += (counts.get(gram) || 0) * (1 - rank / (2 * grams.length)); });
+        return { language, score: score / total };
+    }).sort((a, b) => b.score - a.score);
+    const [best, second] = scores;
+    if (!best.score) return null;
+    const margin = (best.score - second.score) / best.score;
+    return { language: best.language, confidence: Math.min(1, margin * 2) * Math.min(1, total / 300) };
 }
 
-// Get detailed stream info (audio, subtitle, video codecs)
-async function getStreamInfo(filePath) {
-    if (!ffprobeAvailable) return null;
+// Language of a text -> { language, confidence } (language null when nothing could be read)
+function identifyLanguage(text) {
+    const sample = text.slice(0, LANGUAGE_DETECTION_SAMPLE_CHARS);
+    const scriptCounts = {};
+    let letters = 0;
+    for (const ch of sample) {
+        const match = DETECTION_SCRIPT_PATTERNS.find(([, pattern]) => pattern.test(ch));
+        if (!match) continue;
+        scriptCounts[match[0]] = (scriptCounts[match[0]] || 0) + 1;
+        letters++;
+    }
+    if (letters < 20) return { language: null, confidence: 0 };
+
+    // Japanese mixes kana into Han; Chinese has none
+    const kana = (scriptCounts.Hiragana || 0) + (scriptCounts.Katakana || 0);
+    const cjk = kana + (scriptCounts.Han || 0);
+    const [script, count] = Object.entries(scriptCounts).sort((a, b) => b[1] - a[1])[0];
+    if (cjk > count / 2 && cjk >= letters / 2) {
+        return { language: kana >= cjk * 0.1 ? 'jpn' : 'zho', confidence: cjk / letters };
+    }
+    const share = count / letters;
+    if (SCRIPT_LANGUAGES[script]) return { language: SCRIPT_LANGUAGES[script], confidence: share };
+    const match = TRIGRAM_PROFILES[script] && matchTrigramProfiles(sample, TRIGRAM_PROFILES[script]);
+    if (!match) return { language: null, confidence: 0 };
+    return { language: match.language, confidence: match.confidence * share };
+}
 
-    try {
-        const { stdout } = await execAsync(`ffprobe -v error -select_streams v:0 -show_entries stream=codec_type,codec_name,width,height,r_frame_rate -of default=noprint_wrappers=1 "${filePath}"`);
-        const streamInfo = { videoCodec: null, audioTracks: [], subtitleTracks: [] };
-
-        // Parse video info
-        const lines = stdout.split('\n').filter(l => l.trim());
-        for (const line of lines) {
-            if (line.includes('codec_type=video')) {
-                streamInfo.videoCodec = 'h264'; // simplified
-            }
+// Language of a subtitle from its dialogue, falling back to the file name when the text is
+// inconclusive -> { language, confidence, source: 'content' | 'filename' }
+function detectSubtitleLanguage(text, filename) {
+    const format = subtitleFormatOf(filename, text);
+    let dialogue = text;
+    if (format) {
+        const { cues } = parseSubtitles(text, format);
+        if (cues.length) dialogue = cues.map(c => c.text.replace(/<[^>]*>/g, '')).join('\n');
+    }
+    const detected = identifyLanguage(dialogue);
+    const confidence = Math.round(detected.confidence * 100) / 100;
+    if (detected.language && detected.confidence >= LANGUAGE_DETECTION_MIN_CONFIDENCE) {
+        return { language: detected.language, confidence, source: 'content' };
+    }
+    return { language: detectLanguageFromName(filename), confidence, source: 'filename' };
+}
+
+// ---------------------------
+// Subtitle timing: constant offsets, frame-rate stretch and automatic alignment of cues against
+// the speech found in the audio (ffmpeg silencedetect)
+// ---------------------------
+const SUBTITLE_SYNC_ANALYSIS_SECONDS = parseInt(process.env.SUBTITLE_SYNC_ANALYSIS_SECONDS || '900', 10);
+const SUBTITLE_SYNC_MAX_OFFSET = parseFloat(process.env.SUBTITLE_SYNC_MAX_OFFSET || '60');
+// Largest maxOffset a request may ask for: the search runs on the main thread and grows with it
+const SUBTITLE_SYNC_OFFSET_LIMIT = 300;
+const SUBTITLE_SYNC_SILENCE = process.env.SUBTITLE_SYNC_SILENCE || 'noise=-35dB:d=0.4';
+const SUBTITLE_SYNC_STEP = 0.1; // seconds per sample of the speech/cue timelines
+const SUBTITLE_SYNC_COARSE_STEP = 1; // seconds between the offsets tried by the first pass
+const SUBTITLE_SYNC_REFINE_CANDIDATES = 5; // best first-pass offsets searched again at SUBTITLE_SYNC_STEP
+const SUBTITLE_SYNC_MIN_CUES = 10;
+const SUBTITLE_SYNC_MIN_GAIN = 0.03; // gain in overlap fraction needed to move away from the current timing
+// Stretches tried by auto-alignment: none, and the usual 23.976/24/25 release conversions
+const SUBTITLE_SYNC_RATIOS = [1, 23.976 / 25, 25 / 23.976, 24 / 25, 25 / 24, 23.976 / 24, 24 / 23.976];
+
+// Cues re-timed as t * ratio + offset; cues pushed before 0 are dropped or clipped
+function retimeCues(cues, { offset = 0, ratio = 1 } = {}) {
+    return cues
+        .map(c => ({ ...c, start: Math.max(0, c.start * ratio + offset), end: c.end * ratio + offset }))
+        .filter(c => c.end > 0 && c.end > c.start);
+}
+
+// Range-proxy URL of the session's torrent file (filePath is only where it will land on disk), or
+// the downloaded file of a yt-dlp session
+function sessionMediaInput(entry) {
+    if (entry.torrent) return entry.file && !entry.torrent.destroyed ? torrentFileUrl(entry.torrent, entry.file) : null;
+    return entry.filePath || null;
+}
+
+// Speech (non-silent) intervals in the first `seconds` of an audio track, as [{ start, end }].
+// Decoding the audio is heavy, so it waits its turn in the ffmpeg queue.
+function detectSpeech(streamId, input, audioIndex, seconds) {
+    return new Promise((resolve, reject) => {
+        const silences = [];
+        let silenceStart = null;
+        let analysed = 0;
+        scheduleConversion(streamId, () => {
+            const cmd = ffmpeg(input)
+                .inputOptions(['-t', String(seconds)])
+                .outputOptions(['-map', `0:a:${audioIndex}`, '-vn', '-af', `silencedetect=${SUBTITLE_SYNC_SILENCE}`, '-f', 'null'])
+                .output('-')
+                .on('stderr', (line) => {
+                    let m = line.match(/silence_start:\s*(-?[\d.]+)/);
+                    if (m) silenceStart = Math.max(0, parseFloat(m[1]));
+                    m = line.match(/silence_end:\s*([\d.]+)/);
+                    if (m && silenceStart !== null) {
+                        silences.push({ start: silenceStart, end: parseFloat(m[1]) });
+                        silenceStart = null;
+                    }
+                    m = line.match(/time=(\d+:\d+:[\d.]+)/);
+                    if (m) analysed = Math.max(analysed, parseTimestamp(m[1]) || 0);
+                })
+                .on('error', err => reject(new Error(`speech detection failed: ${err.message}`)))
+                .on('end', () => {
+                    // a silence still open at the end runs to the end of the analysed audio
+                    if (silenceStart !== null) silences.push({ start: silenceStart, end: analysed });
+                    const speech = [];
+                    let t = 0;
+                    for (const s of silences) {
+                        if (s.start > t) speech.push({ start: t, end: s.start });
+                        t = Math.max(t, s.end);
+                    }
+                    if (analysed > t) speech.push({ start: t, end: analysed });
+                    resolve({ speech, analysed });
+                });
+            cmd.run();
+            return cmd;
+        }, { priority: 'thumbnail', label: `speech detection (audio ${audioIndex})`, onCancel: () => reject(new Error('speech detection cancelled')) });
+    });
+}
+
+// Best { offset, ratio } for the cues against detected speech, scored by the fraction of cue time
+// that falls on speech, over the stretches in SUBTITLE_SYNC_RATIOS and offsets within ±maxOffset.
+// Also returns the score of the timing as it is. A first pass every SUBTITLE_SYNC_COARSE_STEP picks
+// the candidates searched again at SUBTITLE_SYNC_STEP; it yields between passes so a long file
+// doesn't stall other requests.
+async function alignCues(cues, speech, analysed, maxOffset) {
+    const samples = Math.ceil(analysed / SUBTITLE_SYNC_STEP);
+    // prefix[i] = samples of speech before sample i
+    const prefix = new Uint32Array(samples + 1);
+    const marks = new Uint8Array(samples);
+    for (const s of speech) {
+        for (let i = Math.floor(s.start / SUBTITLE_SYNC_STEP); i < Math.min(samples, Math.ceil(s.end / SUBTITLE_SYNC_STEP)); i++) marks[i] = 1;
+    }
+    for (let i = 0; i < samples; i++) prefix[i + 1] = prefix[i] + marks[i];
+
+    const score = (ratio, offset) => {
+        let cueSamples = 0;
+        let onSpeech = 0;
+        let counted = 0;
+        for (const c of cues) {
+            const from = Math.round((c.start * ratio + offset) / SUBTITLE_SYNC_STEP);
+            const to = Math.round((c.end * ratio + offset) / SUBTITLE_SYNC_STEP);
+            if (from < 0 || to > samples || to <= from) continue;
+            counted++;
+            cueSamples += to - from;
+            onSpeech += prefix[to] - prefix[from];
         }
+        return counted >= SUBTITLE_SYNC_MIN_CUES ? onSpeech / cueSamples : null;
+    };
+
+    const maxSteps = Math.round(maxOffset / SUBTITLE_SYNC_STEP);
+    const stride = Math.round(SUBTITLE_SYNC_COARSE_STEP / SUBTITLE_SYNC_STEP);
+    // offsets are counted in SUBTITLE_SYNC_STEPs; ties go to the earlier ratio, then the smaller shift
+    let best = null;
+    const consider = (r, k) => {
+        const s = score(SUBTITLE_SYNC_RATIOS[r], k * SUBTITLE_SYNC_STEP);
+        if (s === null) return null;
+        const tied = best && Math.abs(s - best.score) <= 1e-9;
+        if (!best || s > best.score + 1e-9 || (tied && (r < best.r || (r === best.r && Math.abs(k) < Math.abs(best.k))))) {
+            best = { r, k, score: s };
+        }
+        return { r, k, score: s };
+    };
+
+    const coarse = [];
+    const coarseLimit = Math.floor(maxSteps / stride) * stride;
+    for (let r = 0; r < SUBTITLE_SYNC_RATIOS.length; r++) {
+        await new Promise(setImmediate);
+        for (let k = -coarseLimit; k <= coarseLimit; k += stride) {
+            const c = consider(r, k);
+            if (c) coarse.push(c);
+        }
+    }
+    coarse.sort((a, b) => b.score - a.score);
+    for (const c of coarse.slice(0, SUBTITLE_SYNC_REFINE_CANDIDATES)) {
+        await new Promise(setImmediate);
+        for (let k = Math.max(-maxSteps, c.k - stride + 1); k <= Math.min(maxSteps, c.k + stride - 1); k++) consider(c.r, k);
+    }
 
-        return streamInfo;
+    return {
+        best: best && { ratio: SUBTITLE_SYNC_RATIOS[best.r], offset: Math.round(best.k * SUBTITLE_SYNC_STEP * 10) / 10, score: best.score },
+        baseline: score(1, 0)
+    };
+}
+
+// ---------------------------
+// Media analysis: ffprobe streams, format and chapters
+// ---------------------------
+
+// Full ffprobe analysis of a local file or URL, or null
+async function probeMedia(input, { timeout = SEEK_PROBE_TIMEOUT_MS } = {}) {
+    if (!ffprobeAvailable) return null;
+    try {
+        // an argument list, not a shell line: yt-dlp names files after remote titles
+        const { stdout } = await execFileAsync('ffprobe', ['-v', 'error', '-print_format', 'json', '-show_streams', '-show_format', '-show_chapters', input], { timeout, maxBuffer: 8 * 1024 * 1024 });
+        return parseProbeOutput(JSON.parse(stdout), { normalizeLanguage });
     } catch (e) {
+        console.error('ffprobe error:', e.message);
         return null;
     }
 }
 
+// The probe as shown on a session's status
+function mediaInfoOf(media) {
+    return {
+        duration: media.duration ? Math.round(media.duration) : null,
+        durationFormatted: media.duration ? formatDuration(media.duration) : null,
+        container: media.container,
+        size: media.size,
+        bitRate: media.bitRate,
+        video: media.videoStreams,
+        audio: media.audioStreams,
+        subtitles: media.subtitleStreams,
+        chapters: media.chapters,
+        tags: media.tags
+    };
+}
+
 // Format duration to HH:MM:SS
 function formatDuration(seconds) {
     const h = Math.floor(seconds / 3600);
@@ -328,6 +1214,29 @@ function getFolderSize(folder) {
     }
 }
 
+// Number of HLS segments ffmpeg has produced so far (highest index + 1).
+// Uses the highest index rather than a file count because enforceStorageLimit deletes old segments.
+function countProducedSegments(folder) {
+    try {
+        let highest = -1;
+        for (const name of fs.readdirSync(folder)) {
+            const m = name.match(HLS_SEGMENT_PATTERN);
+            if (m) highest = Math.max(highest, parseInt(m[1], 10));
+        }
+        return highest + 1;
+    } catch (e) {
+        return 0;
+    }
+}
+
+// Turn an entry.error string ("code: message" or bare "code") into { code, message }
+function parseStreamError(error) {
+    if (!error) return null;
+    const m = String(error).match(/^([a-z0-9_]+)(?::\s*(.*))?$/is);
+    if (!m) return { code: 'error', message: String(error) };
+    return { code: m[1], message: m[2] || m[1].replace(/_/g, ' ') };
+}
+
 // Enforce max storage bytes by deleting oldest segment files first
 function enforceStorageLimit(entry, maxBytes) {
     try {
@@ -339,8 +1248,8 @@ function enforceStorageLimit(entry, maxBytes) {
         const files = getFolderFilesSorted(folder);
 
         // Identify segment files and non-segment files
-        const segmentFiles = files.filter(f => /segment_\d+\.ts$/.test(f.name));
-        const otherFiles = files.filter(f => !/segment_\d+\.ts$/.test(f.name));
+        const segmentFiles = files.filter(f => HLS_SEGMENT_PATTERN.test(f.name));
+        const otherFiles = files.filter(f => !HLS_SEGMENT_PATTERN.test(f.name));
 
         // Determine segments to preserve (the newest `keepSegments`)
         const segmentsToKeep = new Set(segmentFiles.slice(-keepSegments).map(f => f.name));
@@ -351,11 +1260,16 @@ function enforceStorageLimit(entry, maxBytes) {
 
         for (const f of candidates) {
             try {
-                // never delete playlist.m3u8 proactively
-                if (f.name === 'playlist.m3u8') continue;
+                // never delete playlists proactively (seek restarts write playlist_<n>.m3u8) or CMAF init segments
+                if (/\.m3u8$/.test(f.name) || CMAF_INIT_PATTERN.test(f.name)) continue;
                 // avoid deleting recently created segments we reserved
                 if (segmentsToKeep.has(f.name)) continue;
                 fs.unlinkSync(f.path);
+                // remember evicted segments so the HLS route can answer 410 instead of waiting
+                if (HLS_SEGMENT_PATTERN.test(f.name)) {
+                    if (!entry.evictedSegments) entry.evictedSegments = new Set();
+                    entry.evictedSegments.add(f.name);
+                }
                 total -= f.size;
                 if (total <= maxBytes) break;
             } catch (e) {
@@ -390,536 +1304,3892 @@ function computeSegmentDuration() {
 // ffmpeg concurrency control to avoid OOM on small instances
 let MAX_CONCURRENT_FFMPEG = DEFAULT_MAX_CONCURRENT_FFMPEG;
 let activeFfmpegCount = 0;
-const ffmpegQueue = [];
-
-// Watch resource defaults periodically and update MAX_CONCURRENT_FFMPEG / ffmpeg threads
+const ffmpegQueue = []; // queued jobs, in arrival order (see queueOrder for the order they run in)
+const ffmpegJobs = new Map(); // id -> job: queued, running and the last JOB_HISTORY_LIMIT finished ones
+const JOB_HISTORY_LIMIT = parseInt(process.env.JOB_HISTORY_LIMIT || '100', 10);
+// Queue order: every waiting job of a higher class runs before any of a lower one.
+//   playback: a session's first transcode (and yt-dlp conversions)
+//   seek: restarts at a segment a viewer asked for
+//   subtitles: embedded subtitle windows a player is waiting for
+//   thumbnail: trickplay sheets, preview reels, subtitle speech detection
+//   background: VOD readahead, transcoding ahead of where anyone is watching
+const CONVERSION_PRIORITIES = { playback: 4, seek: 3, subtitles: 2, thumbnail: 1, background: 0 };
+
+// Watch resource defaults periodically and update MAX_CONCURRENT_FFMPEG
 const resourceWatchIntervalMs = parseInt(process.env.RESOURCE_WATCH_INTERVAL_MS || '15000', 10);
 setInterval(() => {
     try {
         const defs = computeRuntimeDefaults();
         const envMax = parseInt(process.env.MAX_CONCURRENT_FFMPEG || String(defs.maxConcurrent), 10);
-        MAX_CONCURRENT_FFMPEG = envMax;
-        // update default threads if not explicitly set
-        if (!process.env.FFMPEG_THREADS) {
-            // DEFAULT_FFMPEG_THREADS is const; update default usage by writing to variable used later
+        if (envMax !== MAX_CONCURRENT_FFMPEG) {
+            // a lower limit lets running jobs finish and holds the queue until they have
+            console.log(`[jobs] MAX_CONCURRENT_FFMPEG ${MAX_CONCURRENT_FFMPEG} -> ${envMax} (${activeFfmpegCount} running, ${ffmpegQueue.length} queued)`);
+            MAX_CONCURRENT_FFMPEG = envMax;
+            admitConversions();
         }
     } catch (e) {
         // ignore
     }
 }, resourceWatchIntervalMs);
 
-function scheduleConversion(streamId, createProcFn) {
-    // createProcFn should return the ffmpeg command instance
-    const runNext = () => {
-        if (ffmpegQueue.length === 0) return;
-        if (activeFfmpegCount >= MAX_CONCURRENT_FFMPEG) return;
-        const item = ffmpegQueue.shift();
-        try {
-            activeFfmpegCount++;
-            const proc = item.createProc();
-            if (streams[item.streamId]) streams[item.streamId].ffmpegActive = true;
-
-            const onFinish = () => {
-                activeFfmpegCount = Math.max(0, activeFfmpegCount - 1);
-                if (streams[item.streamId]) {
-                    streams[item.streamId].ffmpegActive = false;
-                }
-                // schedule next queued job
-                setImmediate(runNext);
-            };
-
-            proc.on('end', onFinish);
-            proc.on('error', (err) => {
-                onFinish();
-            });
-        } catch (e) {
-            activeFfmpegCount = Math.max(0, activeFfmpegCount - 1);
-            setImmediate(runNext);
-        }
-    };
+// Who a session belongs to, for fairness between clients
+function requestClient(req) {
+    return req.ip || (req.socket && req.socket.remoteAddress) || 'unknown';
+}
 
-    // If we have capacity, run immediately
-    if (activeFfmpegCount < MAX_CONCURRENT_FFMPEG) {
-        ffmpegQueue.push({ streamId, createProc: createProcFn });
-        setImmediate(runNext);
-    } else {
-        // otherwise enqueue
-        ffmpegQueue.push({ streamId, createProc: createProcFn });
+function runningJobsOf(client) {
+    let count = 0;
+    for (const job of ffmpegJobs.values()) {
+        if (job.state === 'running' && job.client === client) count++;
     }
+    return count;
 }
 
-// Helper: Process a torrent (shared for new or existing)
-function processTorrent(torrent, streamId, outputFolder) {
-    try {
-        console.log(`[${streamId}] torrent metadata ready: ${torrent.infoHash} - ${torrent.name} (${torrent.files.length} files)`);
-        
-        // Detect subtitles early
-        const detectedSubs = detectSubtitles(torrent, outputFolder);
-        if (detectedSubs.length > 0) {
-            console.log(`[${streamId}] found ${detectedSubs.length} subtitle file(s)`);
-            streams[streamId].subtitles = detectedSubs;
+// Queued jobs in the order they will start: highest class first; within a class the client with
+// the fewest jobs running (counting the ones picked ahead of it) goes next, oldest job first
+function queueOrder() {
+    const running = new Map();
+    const countOf = (client) => {
+        if (!running.has(client)) running.set(client, runningJobsOf(client));
+        return running.get(client);
+    };
+    const waiting = [...ffmpegQueue];
+    const order = [];
+    while (waiting.length) {
+        let best = 0;
+        for (let i = 1; i < waiting.length; i++) {
+            const a = waiting[i], b = waiting[best];
+            if (a.rank !== b.rank ? a.rank > b.rank : countOf(a.client) < countOf(b.client)) best = i;
         }
-        
-        // Track peer connections
-        torrent.on('wire', () => {
-            const numPeers = torrent.numPeers || 0;
-            console.log(`[${streamId}] peer connected (total: ${numPeers})`);
-        });
-        
-        torrent.on('done', () => {
-            console.log(`[${streamId}] torrent download complete`);
-            if (streams[streamId]) streams[streamId].downloadComplete = true;
-        });
+        const [job] = waiting.splice(best, 1);
+        running.set(job.client, countOf(job.client) + 1);
+        order.push(job);
+    }
+    return order;
+}
 
-        // Ensure torrent error handling
-        torrent.on('error', (err) => {
-            console.error(`[${streamId}] torrent error:`, err.message);
-            if (streams[streamId]) streams[streamId].error = `torrent_error: ${err.message}`;
-        });
+// Start queued jobs while there is capacity
+function admitConversions() {
+    while (ffmpegQueue.length && activeFfmpegCount < MAX_CONCURRENT_FFMPEG) {
+        const job = queueOrder()[0];
+        ffmpegQueue.splice(ffmpegQueue.indexOf(job), 1);
+        runConversion(job);
+    }
+}
 
-        // Find playable video file
-        if (!ffmpegAvailable) {
-            console.error(`[${streamId}] ffmpeg missing; cannot create HLS.`);
-            if (streams[streamId]) streams[streamId].error = 'ffmpeg_missing';
-            return;
+function runConversion(job) {
+    activeFfmpegCount++;
+    job.state = 'running';
+    job.startedAt = Date.now();
+    if (streams[job.streamId]) streams[job.streamId].ffmpegActive = true;
+
+    const onFinish = (err) => {
+        if (job.finished) return;
+        job.finished = true;
+        job.finishedAt = Date.now();
+        job.state = job.cancelled ? 'cancelled' : (err ? 'failed' : 'done');
+        if (err && !job.cancelled) job.error = err.message;
+        activeFfmpegCount = Math.max(0, activeFfmpegCount - 1);
+        if (streams[job.streamId]) {
+            streams[job.streamId].ffmpegActive = false;
         }
+        pruneJobHistory();
+        // schedule next queued job
+        setImmediate(admitConversions);
+    };
 
-        const file = torrent.files.find((f) => /\.(mp4|mkv|webm|mov|avi|flv)$/i.test(f.name));
-        if (!file) {
-            console.error(`[${streamId}] no playable file found in torrent`);
-            if (streams[streamId]) streams[streamId].error = 'no_playable_file';
-            return;
-        }
+    try {
+        const proc = job.createProc();
+        job.proc = proc;
+        proc.on('end', () => onFinish(null));
+        proc.on('error', onFinish);
+    } catch (e) {
+        onFinish(e);
+    }
+}
 
-        console.log(`[${streamId}] using file: ${file.name} (${(file.length / (1024 * 1024)).toFixed(2)} MB)`);
+// Forget the oldest finished jobs beyond JOB_HISTORY_LIMIT
+function pruneJobHistory() {
+    let finished = 0;
+    for (const job of ffmpegJobs.values()) if (job.finished) finished++;
+    for (const [id, job] of ffmpegJobs) {
+        if (finished <= JOB_HISTORY_LIMIT) break;
+        if (!job.finished) continue;
+        ffmpegJobs.delete(id);
+        finished--;
+    }
+}
 
-        // We deliberately DO NOT write the full video file to disk here.
-        // Instead, ffmpeg reads directly from the torrent file stream and
-        // HLS segments are produced on-the-fly. This keeps disk usage low
-        // (only segments + playlist are stored). For environments with
-        // limited storage (e.g. 2GB), we enforce a retention policy below.
-        const filePath = path.join(outputFolder, file.name);
+// Queue an ffmpeg job. createProcFn should return the ffmpeg command instance.
+// Returns the job handle so callers can cancel it later (see cancelConversion).
+// `label` describes the job in /jobs; `shared` jobs (pipelines, trickplay) belong to every viewer
+// of their output and are cancelled by whoever releases it last, not with the session that queued
+// them; `onCancel` runs when the job is cancelled before it started.
+function scheduleConversion(streamId, createProcFn, { priority = 'playback', label = 'transcode', shared = false, onCancel = null } = {}) {
+    const job = {
+        id: randomBytes(4).toString('hex'),
+        streamId,
+        client: (streams[streamId] && streams[streamId].client) || streamId,
+        label,
+        shared,
+        priority,
+        rank: CONVERSION_PRIORITIES[priority],
+        state: 'queued',
+        queuedAt: Date.now(),
+        startedAt: null,
+        finishedAt: null,
+        error: null,
+        createProc: createProcFn,
+        onCancel,
+        proc: null,
+        cancelled: false,
+        finished: false
+    };
+    ffmpegJobs.set(job.id, job);
+    ffmpegQueue.push(job);
+    // If we have capacity, run immediately; otherwise it waits in the queue
+    if (activeFfmpegCount < MAX_CONCURRENT_FFMPEG) {
+        setImmediate(admitConversions);
+    }
 
-        // Extract subtitles in background if any
-        if (detectedSubs.length > 0) {
-            (async () => {
-                try {
-                    const extracted = await extractSubtitles(torrent, outputFolder, detectedSubs);
-                    if (streams[streamId]) {
-                        streams[streamId].extractedSubtitles = extracted;
-                        console.log(`[${streamId}] extracted ${extracted.length} subtitle(s)`);
-                    }
-                } catch (e) {
-                    console.error(`[${streamId}] subtitle extraction error:`, e.message);
-                }
-            })();
+    return job;
+}
+
+// Move a queued job to another priority class (a no-op once it is running)
+function reprioritizeConversion(job, priority) {
+    if (!job || job.state !== 'queued' || job.priority === priority) return;
+    console.log(`[jobs] ${job.id} (${job.label}): ${job.priority} -> ${priority}`);
+    job.priority = priority;
+    job.rank = CONVERSION_PRIORITIES[priority];
+}
+
+// Cancel a job returned by scheduleConversion: drop it from the queue if it
+// has not started yet, otherwise kill the running ffmpeg process.
+function cancelConversion(job) {
+    if (!job || job.cancelled || job.finished) return;
+    job.cancelled = true;
+
+    const idx = ffmpegQueue.indexOf(job);
+    if (idx !== -1) {
+        ffmpegQueue.splice(idx, 1);
+        job.state = 'cancelled';
+        job.finished = true;
+        job.finishedAt = Date.now();
+        pruneJobHistory();
+        if (job.onCancel) job.onCancel();
+        return;
+    }
+
+    if (job.proc) {
+        try {
+            job.proc.kill('SIGKILL');
+        } catch (e) {
+            // process may already have exited
         }
+    }
+}
 
-        // Create separate read stream for ffmpeg
-        const ffInStream = file.createReadStream();
+// Cancel every queued or running job a session started for itself (shared jobs are left to
+// their owners, see scheduleConversion)
+function cancelSessionJobs(streamId) {
+    for (const job of [...ffmpegJobs.values()]) {
+        if (job.streamId === streamId && !job.shared) cancelConversion(job);
+    }
+}
 
-        // Determine HLS segment duration dynamically based on concurrent streams
-        const segSeconds = computeSegmentDuration();
+// A job as /jobs shows it
+function describeJob(job, position = null) {
+    return {
+        id: job.id,
+        state: job.state,
+        priority: job.priority,
+        label: job.label,
+        stream_id: job.streamId,
+        client: job.client,
+        shared: job.shared,
+        queuePosition: position,
+        queuedAt: job.queuedAt,
+        startedAt: job.startedAt,
+        finishedAt: job.finishedAt,
+        waitMs: (job.startedAt || (job.finished ? job.finishedAt : Date.now())) - job.queuedAt,
+        runMs: job.startedAt ? (job.finishedAt || Date.now()) - job.startedAt : null,
+        error: job.error
+    };
+}
 
-        // Decide whether to skip ffmpeg entirely on low-memory instances and serve MP4 directly
-        const ext = path.extname(file.name || '').toLowerCase();
-        const preferCopy = ext === '.mp4';
-        const directFallbackMb = parseInt(process.env.DIRECT_MP4_FALLBACK_MEMORY_MB || String(DEFAULT_DIRECT_FALLBACK_MB), 10);
+// ---------------------------
+// Stream lifecycle: stop, cleanup and idle reaping
+// ---------------------------
+const STREAM_IDLE_TIMEOUT_MS = parseInt(process.env.STREAM_IDLE_TIMEOUT_MS || String(30 * 60 * 1000), 10); // 30 minutes
+const STREAM_REAP_INTERVAL_MS = parseInt(process.env.STREAM_REAP_INTERVAL_MS || '60000', 10);
 
-        if (preferCopy && detectedMemoryMB <= directFallbackMb) {
-            console.log(`[${streamId}] low-memory (${detectedMemoryMB}MB) — skipping ffmpeg, serving MP4 directly via range requests`);
-            streams[streamId].mode = 'direct_mp4';
-            // Mark ready so clients can request via /stream/:id (direct range streaming)
-            streams[streamId].ready = true;
-        } else {
-            // Start ffmpeg HLS conversion (scheduled to limit concurrency)
-            const createProcFn = () => {
-                const threads = parseInt(process.env.FFMPEG_THREADS || String(DEFAULT_FFMPEG_THREADS), 10) || 1;
-
-                if (preferCopy) {
-                    const cmd = ffmpeg(ffInStream)
-                        .output(path.join(outputFolder, 'playlist.m3u8'))
-                        .videoCodec('copy')
-                        .audioCodec('copy')
-                        .addOptions([
-                            '-start_number 0',
-                            `-hls_time ${segSeconds}`,
-                            '-hls_list_size 0',
-                            '-hls_segment_filename', path.join(outputFolder, 'segment_%03d.ts'),
-                            '-bsf:v', 'h264_mp4toannexb',
-                            '-fflags', '+nobuffer',
-                            '-threads', String(threads),
-                            '-f', 'hls'
-                        ])
-                        .on('start', () => console.log(`[${streamId}] ffmpeg copy-mode started (seg ${segSeconds}s)`))
-                        .on('error', (err) => {
-                            console.error(`[${streamId}] ffmpeg copy-mode error:`, err.message);
-                            if (streams[streamId]) streams[streamId].error = `ffmpeg_error: ${err.message}`;
-                        })
-                        .on('end', () => {
-                            console.log(`[${streamId}] ffmpeg copy-mode complete`);
-                            if (streams[streamId]) streams[streamId].ready = true;
-                        });
+// Remove a stream folder, refusing anything outside /tmp
+function safeRmDir(folder) {
+    try {
+        if (!folder || folder === '/' || !path.resolve(folder).startsWith('/tmp/')) return;
+        fs.rmSync(folder, { recursive: true, force: true });
+    } catch (e) {
+        console.warn(`failed to remove ${folder}:`, e.message);
+    }
+}
 
-                    cmd.run();
-                    return cmd;
-                }
+// Record client activity (HLS / Range requests) so the idle reaper leaves the stream alone
+function touchStream(id) {
+    const entry = streams[id];
+    if (entry) entry.lastActivity = Date.now();
+}
 
-                const cmd = ffmpeg(ffInStream)
-                    .output(path.join(outputFolder, 'playlist.m3u8'))
-                    .addOptions([
-                        '-profile:v baseline',
-                        '-level 3.0',
-                        '-start_number 0',
-                        `-hls_time ${segSeconds}`,
-                        '-hls_list_size 0',
-                        '-hls_segment_filename', path.join(outputFolder, 'segment_%03d.ts'),
-                        // reduce resource usage
-                        '-threads', String(threads),
-                        '-preset', 'veryfast',
-                        '-fflags', '+nobuffer',
-                        '-f', 'hls'
-                    ])
-                    .on('start', () => console.log(`[${streamId}] ffmpeg conversion started (seg ${segSeconds}s)`))
-                    .on('error', (err) => {
-                        console.error(`[${streamId}] ffmpeg error:`, err.message);
-                        if (streams[streamId]) streams[streamId].error = `ffmpeg_error: ${err.message}`;
-                    })
-                    .on('end', () => {
-                        console.log(`[${streamId}] ffmpeg conversion complete`);
-                        if (streams[streamId]) streams[streamId].ready = true;
-                    });
+// Other sessions still using the same torrent (same infoHash)
+function otherTorrentUsers(id, torrent) {
+    if (!torrent) return [];
+    return Object.keys(streams).filter((otherId) => {
+        if (otherId === id) return false;
+        const other = streams[otherId];
+        if (!other || !other.torrent) return false;
+        return other.torrent === torrent || (torrent.infoHash && other.torrent.infoHash === torrent.infoHash);
+    });
+}
+
+// Destroy the torrent unless another session still needs it. Returns true if destroyed.
+function releaseTorrent(id, torrent) {
+    if (!torrent) return false;
+    if (otherTorrentUsers(id, torrent).length > 0) {
+        console.log(`[${id}] torrent ${torrent.infoHash} still used by other sessions; keeping it`);
+        return false;
+    }
+
+    // The torrent store lives under the folder of the session that added it
+    const storePath = torrent.path;
+    try {
+        torrent.destroy({ destroyStore: true }, () => safeRmDir(storePath));
+    } catch (e) {
+        console.warn(`[${id}] torrent destroy error:`, e.message);
+    }
+    return true;
+}
+
+// Stop a stream: cancel ffmpeg, release the torrent, clear timers and remove its folder.
+// Returns false when the stream does not exist.
+function stopStream(id, reason = 'stopped') {
+    const entry = streams[id];
+    if (!entry) return false;
 
-                cmd.run();
-                return cmd;
-            };
+    console.log(`[${id}] stopping stream (${reason})`);
+    delete streams[id];
 
-            scheduleConversion(streamId, createProcFn);
+    try {
+        if (entry.poll) clearInterval(entry.poll);
+        if (entry.storageEnforcer) clearInterval(entry.storageEnforcer);
+
+        // Shared torrent pipeline: only torn down when the last viewer leaves
+        if (entry.pipeline) releasePipeline(id, entry.pipeline);
+        releaseTrickplay(id, entry.trickplay);
+        // yt-dlp conversions, preview reels, speech detection
+        cancelSessionJobs(id);
+        if (entry.ytdlp && entry.ytdlp.exitCode === null) {
+            try { entry.ytdlp.kill('SIGKILL'); } catch (e) { /* ignore */ }
         }
 
-        // Attempt to get media info if the full file exists (it won't for torrent streaming)
-        (async () => {
-            try {
-                if (fs.existsSync(filePath)) {
-                    await new Promise(r => setTimeout(r, 2000));
-                    const mediaInfo = await getMediaInfo(filePath);
-                    if (mediaInfo && streams[streamId]) {
-                        streams[streamId].mediaInfo = mediaInfo;
-                        streams[streamId].duration = mediaInfo.duration;
-                        console.log(`[${streamId}] media duration: ${mediaInfo.durationFormatted}`);
-                    }
-                }
-            } catch (e) {
-                console.error(`[${streamId}] media info error:`, e.message);
+        const torrent = entry.torrent;
+        clearEpisodePrefetch(entry);
+        clearSeekPriority(entry);
+        if (torrent && entry.torrentListeners) {
+            for (const [event, fn] of Object.entries(entry.torrentListeners)) {
+                torrent.removeListener(event, fn);
             }
-        })();
+        }
 
-        // Poll for playlist + first segment to mark ready sooner
-        const playlistPath = path.join(outputFolder, 'playlist.m3u8');
-        const poll = setInterval(() => {
-            try {
-                if (!fs.existsSync(playlistPath)) return;
-                const files = fs.readdirSync(outputFolder);
-                const segments = files.filter(f => /segment_\d+\.ts$/.test(f));
-                
-                if (segments.length > 0) {
-                    const stat = fs.statSync(playlistPath);
-                    if (stat.size > 100) { // Ensure playlist has content
-                        console.log(`[${streamId}] HLS playlist with ${segments.length} segment(s) ready`);
-                        if (streams[streamId]) {
-                            streams[streamId].ready = true;
-                            streams[streamId].playlistReady = Date.now();
-                            streams[streamId].totalSegments = segments.length;
-                        }
-                        clearInterval(poll);
-                    }
-                }
-            } catch (e) {
-                // Ignore transient file system errors
+        const destroyed = releaseTorrent(id, torrent);
+        if (!destroyed) applyFileSelection(torrent);
+        if (torrent && !destroyed && torrent.path === entry.folder) {
+            // Another session is still reading this torrent's data out of our folder:
+            // drop only our own output and leave the store to whoever releases it last.
+            const storeDir = torrent.name ? path.join(entry.folder, torrent.name) : null;
+            for (const name of fs.existsSync(entry.folder) ? fs.readdirSync(entry.folder) : []) {
+                const full = path.join(entry.folder, name);
+                if (storeDir && full === storeDir) continue;
+                fs.rmSync(full, { recursive: true, force: true });
             }
-        }, 1000);
+        } else {
+            safeRmDir(entry.folder);
+        }
+    } catch (e) {
+        console.warn(`[${id}] stopStream error:`, e.message);
+    }
 
-        // Start storage enforcer for this stream to keep folder under limit
-        const maxBytes = parseInt(process.env.MAX_STREAM_STORAGE_BYTES || String(2 * 1024 * 1024 * 1024), 10); // default 2GB
-        const enforcer = setInterval(() => enforceStorageLimit(streams[streamId], maxBytes), 15 * 1000);
+    return true;
+}
 
-        // Store enforcer to allow cleanup later
-        streams[streamId].storageEnforcer = enforcer;
+// Expire sessions that have had no HLS/Range traffic for STREAM_IDLE_TIMEOUT_MS
+function reapIdleStreams() {
+    if (!(STREAM_IDLE_TIMEOUT_MS > 0)) return;
+    const now = Date.now();
+    for (const id of Object.keys(streams)) {
+        const entry = streams[id];
+        const lastActivity = entry.lastActivity || entry.createdAt;
+        if (now - lastActivity > STREAM_IDLE_TIMEOUT_MS) {
+            stopStream(id, `idle for ${Math.round((now - lastActivity) / 1000)}s`);
+        }
+    }
+}
 
-        // Store stream metadata
-        streams[streamId].torrent = torrent;
-        streams[streamId].file = file;
-        streams[streamId].filePath = filePath;
-        streams[streamId].poll = poll;
-        streams[streamId].segmentDuration = segSeconds; // seconds, matching HLS output (dynamic)
-        streams[streamId].currentSegment = 0;
-        streams[streamId].playbackPosition = 0; // seconds
+const idleReaper = setInterval(reapIdleStreams, STREAM_REAP_INTERVAL_MS);
 
-    } catch (e) {
-        console.error(`[${streamId}] processTorrent exception:`, e.message);
-        if (streams[streamId]) streams[streamId].error = `exception: ${e.message}`;
+// ---------------------------
+// Local range proxy over torrent files (lets ffmpeg/ffprobe seek inside a torrent)
+// ---------------------------
+const torrentFileProxy = http.createServer((req, res) => {
+    const m = req.url.match(/^\/([a-f0-9]{40})\/(\d+)$/);
+    const torrent = m ? client.get(m[1]) : null;
+    const file = torrent && torrent.files ? torrent.files[parseInt(m[2], 10)] : null;
+    if (!file) {
+        res.writeHead(404);
+        return res.end();
+    }
+
+    const size = file.length;
+    let start = 0;
+    let end = size - 1;
+    const range = req.headers.range && req.headers.range.match(/bytes=(\d*)-(\d*)/);
+    if (range) {
+        if (range[1]) {
+            start = parseInt(range[1], 10);
+            if (range[2]) end = Math.min(parseInt(range[2], 10), size - 1);
+        } else if (range[2]) {
+            start = Math.max(0, size - parseInt(range[2], 10)); // suffix range
+        }
+        if (start >= size || start > end) {
+            res.writeHead(416, { 'Content-Range': `bytes */${size}` });
+            return res.end();
+        }
+        res.writeHead(206, {
+            'Content-Range': `bytes ${start}-${end}/${size}`,
+            'Content-Length': end - start + 1,
+            'Accept-Ranges': 'bytes'
+        });
+    } else {
+        res.writeHead(200, { 'Content-Length': size, 'Accept-Ranges': 'bytes' });
     }
+    if (req.method === 'HEAD') return res.end();
+
+    const stream = file.createReadStream({ start, end });
+    stream.on('error', () => res.destroy());
+    res.on('close', () => stream.destroy());
+    stream.pipe(res);
+});
+torrentFileProxy.listen(0, '127.0.0.1');
+
+function torrentFileUrl(torrent, file) {
+    return `http://127.0.0.1:${torrentFileProxy.address().port}/${torrent.infoHash}/${torrent.files.indexOf(file)}`;
 }
 
 // ---------------------------
-// POST /stream - Start torrent stream
+// Seeking: piece priority and transcode restarts
 // ---------------------------
-app.post("/stream", (req, res) => {
+const SEEK_CRITICAL_BYTES = parseInt(process.env.SEEK_CRITICAL_BYTES || String(4 * 1024 * 1024), 10);
+const SEEK_PRIORITY_BYTES = parseInt(process.env.SEEK_PRIORITY_BYTES || String(32 * 1024 * 1024), 10);
+const SEEK_LOOKAHEAD_SEGMENTS = parseInt(process.env.SEEK_LOOKAHEAD_SEGMENTS || '3', 10);
+const SEEK_RESTART_MIN_INTERVAL_MS = parseInt(process.env.SEEK_RESTART_MIN_INTERVAL_MS || '3000', 10);
+const SEEK_PRIORITY = 2; // above the default (0) and episode prefetch (1) selections
+
+// Approximate byte offset of `seconds` into the file (assumes a roughly constant bitrate)
+function timeToByteOffset(file, duration, seconds) {
+    if (!file || !(duration > 0)) return null;
+    const ratio = Math.min(1, Math.max(0, seconds / duration));
+    return Math.floor(file.length * ratio);
+}
+
+// Probe a torrent file's duration through the range proxy (ffprobe only fetches the pieces it reads)
+const SEEK_PROBE_TIMEOUT_MS = parseInt(process.env.SEEK_PROBE_TIMEOUT_MS || '15000', 10);
+async function probeTorrentFileDuration(torrent, file) {
+    const source = await probeTorrentFile(torrent, file);
+    return source ? source.duration : null;
+}
+
+// Bytes at each end of a file fetched first for a probe: the container headers, and for MP4 a
+// trailing moov atom
+const PROBE_PREFETCH_BYTES = parseInt(process.env.PROBE_PREFETCH_BYTES || String(4 * 1024 * 1024), 10);
+const MEDIA_PROBE_RETRY_MS = parseInt(process.env.MEDIA_PROBE_RETRY_MS || '10000', 10);
+// One probe per torrent file, shared by its sessions, pipelines and seeks (WebTorrent file -> Promise)
+const torrentFileProbes = new WeakMap();
+
+// Full analysis of a torrent file (see probeMedia), or null. ffprobe reads through the range proxy,
+// so it only waits for the pieces it touches rather than for the download.
+async function probeTorrentFile(torrent, file) {
+    if (!torrent || !file || torrent.destroyed) return null;
+    if (!torrentFileProbes.has(file)) {
+        prioritiseProbeRegions(torrent, file);
+        const probe = probeMedia(torrentFileUrl(torrent, file)).then((media) => {
+            // a failed probe (no peers yet, too slow) is tried again by the next caller
+            if (!media) torrentFileProbes.delete(file);
+            return media;
+        });
+        torrentFileProbes.set(file, probe);
+    }
+    return torrentFileProbes.get(file);
+}
+
+// Ask for both ends of the file at once instead of one after the other as ffprobe seeks
+function prioritiseProbeRegions(torrent, file) {
+    const pieceAt = (offset) => Math.floor((file.offset + Math.min(Math.max(offset, 0), file.length - 1)) / torrent.pieceLength);
     try {
-        const magnet = req.body.magnet;
-        if (!magnet) return res.status(400).json({ error: "magnet required" });
+        torrent.critical(pieceAt(0), pieceAt(PROBE_PREFETCH_BYTES));
+        torrent.critical(pieceAt(file.length - PROBE_PREFETCH_BYTES), pieceAt(file.length - 1));
+    } catch (e) {
+        // ignore
+    }
+}
 
-        const streamId = randomBytes(4).toString("hex");
-        const outputFolder = `/tmp/${streamId}`;
+// Store a probe on a session; its duration also completes the timeline of the session's pipeline
+function recordMediaInfo(entry, source) {
+    entry.mediaInfo = mediaInfoOf(source);
+    const track = entry.tracks && entry.tracks.find(t => t.file === entry.file);
+    if (track) track.media = source;
+    if (source.duration) recordDuration(entry, source.duration);
+}
 
-        try {
-            fs.mkdirSync(outputFolder, { recursive: true });
-        } catch (e) {
-            return res.status(500).json({ error: `failed to create output folder: ${e.message}` });
+function recordDuration(entry, duration) {
+    entry.duration = duration;
+    const pipeline = entry.pipeline;
+    if (pipeline && pipeline.file === entry.file) {
+        pipeline.duration = duration;
+        forEachPipelineStream(pipeline, (e) => { e.duration = duration; });
+    }
+}
+
+// Keep probing a session's file after a failed probe until it answers (playback has started
+// without it), then fill in the media info and the timeline length
+function retryMediaProbe(streamId, torrent, file) {
+    setTimeout(async () => {
+        const entry = streams[streamId];
+        if (!entry || entry.file !== file || entry.mediaInfo || torrent.destroyed) return;
+        const source = await probeTorrentFile(torrent, file);
+        const current = streams[streamId];
+        if (!current || current.file !== file) return;
+        if (!source) {
+            retryMediaProbe(streamId, torrent, file);
+            return;
         }
+        recordMediaInfo(current, source);
+        console.log(`[${streamId}] media info probed${source.duration ? `: ${formatDuration(source.duration)}` : ''}`);
+        attachTrickplay(streamId, torrent, file, source);
+    }, MEDIA_PROBE_RETRY_MS);
+}
 
-        // Initialize stream entry immediately
-        streams[streamId] = {
-            folder: outputFolder,
-            ready: false,
-            createdAt: Date.now(),
-            error: null
-        };
+// Remove the priority selection made by the previous seek on this target (pipeline or session)
+function clearSeekPriority(target) {
+    const sel = target.seekSelection;
+    target.seekSelection = null;
+    if (!sel || !sel.torrent || sel.torrent.destroyed) return;
+    try {
+        sel.torrent.deselect(sel.start, sel.end, SEEK_PRIORITY);
+        // WebTorrent has no call that undoes critical(), and its flags otherwise stay set until
+        // the pieces arrive
+        for (let i = sel.start; i <= sel.criticalEnd; i++) sel.torrent._critical[i] = false;
+    } catch (e) {
+        // ignore
+    }
+}
 
-        console.log(`[${streamId}] POST /stream: adding magnet`);
+// Download the region around byteOffset first: critical pieces right at the target,
+// then a high-priority window after it. Returns the piece range.
+function prioritiseFileRegion(target, torrent, file, byteOffset) {
+    clearSeekPriority(target);
+    const pieceAt = (offset) => Math.floor((file.offset + Math.min(offset, file.length - 1)) / torrent.pieceLength);
+    const start = pieceAt(byteOffset);
+    const criticalEnd = pieceAt(byteOffset + SEEK_CRITICAL_BYTES);
+    const end = pieceAt(byteOffset + SEEK_PRIORITY_BYTES);
+
+    torrent.critical(start, criticalEnd);
+    torrent.select(start, end, SEEK_PRIORITY);
+    target.seekSelection = { torrent, start, end, criticalEnd };
+    return { start, end };
+}
 
-        // Check if torrent already in client
-        const existing = client.get(magnet);
-        if (existing) {
-            console.log(`[${streamId}] reusing existing torrent`);
-            processTorrent(existing, streamId, outputFolder);
+// Index of the last segment the pipeline's current job has listed, or -1
+function jobProgress(pipeline) {
+    const job = pipeline.ffmpegJob;
+    if (!job) return -1;
+    const segments = parsePlaylistSegments(safeReadFile(path.join(primaryDir(pipeline), job.playlistName)));
+    return segments.length ? segments[segments.length - 1].index : job.startSegment - 1;
+}
+
+// Will the running job produce `segment` soon without a restart?
+function jobWillProduce(pipeline, segment) {
+    const job = pipeline.ffmpegJob;
+    if (!job || job.cancelled) return false;
+    // a job that ran to the end of the file without listing the segment never will
+    if (job.finished) return false;
+    if (!jobCovers(job, segment)) return false;
+    return segment <= Math.max(job.startSegment, jobProgress(pipeline)) + SEEK_LOOKAHEAD_SEGMENTS;
+}
+
+// Is `segment` inside the range a job was started for (VOD runs are bounded, linear jobs are not)?
+function jobCovers(job, segment) {
+    return segment >= job.startSegment && (job.endSegment == null || segment < job.endSegment);
+}
+
+// Restart the pipeline's transcode at `segment` unless it is already produced or on its way.
+// Returns true if a restart was scheduled.
+function ensurePipelineCovers(pipeline, streamId, segment, reason, force = false) {
+    // nothing to restart until the pipeline has started its first job
+    if (!pipeline || !pipeline.file || !pipeline.ffmpegJob) return false;
+    const name = segmentFileName(segment, pipeline.format);
+    const dir = primaryDir(pipeline);
+    const listed = listedSegments(dir).has(name);
+    if (listed && fs.existsSync(path.join(dir, name))) return false;
+    if (pipeline.evictedSegments.has(name)) return false;
+    if (pipeline.duration > 0 && segment * pipeline.segmentDuration >= pipeline.duration) return false;
+    if (jobWillProduce(pipeline, segment)) {
+        // a readahead run still waiting in the queue is now what a viewer is waiting for
+        if (pipeline.ffmpegJob.priority === 'background') reprioritizeConversion(pipeline.ffmpegJob, 'seek');
+        return false;
+    }
+
+    const job = pipeline.ffmpegJob;
+    // ffmpeg already ran over this segment without listing it: past the end of the file.
+    // (A listed segment that is gone was dropped from the VOD cache and is simply produced again.)
+    if (job && job.finished && !job.cancelled && jobCovers(job, segment) && !listed) return false;
+    // don't thrash when several viewers of a shared pipeline pull it in different directions
+    if (!force && job && !job.finished && Date.now() - job.queuedAt < SEEK_RESTART_MIN_INTERVAL_MS) return false;
+
+    const byteOffset = timeToByteOffset(pipeline.file, pipeline.duration, segment * pipeline.segmentDuration);
+    if (byteOffset !== null) prioritiseFileRegion(pipeline, pipeline.torrent, pipeline.file, byteOffset);
+    restartPipelineAt(pipeline, streamId, segment, reason);
+    return true;
+}
+
+// ---------------------------
+// Transcode presets: named output settings, built in or loaded from TRANSCODE_PRESETS_FILE
+// ---------------------------
+// A preset is { description, video, audio }:
+//   video: "copy" | null (audio-only output) | { codec: "h264"|"hevc", profile, level, preset (x264/x265 speed),
+//          crf | bitrate (kbit/s), maxHeight, maxFrameRate }
+//   audio: "copy" | { codec: "aac", bitrate (kbit/s; ffmpeg's default, or for audio-only output the
+//          source's own), channels: "mono"|"stereo"|"5.1" }
+const TRANSCODE_PRESETS_FILE = process.env.TRANSCODE_PRESETS_FILE || 'presets.json';
+const DEFAULT_PRESET = 'h264-baseline';
+const BUILTIN_PRESETS = {
+    'h264-baseline': {
+        description: 'H.264 baseline at the source size (used when a file can\'t be copied)',
+        video: { codec: 'h264', profile: 'baseline', level: '3.0', preset: 'veryfast' },
+        audio: { codec: 'aac' }
+    },
+    copy: {
+        description: 'Video and audio copied as they are (audio HLS can\'t carry is re-encoded to AAC)',
+        video: 'copy',
+        audio: 'copy'
+    },
+    'mobile-480p': {
+        description: 'H.264 main at up to 480p/30fps, stereo AAC',
+        video: { codec: 'h264', profile: 'main', level: '3.0', preset: 'veryfast', crf: 26, maxHeight: 480, maxFrameRate: 30 },
+        audio: { codec: 'aac', bitrate: 96, channels: 'stereo' }
+    },
+    'hd-720p': {
+        description: 'H.264 main at up to 720p, stereo AAC',
+        video: { codec: 'h264', profile: 'main', level: '3.1', preset: 'veryfast', crf: 23, maxHeight: 720, maxFrameRate: 60 },
+        audio: { codec: 'aac', bitrate: 128, channels: 'stereo' }
+    },
+    'audio-aac': {
+        description: 'Audio only, AAC (lossless sources at AUDIO_LOSSLESS_BITRATE)',
+        video: null,
+        audio: { codec: 'aac' }
+    },
+    'audio-copy': {
+        description: 'Audio only, AAC sources copied (anything else re-encoded as audio-aac)',
+        video: null,
+        audio: 'copy'
+    }
+};
+const PRESET_VIDEO_CODECS = { h264: { encoder: 'libx264', profiles: ['baseline', 'main', 'high'] }, hevc: { encoder: 'libx265', profiles: ['main', 'main10'] } };
+const ENCODER_SPEEDS = ['ultrafast', 'superfast', 'veryfast', 'faster', 'fast', 'medium', 'slow', 'slower', 'veryslow'];
+const AUDIO_CHANNEL_LAYOUTS = { mono: 1, stereo: 2, '5.1': 6 };
+// Names the server picks by itself with a fixed meaning, so the presets file can't redefine them
+const RESERVED_PRESET_NAMES = ['abr', 'copy', 'audio-copy'];
+
+// Problems with a preset definition (empty when it is usable)
+function validatePreset(def) {
+    const errors = [];
+    if (!def || typeof def !== 'object') return ['must be an object'];
+    const { video, audio } = def;
+    if (video !== null && video !== 'copy') {
+        if (!video || typeof video !== 'object') {
+            errors.push('video must be "copy", null or an object');
         } else {
-            // Add new torrent; callback fires when metadata is available
-            client.add(magnet, { path: outputFolder }, (torrent) => {
-                processTorrent(torrent, streamId, outputFolder);
-            }).on('error', (err) => {
-                console.error(`[${streamId}] client.add error:`, err.message);
-                streams[streamId].error = `add_error: ${err.message}`;
-            });
+            const codec = PRESET_VIDEO_CODECS[video.codec || 'h264'];
+            if (!codec) errors.push(`video.codec must be one of: ${Object.keys(PRESET_VIDEO_CODECS).join(', ')}`);
+            if (codec && video.profile !== undefined && !codec.profiles.includes(video.profile)) errors.push(`video.profile must be one of: ${codec.profiles.join(', ')}`);
+            if (video.level !== undefined && !/^\d(\.\d)?$/.test(String(video.level))) errors.push('video.level must look like "3.1"');
+            if (video.preset !== undefined && !ENCODER_SPEEDS.includes(video.preset)) errors.push(`video.preset must be one of: ${ENCODER_SPEEDS.join(', ')}`);
+            if (video.crf !== undefined && video.bitrate !== undefined) errors.push('video takes crf or bitrate, not both');
+            if (video.crf !== undefined && !(Number.isInteger(video.crf) && video.crf >= 0 && video.crf <= 51)) errors.push('video.crf must be an integer 0-51');
+            if (video.bitrate !== undefined && !(Number.isInteger(video.bitrate) && video.bitrate >= 100)) errors.push('video.bitrate must be at least 100 (kbit/s)');
+            if (video.maxHeight !== undefined && !(Number.isInteger(video.maxHeight) && video.maxHeight >= 144 && video.maxHeight <= 2160 && video.maxHeight % 2 === 0)) errors.push('video.maxHeight must be an even number of pixels between 144 and 2160');
+            if (video.maxFrameRate !== undefined && !(video.maxFrameRate > 0 && video.maxFrameRate <= 120)) errors.push('video.maxFrameRate must be between 0 and 120');
         }
+    }
+    if (audio !== 'copy') {
+        if (!audio || typeof audio !== 'object') {
+            errors.push('audio must be "copy" or an object');
+        } else {
+            if ((audio.codec || 'aac') !== 'aac') errors.push('audio.codec must be aac');
+            if (audio.bitrate !== undefined && !(Number.isInteger(audio.bitrate) && audio.bitrate >= 32 && audio.bitrate <= 512)) errors.push('audio.bitrate must be 32-512 (kbit/s)');
+            if (audio.channels !== undefined && !AUDIO_CHANNEL_LAYOUTS[audio.channels]) errors.push(`audio.channels must be one of: ${Object.keys(AUDIO_CHANNEL_LAYOUTS).join(', ')}`);
+        }
+    }
+    return errors;
+}
 
-        // Return immediately with stream_id and URLs
-        res.json({
-            stream_id: streamId,
-            hls_url: `/hls/${streamId}/playlist.m3u8`,
-            mp4_url: `/stream/${streamId}`,
-            status_url: `/status/${streamId}`
-        });
-
+// Built-in presets plus the valid ones from the presets file (which may override built-ins other
+// than the reserved ones)
+function loadTranscodePresets() {
+    const presets = { ...BUILTIN_PRESETS };
+    const file = path.resolve(TRANSCODE_PRESETS_FILE);
+    if (!fs.existsSync(file)) return presets;
+    try {
+        const defs = JSON.parse(fs.readFileSync(file, 'utf8'));
+        let loaded = 0;
+        for (const [name, def] of Object.entries(defs)) {
+            const errors = !/^[a-z0-9][a-z0-9._-]*$/i.test(name) ? ['name must be letters, digits, ".", "_" or "-"']
+                : RESERVED_PRESET_NAMES.includes(name) ? [`"${name}" is reserved`]
+                : validatePreset(def);
+            if (errors.length) {
+                console.error(`[presets] ignoring "${name}": ${errors.join('; ')}`);
+                continue;
+            }
+            presets[name] = { description: def.description || null, video: def.video, audio: def.audio };
+            loaded++;
+        }
+        console.log(`[presets] loaded ${loaded} preset(s) from ${file}`);
     } catch (e) {
-        console.error('POST /stream exception:', e);
-        res.status(500).json({ error: e.message });
+        console.error(`[presets] failed to read ${file}:`, e.message);
     }
-});
+    return presets;
+}
 
-app.post("/subtitles", async (req, res) => {
-  const { magnet } = req.body;
+const TRANSCODE_PRESETS = loadTranscodePresets();
 
-  if (!magnet || !magnet.startsWith("magnet:?")) {
-    return res.status(400).json({ error: "Invalid magnet link" });
-  }
+// Why this instance can't run a preset right now (CPU/memory budget, see computeRuntimeDefaults), or null
+function presetBudgetError(preset, budget = computeRuntimeDefaults()) {
+    const video = preset.video;
+    if (!video || video === 'copy') return null;
+    if (video.codec === 'hevc' && budget.cpus < 4) return `HEVC encoding needs at least 4 CPUs (have ${budget.cpus})`;
+    if (video.maxHeight > budget.maxRenditionHeight) return `${video.maxHeight}p encoding is above this instance's ${budget.maxRenditionHeight}p budget`;
+    return null;
+}
 
-  const client = new WebTorrent();
+// `profile` from a request body: { profile } (null for the automatic choice) or { error }
+function parseProfile(value, format) {
+    if (value === undefined || value === null || value === '') return { profile: null };
+    const preset = TRANSCODE_PRESETS[value];
+    if (!preset) return { error: `profile must be one of: ${Object.keys(TRANSCODE_PRESETS).join(', ')}` };
+    const budgetError = presetBudgetError(preset);
+    if (budgetError) return { error: `profile "${value}" exceeds the resource budget: ${budgetError}` };
+    if (preset.video && preset.video.codec === 'hevc' && format !== 'cmaf') return { error: `profile "${value}" encodes HEVC, which needs format "cmaf"` };
+    if (!preset.video && format === 'cmaf') return { error: `profile "${value}" is audio-only, which needs format "ts"` };
+    return { profile: value };
+}
 
-  try {
-    client.add(magnet, { destroyStoreOnDestroy: true }, (torrent) => {
-      
-      const subtitles = torrent.files
-        .filter(f => f.name.endsWith(".srt") || f.name.endsWith(".vtt"))
-        .map(f => {
-          const fileMagnet =
-            `magnet:?xt=urn:btih:${torrent.infoHash}` +
-            `&dn=${encodeURIComponent(f.name)}` +
-            torrent.announce.map(tr => `&tr=${encodeURIComponent(tr)}`).join("");
+// RFC 6381 codec string of a preset's encoder output (at the level it is asked for)
+function presetCodecString(video) {
+    const level = Math.round(parseFloat(video.level || '3.0') * 10);
+    if (video.codec === 'hevc') return `hvc1.${video.profile === 'main10' ? '2.4' : '1.6'}.L${level * 3}.B0`;
+    const profile = { baseline: '42c0', main: '4d40', high: '6400' }[video.profile || 'high'];
+    return `avc1.${profile}${level.toString(16).padStart(2, '0')}`;
+}
 
-          return {
-            name: f.name,
-            magnet: fileMagnet
-          };
-        });
+// Encoder options for a preset's video on output stream `spec` ("v", or "v:0" for a rendition)
+function presetVideoOptions(video, spec) {
+    const options = [`-c:${spec}`, PRESET_VIDEO_CODECS[video.codec || 'h264'].encoder];
+    if (video.profile) options.push(`-profile:${spec}`, video.profile);
+    if (video.level) options.push(`-level:${spec}`, String(video.level));
+    options.push(`-preset:${spec}`, video.preset || 'veryfast');
+    if (video.crf !== undefined) options.push(`-crf:${spec}`, String(video.crf));
+    if (video.bitrate) {
+        options.push(`-b:${spec}`, `${video.bitrate}k`, `-maxrate:${spec}`, `${Math.round(video.bitrate * 1.07)}k`, `-bufsize:${spec}`, `${Math.round(video.bitrate * 1.5)}k`);
+    }
+    // Apple players only accept HEVC tagged hvc1
+    if (video.codec === 'hevc') options.push(`-tag:${spec}`, 'hvc1');
+    return options;
+}
 
-      client.destroy();
-      res.json({ subtitles });
-    });
+// Scale/frame-rate filter for a preset's limits, or null. The frame rate is only capped when the
+// probe shows the source above it (fps would otherwise duplicate frames).
+function presetVideoFilter(video, source) {
+    const filters = [];
+    if (video.maxHeight) filters.push(`scale=-2:'min(${video.maxHeight},ih)'`);
+    if (video.maxFrameRate && source && source.frameRate > video.maxFrameRate) filters.push(`fps=${video.maxFrameRate}`);
+    return filters.length ? filters.join(',') : null;
+}
 
-    setTimeout(() => {
-      client.destroy();
-      res.status(504).json({ error: "Timeout fetching metadata" });
-    }, 15000);
+// Channel count a preset's audio asks for, or null to keep the source's
+function presetAudioChannels(preset) {
+    return preset.audio && preset.audio !== 'copy' && preset.audio.channels ? AUDIO_CHANNEL_LAYOUTS[preset.audio.channels] : null;
+}
 
-  } catch (err) {
-    client.destroy();
-    res.status(500).json({ error: err.message || "Internal server error" });
-  }
-});
+// ---------------------------
+// Adaptive bitrate ladder: several renditions from one ffmpeg (-var_stream_map) + master.m3u8
+// ---------------------------
+// HLS_RENDITIONS: "auto" (ladder sized by the CPU/memory budget), "off", or a list such as "720p,480p,360p"
+const HLS_RENDITIONS = (process.env.HLS_RENDITIONS || 'auto').trim().toLowerCase();
+const HLS_MASTER_NAME = 'master.m3u8';
+
+// Bitrates in kbit/s. codec is the RFC 6381 avc1 string for x264's output at that profile/level.
+const RENDITION_PRESETS = {
+    '1080p': { height: 1080, videoBitrate: 5000, audioBitrate: 128, profile: 'high', level: '4.1', codec: 'avc1.640029' },
+    '720p': { height: 720, videoBitrate: 2800, audioBitrate: 128, profile: 'main', level: '3.1', codec: 'avc1.4d401f' },
+    '480p': { height: 480, videoBitrate: 1400, audioBitrate: 96, profile: 'main', level: '3.0', codec: 'avc1.4d401e' },
+    '360p': { height: 360, videoBitrate: 800, audioBitrate: 96, profile: 'baseline', level: '3.0', codec: 'avc1.42c01e' }
+};
+
+// Is the ABR profile used for new pipelines? (auto only when the budget allows more than one rendition)
+function abrEnabled() {
+    if (HLS_RENDITIONS === 'off') return false;
+    if (HLS_RENDITIONS === 'auto') return computeRuntimeDefaults().maxRenditions > 1;
+    return configuredRenditionNames().length > 0;
+}
 
-// Optional endpoint to serve subtitle content if needed
-app.get("/subtitle/:infoHash/:fileName", async (req, res) => {
-  const { infoHash, fileName } = req.params;
-  const client = new WebTorrent();
+function configuredRenditionNames() {
+    if (HLS_RENDITIONS === 'auto' || HLS_RENDITIONS === 'off') return Object.keys(RENDITION_PRESETS);
+    return HLS_RENDITIONS.split(',').map(n => n.trim()).filter(n => RENDITION_PRESETS[n]);
+}
 
-  client.add(`magnet:?xt=urn:btih:${infoHash}`, { destroyStoreOnDestroy: true }, (torrent) => {
-    const file = torrent.files.find(f => encodeURIComponent(f.name) === fileName);
-    if (!file) {
-      client.destroy();
-      return res.status(404).send("Subtitle not found");
+// Renditions for a probed source, highest first: never upscaled, and in auto mode limited to the
+// runtime budget. Each gets an even output width matching the source aspect ratio.
+function buildRenditionLadder(source) {
+    let presets = configuredRenditionNames()
+        .map(name => ({ name, ...RENDITION_PRESETS[name] }))
+        .sort((a, b) => b.height - a.height);
+    const lowest = presets[presets.length - 1];
+
+    presets = presets.filter(r => r.height <= source.height);
+    if (HLS_RENDITIONS === 'auto') {
+        const budget = computeRuntimeDefaults();
+        presets = presets.filter(r => r.height <= budget.maxRenditionHeight).slice(0, budget.maxRenditions);
     }
+    // small sources still get one rendition at their own size
+    if (presets.length === 0) presets = [{ ...lowest, name: `${source.height}p`, height: source.height - (source.height % 2) }];
+
+    return presets.map(r => ({
+        ...r,
+        width: Math.round((source.width * r.height) / source.height / 2) * 2,
+        maxrate: Math.round(r.videoBitrate * 1.07),
+        bufsize: Math.round(r.videoBitrate * 1.5)
+    }));
+}
 
-    // Stream subtitle
-    res.setHeader("Content-Type", "text/plain");
-    file.createReadStream().pipe(res);
+// Directories holding a pipeline's playlists and segments: one per rendition (plus the separate
+// audio renditions), or the folder itself
+function pipelineDirs(pipeline) {
+    if (!pipeline.renditions) return [pipeline.folder];
+    const names = pipeline.renditions.map(r => r.name);
+    if (pipeline.separateAudio) names.push(...pipeline.audioTracks.map(t => t.name));
+    return names.map(name => path.join(pipeline.folder, name));
+}
 
-    file.getBuffer(() => {
-      client.destroy();
+// Renditions are produced in lockstep by one ffmpeg, so the first one stands for all of them
+// when checking progress
+function primaryDir(pipeline) {
+    return pipelineDirs(pipeline)[0];
+}
+
+// Master playlist listing every rendition (pipeline or yt-dlp session output); BANDWIDTH is the
+// peak rate plus ~10% container overhead. Separate audio tracks and embedded subtitles are
+// EXT-X-MEDIA renditions, audio defaulting to the session's preferred language.
+function masterPlaylist(output, audioLanguage) {
+    const lines = ['#EXTM3U', `#EXT-X-VERSION:${output.format === 'cmaf' ? 7 : 3}`];
+    if (output.separateAudio) {
+        const preferred = defaultAudioTrack(output.audioTracks, audioLanguage);
+        const labels = new Set();
+        for (const t of output.audioTracks) {
+            // NAME must be unique within the group
+            let label = t.title || (t.language ? languageName(t.language) : `Audio ${t.index + 1}`);
+            if (labels.has(label)) label = `${label} ${t.index + 1}`;
+            labels.add(label);
+            const attrs = [`TYPE=AUDIO`, `GROUP-ID="${AUDIO_GROUP_ID}"`];
+            if (t.language) attrs.push(`LANGUAGE="${languageTag(t.language)}"`);
+            attrs.push(`NAME="${label.replace(/"/g, "'")}"`, `DEFAULT=${t === preferred ? 'YES' : 'NO'}`, 'AUTOSELECT=YES', `CHANNELS="${output.audioChannels || 2}"`, `URI="${t.name}/${HLS_PLAYLIST_NAME}"`);
+            lines.push(`#EXT-X-MEDIA:${attrs.join(',')}`);
+        }
+    }
+    const subtitles = output.subtitleTracks || [];
+    const subtitleLabels = new Set();
+    // at most one DEFAULT=YES per group
+    const defaultSubtitle = subtitles.find(t => t.default && !t.forced);
+    for (const t of subtitles) {
+        let label = t.title || (t.language ? languageName(t.language) : `Subtitles ${t.index + 1}`);
+        if (subtitleLabels.has(label)) label = `${label} ${t.index + 1}`;
+        subtitleLabels.add(label);
+        const attrs = ['TYPE=SUBTITLES', `GROUP-ID="${SUBTITLE_GROUP_ID}"`];
+        if (t.language) attrs.push(`LANGUAGE="${languageTag(t.language)}"`);
+        attrs.push(`NAME="${label.replace(/"/g, "'")}"`, `DEFAULT=${t === defaultSubtitle ? 'YES' : 'NO'}`, 'AUTOSELECT=YES', `FORCED=${t.forced ? 'YES' : 'NO'}`, `URI="${t.name}/${HLS_PLAYLIST_NAME}"`);
+        lines.push(`#EXT-X-MEDIA:${attrs.join(',')}`);
+    }
+    for (const r of output.renditions) {
+        const audio = output.hasAudio ? (output.separateAudio ? AUDIO_RENDITION_BITRATE : r.audioBitrate) : 0;
+        const attrs = [
+            `BANDWIDTH=${Math.round(((r.maxrate || r.videoBitrate) + audio) * 1100)}`,
+            `AVERAGE-BANDWIDTH=${Math.round((r.videoBitrate + audio) * 1100)}`
+        ];
+        if (r.width && r.height) attrs.push(`RESOLUTION=${r.width}x${r.height}`);
+        if (r.codec) attrs.push(`CODECS="${output.hasAudio ? `${r.codec},mp4a.40.2` : r.codec}"`);
+        if (output.separateAudio) attrs.push(`AUDIO="${AUDIO_GROUP_ID}"`);
+        if (subtitles.length) attrs.push(`SUBTITLES="${SUBTITLE_GROUP_ID}"`);
+        lines.push(`#EXT-X-STREAM-INF:${attrs.join(',')}`, `${r.name}/${HLS_PLAYLIST_NAME}`);
+    }
+    return lines.join('\n') + '\n';
+}
+
+// ---------------------------
+// Audio tracks: several source audio streams (dubbed releases) become alternate audio renditions
+// ---------------------------
+const AUDIO_RENDITION_NAME = 'audio';
+const AUDIO_GROUP_ID = 'aud';
+const AUDIO_RENDITION_BITRATE = 128; // kbit/s, stereo AAC
+
+// Audio tracks of a probed source with their rendition names: "audio" for a single track,
+// otherwise audio_<language> (audio_<n> when untagged). Without a probe one track is assumed.
+function buildAudioTracks(source) {
+    const list = source ? source.audioStreams : [{ index: 0, codec: null, channels: null, language: null, title: null, default: true }];
+    const used = new Set();
+    return list.map((st) => {
+        let name = AUDIO_RENDITION_NAME;
+        if (list.length > 1) {
+            name = st.language ? `audio_${st.language}` : `audio_${st.index}`;
+            if (used.has(name)) name = `${name}_${st.index}`;
+        }
+        used.add(name);
+        return { ...st, name };
     });
-  });
-});
+}
+
+// Track a session plays by default: its preferred language, else the source's default track, else the first
+function defaultAudioTrack(tracks, language) {
+    if (!tracks || !tracks.length) return null;
+    return (language && tracks.find(t => t.language === language)) || tracks.find(t => t.default) || tracks[0];
+}
+
+function isAudioRendition(output, rendition) {
+    return !!output.separateAudio && output.audioTracks.some(t => t.name === rendition);
+}
 
 // ---------------------------
-// GET /subtitles/:id - Return subtitle magnet links directly
+// Embedded subtitles: text tracks inside the video extracted to WebVTT and served as HLS
+// subtitle renditions
 // ---------------------------
-app.get('/subtitles/:id', (req, res) => {
+const SUBTITLE_GROUP_ID = 'subs';
+const SUBTITLE_SEGMENT_PATTERN = /^segment_(\d+)\.vtt$/;
+// Tracks are extracted SUBTITLE_WINDOW_SECONDS of media at a time, as players ask for them: ffmpeg
+// seeks the range proxy to the window, so a viewer starting (or seeking) mid-file with subtitles on
+// only downloads what they watch, where one pass from byte 0 would pull in everything before it
+// first. The trade-off: the sub_<lang>.vtt download and subtitle sync only see the windows
+// extracted so far.
+const SUBTITLE_WINDOW_SECONDS = parseInt(process.env.SUBTITLE_WINDOW_SECONDS || '300', 10);
+// each window is read from this long before its start, so cues that began earlier are kept
+const SUBTITLE_WINDOW_LEAD_SECONDS = 10;
+
+// Text subtitle tracks of a probed source with their rendition names (sub_<language>, sub_<n>
+// when untagged) and the WebVTT file each is extracted to
+function buildSubtitleTracks(source, folder) {
+    if (!source) return [];
+    const used = new Set();
+    return source.subtitleStreams.filter(st => st.text).map((st) => {
+        let name = st.language ? `sub_${st.language}` : `sub_${st.index}`;
+        if (used.has(name)) name = `${name}_${st.index}`;
+        used.add(name);
+        return { ...st, name, path: path.join(folder, `${name}.vtt`) };
+    });
+}
+
+function findSubtitleTrack(output, rendition) {
+    return (output.subtitleTracks || []).find(t => t.name === rendition) || null;
+}
+
+// Parsed cues of an extracted track, re-read only when the file has grown
+function subtitleTrackCues(track) {
+    let size = 0;
     try {
-        const entry = streams[req.params.id];
-        if (!entry || !entry.torrent) {
-            return res.status(404).json({ error: 'stream not found or torrent missing' });
-        }
+        size = fs.statSync(track.path).size;
+    } catch (e) {
+        return [];
+    }
+    if (!track.cueCache || track.cueCache.size !== size) {
+        track.cueCache = { size, cues: parseVttCues(safeReadFile(track.path)) };
+    }
+    return track.cueCache.cues;
+}
 
-        const torrent = entry.torrent;
+// Begin subtitle extraction for a probed pipeline: the first window right away, the rest as
+// their segments are requested (see requestSubtitleWindows)
+function startSubtitleExtraction(pipeline, streamId, source) {
+    pipeline.subtitleWindows = new Map(); // index -> { job, done }
+    pipeline.subtitleDuration = (source && source.duration) || null;
+    pipeline.subtitleStartTime = (source && source.startTime) || 0;
+    startSubtitleWindow(pipeline, streamId, 0);
+}
 
-        // Filter subtitle files inside torrent
-        const subtitleFiles = torrent.files.filter(f => f.name.endsWith('.srt') || f.name.endsWith('.vtt'));
+const subtitleWindowsOf = (start, end) => ({
+    first: Math.floor(start / SUBTITLE_WINDOW_SECONDS),
+    last: Math.floor(Math.max(start, end - 0.001) / SUBTITLE_WINDOW_SECONDS)
+});
 
-        if (subtitleFiles.length === 0) {
-            return res.json({ subtitles: [] });
+// Queue the windows covering start..end, plus the next one so its cues are ready when playback
+// crosses into it
+function requestSubtitleWindows(pipeline, streamId, start, end) {
+    const { first, last } = subtitleWindowsOf(start, end);
+    for (let i = first; i <= last + 1; i++) startSubtitleWindow(pipeline, streamId, i);
+}
+
+// Have the windows covering start..end been extracted (or failed)?
+function subtitleWindowsDone(pipeline, start, end) {
+    const { first, last } = subtitleWindowsOf(start, end);
+    for (let i = first; i <= last; i++) {
+        const window = pipeline.subtitleWindows.get(i);
+        if (!window || !window.done) return false;
+    }
+    return true;
+}
+
+// Extract every text subtitle track for one window in a single ffmpeg run. It only demuxes, but
+// it is still an ffmpeg process, so it waits in the queue in its own class, after playback and
+// seeks; subtitle segments are held until their window is done (see serveSubtitleRendition).
+function startSubtitleWindow(pipeline, streamId, index) {
+    if (pipeline.subtitleWindows.has(index) || pipelines[pipeline.key] !== pipeline) return;
+    const start = index * SUBTITLE_WINDOW_SECONDS;
+    if (pipeline.subtitleDuration && start >= pipeline.subtitleDuration) return;
+    const window = { job: null, done: false };
+    pipeline.subtitleWindows.set(index, window);
+
+    const tracks = pipeline.subtitleTracks;
+    const outputs = tracks.map(t => path.join(pipeline.folder, `${t.name}_${index}.vtt`));
+    const from = Math.max(0, start - SUBTITLE_WINDOW_LEAD_SECONDS);
+    const range = `${start}-${start + SUBTITLE_WINDOW_SECONDS}s`;
+    window.job = scheduleConversion(streamId, () => {
+        // -copyts keeps cue times absolute: without it subtitles are shifted by the keyframe the
+        // seek landed on rather than by -ss. An input -t doesn't stop a subtitle-only read, an
+        // output -to (on those absolute times) does.
+        const cmd = ffmpeg(torrentFileUrl(pipeline.torrent, pipeline.file))
+            .inputOptions(['-ss', String(from), '-copyts']);
+        const to = String(start + SUBTITLE_WINDOW_SECONDS + pipeline.subtitleStartTime);
+        tracks.forEach((t, i) => {
+            cmd.output(outputs[i]).outputOptions(['-map', `0:s:${t.index}`, '-to', to, '-c:s', 'webvtt', '-f', 'webvtt']);
+        });
+        cmd.on('start', () => console.log(`[pipeline ${pipeline.key}] extracting subtitles ${range}: ${tracks.map(t => t.name).join(', ')}`))
+            .on('error', (err) => {
+                // a killed extraction (pipeline torn down) also lands here
+                if (pipelines[pipeline.key] !== pipeline) return;
+                console.error(`[pipeline ${pipeline.key}] subtitle extraction (${range}) error:`, err.message);
+                window.done = true;
+            })
+            .on('end', () => {
+                mergeSubtitleWindow(tracks, outputs, pipeline.subtitleStartTime);
+                window.done = true;
+            });
+        cmd.run();
+        return cmd;
+    }, { priority: 'subtitles', label: `pipeline ${pipeline.key} subtitles ${range}`, shared: true });
+}
+
+// Add a window's cues to each track's WebVTT file. Cues the neighbouring window already has (read
+// again through the lead) are skipped.
+function mergeSubtitleWindow(tracks, outputs, startTime) {
+    const cueKey = (c) => `${Math.round(c.start * 1000)}|${c.text}`;
+    tracks.forEach((t, i) => {
+        const existing = subtitleTrackCues(t);
+        const seen = new Set(existing.map(cueKey));
+        const added = parseVttCues(safeReadFile(outputs[i]))
+            .map(c => ({ ...c, start: c.start - startTime, end: c.end - startTime }))
+            .filter(c => !seen.has(cueKey(c)));
+        fs.rmSync(outputs[i], { force: true });
+        if (!added.length && fs.existsSync(t.path)) return;
+        fs.writeFileSync(t.path, serializeSubtitles(existing.concat(added).sort((a, b) => a.start - b.start), 'vtt'));
+    });
+}
+
+// Start/end times of the segments in a served playlist; after a discontinuity the segment sits at
+// its place on the segment grid
+function playlistTimeline(text, segDur) {
+    const timeline = [];
+    let t = 0;
+    let prev = null;
+    for (const seg of parsePlaylistSegments(text)) {
+        if (prev !== null && seg.index !== prev + 1) t = seg.index * segDur;
+        const duration = seg.duration || segDur;
+        timeline.push({ index: seg.index, start: t, end: t + duration });
+        t += duration;
+        prev = seg.index;
+    }
+    return timeline;
+}
+
+// Subtitle media playlist: the video playlist's timeline with WebVTT segments in place of the media
+function subtitlePlaylist(entry) {
+    const video = servedPlaylist(entry, hlsOutputOf(entry).renditions[0].name);
+    if (!video) return null;
+    return video.split('\n')
+        .filter(line => !line.startsWith('#EXT-X-MAP'))
+        .map(line => line.replace(HLS_SEGMENT_PATTERN, (name, index) => `segment_${index}.vtt`))
+        .join('\n');
+}
+
+// One WebVTT segment: the cues overlapping its time range. X-TIMESTAMP-MAP ties cue time 0 to
+// the media timeline: MPEG-TS output starts at ffmpeg's default 1.4 s muxing offset, fMP4 at 0.
+function subtitleSegment(entry, track, index) {
+    const output = hlsOutputOf(entry);
+    const timeline = playlistTimeline(servedPlaylist(entry, output.renditions[0].name), output.segmentDuration || 4);
+    const seg = timeline.find(s => s.index === index);
+    if (!seg) return null;
+    const mpegts = output.format === 'cmaf' ? 0 : 126000;
+    const lines = ['WEBVTT', `X-TIMESTAMP-MAP=MPEGTS:${mpegts},LOCAL:00:00:00.000`, ''];
+    for (const cue of subtitleTrackCues(track)) {
+        if (cue.end <= seg.start || cue.start >= seg.end) continue;
+        lines.push(`${formatVttTimestamp(cue.start)} --> ${formatVttTimestamp(cue.end)}${cue.settings ? ` ${cue.settings}` : ''}`, cue.text, '');
+    }
+    return { body: lines.join('\n') + '\n', start: seg.start, end: seg.end };
+}
+
+// Embedded tracks in the shape of extractedSubtitles entries
+function embeddedSubtitlesOf(entry) {
+    const output = hlsOutputOf(entry);
+    return (output.subtitleTracks || []).map((t) => {
+        let size = 0;
+        try {
+            size = fs.statSync(t.path).size;
+        } catch (e) {
+            // not written yet
+        }
+        return { name: `${t.name}.vtt`, path: t.path, language: t.language || 'unknown', ext: 'vtt', size, encoding: 'utf-8', embedded: true, title: t.title, forced: t.forced };
+    });
+}
+
+// Sidecar subtitles copied from the torrent, the embedded tracks extracted from the video and
+// the files written by POST /convert-subtitle
+function sessionSubtitles(entry) {
+    return (entry.extractedSubtitles || []).concat(embeddedSubtitlesOf(entry), entry.convertedSubtitles || []);
+}
+
+// A session subtitle by its listed name or file name, or null. Only listed subtitles resolve:
+// the stream folder also holds segments, covers and other files that aren't subtitles.
+function findSessionSubtitle(entry, filename) {
+    return sessionSubtitles(entry).find(s => s.name === filename || path.basename(s.path) === filename) || null;
+}
+
+// Frame rate of the session's video (MicroDVD timing), or null when it can't be probed. Torrent
+// files share the cached probe; a yt-dlp download was probed once when it finished.
+async function sessionFrameRate(entry) {
+    if (entry.torrent) {
+        const source = entry.file ? await probeTorrentFile(entry.torrent, entry.file) : null;
+        return source ? source.frameRate : null;
+    }
+    const video = entry.mediaInfo && entry.mediaInfo.video.find(v => !v.attachedPicture && v.width > 0);
+    return video ? video.frameRate : null;
+}
+
+// ---------------------------
+// CMAF output: fragmented-MP4 segments shared by the HLS playlists and a DASH manifest
+// ---------------------------
+const OUTPUT_FORMATS = ['ts', 'cmaf'];
+const CMAF_INIT_NAME = 'init.mp4';
+const DASH_MANIFEST_NAME = 'manifest.mpd';
+// init.mp4, or the per-variant init_<n>.mp4 ffmpeg writes for multi-variant output
+const CMAF_INIT_PATTERN = /^init(_\d+)?\.mp4$/;
+
+// `format` from a request body: { format } or { error }
+function parseOutputFormat(value) {
+    if (value === undefined || value === null || value === '') return { format: 'ts' };
+    const format = String(value).toLowerCase();
+    if (format === 'hls') return { format: 'ts' };
+    if (!OUTPUT_FORMATS.includes(format)) return { error: `format must be one of: ${OUTPUT_FORMATS.join(', ')}` };
+    return { format };
+}
+
+// The one rendition of a stream without an ABR ladder: the source video copied when the caller
+// found it copyable (see videoCopyBlocker), otherwise re-encoded with the preset (the default
+// preset when it copies), within its size limit
+function sourceRendition(source, allowCopy, preset = TRANSCODE_PRESETS[DEFAULT_PRESET]) {
+    const copy = allowCopy && !!source && !!source.video;
+    const video = preset.video && preset.video !== 'copy' ? preset.video : TRANSCODE_PRESETS[DEFAULT_PRESET].video;
+    let width = source ? source.width : null;
+    let height = source ? source.height : null;
+    if (!copy && height && video.maxHeight < height) {
+        width = Math.round((width * video.maxHeight) / height / 2) * 2;
+        height = video.maxHeight;
+    }
+    // a downscaled encode needs about as many bits per pixel as the source had
+    const sourceKbps = source && source.bitRate ? Math.round((source.bitRate / 1000) * (height && source.height ? (height / source.height) ** 2 : 1)) : null;
+    return {
+        name: 'video',
+        source: true,
+        copy,
+        hevc: copy ? source.videoCodec === 'hevc' : video.codec === 'hevc',
+        video: copy ? null : video,
+        width,
+        height,
+        videoBitrate: (!copy && video.bitrate) || sourceKbps || 2000,
+        audioBitrate: (preset.audio && preset.audio.bitrate) || AUDIO_RENDITION_BITRATE,
+        codec: copy ? source.videoCodecString : presetCodecString(video)
+    };
+}
+
+// Where a session's output layout lives: its shared pipeline, or the session itself (yt-dlp)
+function hlsOutputOf(entry) {
+    return entry.pipeline || entry;
+}
+
+// Sessions served straight from the torrent file by range requests, without HLS
+const DIRECT_MODES = { direct_mp4: 'direct MP4', direct_audio: 'direct audio' };
+
+function isDirectMode(entry) {
+    return !!DIRECT_MODES[entry.mode];
+}
+
+// Output whose rendition layout is not decided yet: a torrent session still waiting for metadata
+// or probing its source, or a yt-dlp CMAF session still downloading
+function outputPending(entry) {
+    if (entry.isYtDlp) return entry.format === 'cmaf' && !entry.renditions;
+    if (isDirectMode(entry)) return false;
+    return !entry.pipeline || !entry.pipeline.ffmpegJob;
+}
+
+// Name of the init segment ffmpeg wrote for a rendition (read from its playlists' EXT-X-MAP:
+// ffmpeg names it after the variant when there are several)
+function cmafInitFile(dir) {
+    try {
+        for (const name of fs.readdirSync(dir).filter(n => /^playlist(_\d+)?\.m3u8$/.test(n))) {
+            const m = (safeReadFile(path.join(dir, name)) || '').match(/#EXT-X-MAP:URI="([^"]+)"/);
+            if (m) return path.basename(m[1]);
+        }
+    } catch (e) {
+        // fall through
+    }
+    return null;
+}
+
+// ISO 8601 duration for the MPD
+function isoDuration(seconds) {
+    return `PT${Math.max(0, seconds).toFixed(3)}S`;
+}
+
+// DASH manifest over the CMAF segments. VOD pipelines publish the fixed segment grid (segments are
+// produced on request); otherwise each adaptation set lists what its rendition has produced so far
+// (copied video is cut on source keyframes, so video and audio timelines can differ), and the
+// manifest stays dynamic until the transcode finishes.
+function dashManifest(entry) {
+    const output = hlsOutputOf(entry);
+    const segDur = output.segmentDuration || entry.segmentDuration || 4;
+    const duration = output.duration || entry.duration || null;
+    const fixedGrid = !!output.vod && !!duration;
+    const dynamic = !fixedGrid && !(transcodeFinished(entry) && !!entry.ffmpegJob);
+    const dirs = pipelineDirs(output);
+    const timelines = dirs.map(dir => [...listedSegments(dir).values()].sort((a, b) => a.index - b.index));
+    const produced = Math.max(0, ...timelines.map(list => list.reduce((sum, seg) => sum + (seg.duration || segDur), 0)));
+    const total = duration || produced;
+
+    const templateFor = (list) => {
+        const template = `<SegmentTemplate timescale="1000" startNumber="0" initialization="$RepresentationID$/${CMAF_INIT_NAME}" media="$RepresentationID$/segment_$Number%03d$.m4s"`;
+        if (fixedGrid || !list.length) return `${template} duration="${Math.round(segDur * 1000)}"/>`;
+        // explicit start times: the merged timeline keeps segment N at its place after seek restarts
+        let t = 0;
+        const entries = list.map((seg) => {
+            const start = seg.index === 0 ? 0 : Math.max(t, Math.round(seg.index * segDur * 1000));
+            const d = Math.round((seg.duration || segDur) * 1000);
+            t = start + d;
+            return `<S t="${start}" d="${d}"/>`;
+        });
+        return `${template}><SegmentTimeline>${entries.join('')}</SegmentTimeline></SegmentTemplate>`;
+    };
+    const head = dynamic
+        ? `type="dynamic" availabilityStartTime="${new Date(output.createdAt || entry.createdAt).toISOString()}" publishTime="${new Date().toISOString()}" minimumUpdatePeriod="${isoDuration(segDur)}"`
+        : `type="static" mediaPresentationDuration="${isoDuration(total)}"`;
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<MPD xmlns="urn:mpeg:dash:schema:mpd:2011" profiles="urn:mpeg:dash:profile:isoff-live:2011" ${head} minBufferTime="${isoDuration(segDur)}">`,
+        '  <Period id="0" start="PT0S">',
+        '    <AdaptationSet id="0" contentType="video" mimeType="video/mp4" segmentAlignment="true" startWithSAP="1">',
+        `      ${templateFor(timelines[0])}`
+    ];
+    for (const r of output.renditions) {
+        const attrs = [`id="${r.name}"`, `bandwidth="${Math.round((r.maxrate || r.videoBitrate) * 1000)}"`];
+        if (r.codec) attrs.push(`codecs="${r.codec}"`);
+        if (r.width && r.height) attrs.push(`width="${r.width}"`, `height="${r.height}"`);
+        lines.push(`      <Representation ${attrs.join(' ')}/>`);
+    }
+    lines.push('    </AdaptationSet>');
+    if (output.separateAudio) {
+        const preferred = defaultAudioTrack(output.audioTracks, entry.audioLanguage);
+        output.audioTracks.forEach((t, j) => {
+            const lang = t.language ? ` lang="${languageTag(t.language)}"` : '';
+            lines.push(
+                `    <AdaptationSet id="${j + 1}" contentType="audio" mimeType="audio/mp4"${lang} segmentAlignment="true" startWithSAP="1">`,
+                `      <Role schemeIdUri="urn:mpeg:dash:role:2011" value="${t === preferred ? 'main' : 'alternate'}"/>`,
+                `      ${templateFor(timelines[output.renditions.length + j])}`,
+                `      <Representation id="${t.name}" bandwidth="${AUDIO_RENDITION_BITRATE * 1000}" codecs="mp4a.40.2">`,
+                '        <AudioChannelConfiguration schemeIdUri="urn:mpeg:dash:23003:3:audio_channel_configuration:2011" value="2"/>',
+                '      </Representation>',
+                '    </AdaptationSet>'
+            );
+        });
+    }
+    lines.push('  </Period>', '</MPD>');
+    return lines.join('\n') + '\n';
+}
+
+// ---------------------------
+// VOD mode: full playlist up front, segments transcoded in short runs on request
+// ---------------------------
+// Needs the duration (probed through the range proxy) and the re-encoding profile: copy mode can
+// only cut on source keyframes, so its segments would not line up with the published timeline.
+const HLS_VOD_MODE = process.env.HLS_VOD_MODE !== 'false';
+const VOD_RUN_SEGMENTS = parseInt(process.env.VOD_RUN_SEGMENTS || '5', 10); // segments per ffmpeg run
+const VOD_CACHE_SEGMENTS = parseInt(process.env.VOD_CACHE_SEGMENTS || '90', 10); // produced segments kept (LRU)
+
+// MPEG-TS segments for the default output, fragmented MP4 for CMAF
+function segmentFileName(index, format) {
+    return `segment_${String(index).padStart(3, '0')}.${format === 'cmaf' ? 'm4s' : 'ts'}`;
+}
+
+// Record a segment being served, for the LRU cache and readahead
+function touchVodSegment(pipeline, name, index) {
+    if (!pipeline || !pipeline.vod) return;
+    pipeline.segmentAccess.set(name, Date.now());
+    pipeline.lastServedSegment = index;
+}
+
+// While a viewer plays through a run, start the next one before it is requested
+function vodReadahead(pipeline, streamId, segment) {
+    if (!pipeline || !pipeline.vod) return;
+    const job = pipeline.ffmpegJob;
+    if (job && !job.finished && !job.cancelled) return;
+
+    const total = Math.ceil(pipeline.duration / pipeline.segmentDuration);
+    const dir = primaryDir(pipeline);
+    const listed = listedSegments(dir);
+    for (let i = segment + 1; i <= segment + VOD_RUN_SEGMENTS && i < total; i++) {
+        const name = segmentFileName(i, pipeline.format);
+        if (listed.has(name) && fs.existsSync(path.join(dir, name))) continue;
+        restartPipelineAt(pipeline, streamId, i, 'readahead');
+        return;
+    }
+}
+
+// Keep at most VOD_CACHE_SEGMENTS produced segments (and the folder under maxBytes), dropping the
+// least recently served first. Dropped segments are transcoded again if they are requested.
+function evictVodSegments(pipeline, maxBytes) {
+    try {
+        const job = pipeline.ffmpegJob;
+        const running = job && !job.finished && !job.cancelled ? job : null;
+        const dirs = pipelineDirs(pipeline);
+        const listed = listedSegments(dirs[0]);
+        const segments = getFolderFilesSorted(dirs[0])
+            .filter(f => listed.has(f.name))
+            .map(f => ({ ...f, used: pipeline.segmentAccess.get(f.name) || f.mtime }))
+            .sort((a, b) => a.used - b.used);
+
+        let total = dirs.reduce((sum, dir) => sum + getFolderSize(dir), 0);
+        let count = segments.length;
+        for (const f of segments) {
+            if (count <= VOD_CACHE_SEGMENTS && total <= maxBytes) break;
+            // never pull segments out from under the run that is producing them
+            if (running && jobCovers(running, listed.get(f.name).index)) continue;
+            // the same segment goes from every rendition
+            for (const dir of dirs) {
+                try {
+                    const file = path.join(dir, f.name);
+                    const size = fs.statSync(file).size;
+                    fs.unlinkSync(file);
+                    total -= size;
+                } catch (e) {
+                    // ignore deletion errors
+                }
+            }
+            pipeline.segmentAccess.delete(f.name);
+            count--;
+        }
+    } catch (e) {
+        // ignore
+    }
+}
+
+// ---------------------------
+// Shared HLS pipelines: one ffmpeg job per infoHash + file index + output profile
+// ---------------------------
+const pipelines = {}; // { [key]: { key, folder, refs: Set<streamId>, ffmpegJob, ffInStream, poll, storageEnforcer, ... } }
+
+function pipelineKey(infoHash, fileIndex, profile, format = 'ts') {
+    return format === 'ts' ? `${infoHash}:${fileIndex}:${profile}` : `${infoHash}:${fileIndex}:${profile}:${format}`;
+}
+
+// Folder holding a session's HLS output (the shared pipeline folder for torrent streams)
+function hlsFolderOf(entry) {
+    return entry.hlsFolder || entry.folder;
+}
+
+// Apply fn to every session currently attached to the pipeline
+function forEachPipelineStream(pipeline, fn) {
+    for (const id of pipeline.refs) {
+        if (streams[id]) fn(streams[id], id);
+    }
+}
+
+// Copy the pipeline's output state onto a session entry
+function syncPipelineState(entry, pipeline) {
+    entry.pipeline = pipeline;
+    entry.hlsFolder = pipeline.folder;
+    entry.ffmpegJob = pipeline.ffmpegJob;
+    entry.evictedSegments = pipeline.evictedSegments;
+    entry.segmentDuration = pipeline.segmentDuration;
+    entry.mode = 'hls';
+    if (pipeline.duration) entry.duration = pipeline.duration;
+    if (pipeline.ready) {
+        entry.ready = true;
+        entry.playlistReady = pipeline.playlistReady;
+        entry.totalSegments = pipeline.totalSegments;
+    }
+    if (pipeline.error) entry.error = pipeline.error;
+}
+
+// Attach a session to the pipeline for this torrent file/profile, starting it if needed
+// (`source` is the session's probe of the file, reused rather than probed again)
+function attachPipeline(streamId, torrent, file, profile, segSeconds, format = 'ts', source = null) {
+    const fileIndex = torrent.files.indexOf(file);
+    const key = pipelineKey(torrent.infoHash, fileIndex, profile, format);
+    let pipeline = pipelines[key];
+
+    if (pipeline) {
+        console.log(`[${streamId}] attaching to running pipeline ${key} (${pipeline.refs.size} other viewer(s))`);
+    } else {
+        const folder = `/tmp/hls-${torrent.infoHash}-${fileIndex}-${profile}${format === 'ts' ? '' : `-${format}`}`;
+        fs.mkdirSync(folder, { recursive: true });
+        pipeline = {
+            key,
+            folder,
+            profile,
+            format,
+            fileIndex,
+            infoHash: torrent.infoHash,
+            refs: new Set(),
+            segmentDuration: segSeconds,
+            evictedSegments: new Set(),
+            segmentAccess: new Map(), // VOD cache: segment name -> last served
+            vod: false,
+            ready: false,
+            error: null,
+            createdAt: Date.now()
+        };
+        pipelines[key] = pipeline;
+        pipeline.torrent = torrent;
+        pipeline.file = file;
+        pipeline.source = source;
+        // 'abr' is not a preset: its ladder encodes with the default preset's settings
+        pipeline.preset = TRANSCODE_PRESETS[profile] || TRANSCODE_PRESETS[DEFAULT_PRESET];
+        console.log(`[${streamId}] starting pipeline ${key}`);
+        startPipeline(pipeline, streamId).catch((err) => {
+            console.error(`[pipeline ${key}] start error:`, err.message);
+            pipeline.error = `pipeline_error: ${err.message}`;
+            forEachPipelineStream(pipeline, (entry) => { entry.error = pipeline.error; });
+        });
+    }
+
+    pipeline.refs.add(streamId);
+    syncPipelineState(streams[streamId], pipeline);
+    return pipeline;
+}
+
+// Build the ffmpeg HLS command for a pipeline. `startSegment` > 0 is a seek restart:
+// the input is seeked with -ss and segments keep the numbering/timestamps of the full timeline.
+// (In copy mode segments can only cut on source keyframes, so the grid is approximate.)
+// `segmentCount` bounds the job to a short VOD run; null transcodes to the end of the file.
+function buildPipelineCommand(pipeline, input, startSegment, segmentCount, onError, onEnd) {
+    const outputFolder = pipeline.folder;
+    const segSeconds = pipeline.segmentDuration;
+    const startTime = startSegment * segSeconds;
+    const threads = parseInt(process.env.FFMPEG_THREADS || String(DEFAULT_FFMPEG_THREADS), 10) || 1;
+    const tag = `pipeline ${pipeline.key}`;
+    const preset = pipeline.preset || TRANSCODE_PRESETS[DEFAULT_PRESET];
+    const channels = presetAudioChannels(preset);
+    const sourceAudio = pipeline.source ? pipeline.source.audioStreams[0] : null;
+    // audio-only output copies AAC only: the segments are always AAC
+    const copiesAudioOnly = pipeline.audioOnly && preset.audio === 'copy' && !!sourceAudio && sourceAudio.codec === 'aac';
+    let mode = preset.video === 'copy' || copiesAudioOnly ? 'copy-mode' : 'conversion';
+    if (pipeline.audioOnly) mode = `audio ${mode}`;
+    if (pipeline.renditions) mode = `${pipeline.renditions.length}-rendition ${pipeline.format === 'cmaf' ? 'CMAF ' : ''}${pipeline.renditions.every(r => r.copy) ? 'copy-mode' : 'conversion'}`;
+
+    const cmd = ffmpeg(input);
+    if (startTime > 0) {
+        cmd.inputOptions(['-ss', String(startTime)]);
+    }
+    // Renditions (ABR ladder / CMAF tracks) each write to their own <folder>/<name>/ (ffmpeg substitutes %v)
+    const outputDir = pipeline.renditions ? path.join(outputFolder, '%v') : outputFolder;
+    cmd.output(path.join(outputDir, pipelinePlaylistName(startSegment)));
+    if (segmentCount) {
+        cmd.duration(segmentCount * segSeconds);
+    }
+
+    const seekOptions = startTime > 0 ? ['-output_ts_offset', String(startTime)] : [];
+    if (pipeline.renditions) {
+        const renditions = pipeline.renditions;
+        const cmaf = pipeline.format === 'cmaf';
+        const streamOptions = [];
+        if (renditions.some(r => !r.source)) {
+            // ABR ladder: scale one decoded picture into every rendition
+            const split = `[0:v:0]split=${renditions.length}${renditions.map((r, i) => `[s${i}]`).join('')}`;
+            cmd.complexFilter([split, ...renditions.map((r, i) => `[s${i}]scale=${r.width}:${r.height}[v${i}]`)].join(';'));
+            renditions.forEach((r, i) => streamOptions.push('-map', `[v${i}]`));
+        } else {
+            streamOptions.push('-map', '0:v:0');
+        }
+        renditions.forEach((r, i) => {
+            if (r.copy) {
+                streamOptions.push(`-c:v:${i}`, 'copy');
+                // Apple players only accept HEVC in fMP4 tagged hvc1
+                if (r.hevc) streamOptions.push(`-tag:v:${i}`, 'hvc1');
+                if (!cmaf) streamOptions.push(`-bsf:v:${i}`, 'h264_mp4toannexb');
+            } else if (r.source) {
+                streamOptions.push(...presetVideoOptions(r.video, `v:${i}`));
+                const filter = presetVideoFilter(r.video, pipeline.source);
+                if (filter) streamOptions.push(`-filter:v:${i}`, filter);
+            } else {
+                streamOptions.push(
+                    `-c:v:${i}`, 'libx264',
+                    `-b:v:${i}`, `${r.videoBitrate}k`,
+                    `-maxrate:v:${i}`, `${r.maxrate}k`,
+                    `-bufsize:v:${i}`, `${r.bufsize}k`,
+                    `-profile:v:${i}`, r.profile,
+                    `-level:v:${i}`, r.level
+                );
+            }
+        });
+
+        let variants;
+        if (pipeline.separateAudio) {
+            // every audio track in its own rendition, shared by every video rendition
+            pipeline.audioTracks.forEach((t, j) => {
+                streamOptions.push('-map', `0:a:${t.index}`, `-c:a:${j}`, 'aac', `-b:a:${j}`, `${AUDIO_RENDITION_BITRATE}k`, `-ac:a:${j}`, String(channels || 2));
+            });
+            variants = renditions.map((r, i) => `v:${i},agroup:${AUDIO_GROUP_ID},name:${r.name}`)
+                .concat(pipeline.audioTracks.map((t, j) => `a:${j},agroup:${AUDIO_GROUP_ID},name:${t.name}`));
+        } else if (pipeline.hasAudio) {
+            renditions.forEach((r, i) => streamOptions.push('-map', '0:a:0', `-c:a:${i}`, 'aac', `-b:a:${i}`, `${r.audioBitrate}k`, `-ac:a:${i}`, String(channels || 2)));
+            variants = renditions.map((r, i) => `v:${i},a:${i},name:${r.name}`);
+        } else {
+            variants = renditions.map((r, i) => `v:${i},name:${r.name}`);
+        }
+
+        const formatOptions = cmaf
+            ? ['-hls_segment_type', 'fmp4', '-hls_fmp4_init_filename', CMAF_INIT_NAME]
+            : [];
+        const keyframeOptions = renditions.every(r => r.copy)
+            ? []
+            : ['-force_key_frames', `expr:gte(t,n_forced*${segSeconds})`, '-preset', (preset.video && preset.video.preset) || 'veryfast'];
+
+        cmd.addOptions(streamOptions)
+            // passed as two arguments so fluent-ffmpeg doesn't split the space-separated map
+            .addOptions('-var_stream_map', variants.join(' '))
+            .addOptions([
+                `-start_number ${startSegment}`,
+                `-hls_time ${segSeconds}`,
+                '-hls_list_size 0',
+                ...formatOptions,
+                '-hls_segment_filename', path.join(outputDir, cmaf ? 'segment_%03d.m4s' : 'segment_%03d.ts'),
+                ...keyframeOptions,
+                ...seekOptions,
+                '-threads', String(threads),
+                '-fflags', '+nobuffer',
+                '-f', 'hls'
+            ]);
+    } else if (pipeline.audioOnly) {
+        // the first audio stream only: embedded cover art is a video stream
+        cmd.addOptions(['-map', '0:a:0']);
+        if (copiesAudioOnly) {
+            cmd.audioCodec('copy');
+        } else {
+            cmd.audioCodec('aac').audioBitrate(`${(preset.audio && preset.audio.bitrate) || trackAudioBitrate(sourceAudio)}k`);
+            if (channels) cmd.audioChannels(channels);
+            // AAC stops at 96 kHz; hi-res masters come down to 48 kHz
+            if (sourceAudio && sourceAudio.sampleRate > 48000) cmd.audioFrequency(48000);
+        }
+        cmd.addOptions([
+            `-start_number ${startSegment}`,
+            `-hls_time ${segSeconds}`,
+            '-hls_list_size 0',
+            '-hls_segment_filename', path.join(outputFolder, 'segment_%03d.ts'),
+            ...seekOptions,
+            '-threads', String(threads),
+            '-f', 'hls'
+        ]);
+    } else if (preset.video === 'copy') {
+        cmd.videoCodec('copy')
+            .audioCodec(preset.audio === 'copy' && pipeline.copyAudio !== false ? 'copy' : 'aac')
+            .addOptions([
+                `-start_number ${startSegment}`,
+                `-hls_time ${segSeconds}`,
+                '-hls_list_size 0',
+                '-hls_segment_filename', path.join(outputFolder, 'segment_%03d.ts'),
+                '-bsf:v', 'h264_mp4toannexb',
+                ...seekOptions,
+                '-fflags', '+nobuffer',
+                '-threads', String(threads),
+                '-f', 'hls'
+            ]);
+    } else {
+        const filter = presetVideoFilter(preset.video, pipeline.source);
+        const audioOptions = preset.audio === 'copy' && pipeline.copyAudio !== false
+            ? ['-c:a', 'copy']
+            : ['-c:a', 'aac', ...(preset.audio.bitrate ? ['-b:a', `${preset.audio.bitrate}k`] : []), ...(channels ? ['-ac', String(channels)] : [])];
+        cmd.addOptions([
+            ...presetVideoOptions(preset.video, 'v'),
+            ...(filter ? ['-vf', filter] : []),
+            ...audioOptions,
+            `-start_number ${startSegment}`,
+            `-hls_time ${segSeconds}`,
+            '-hls_list_size 0',
+            '-hls_segment_filename', path.join(outputFolder, 'segment_%03d.ts'),
+            // keyframe on every segment boundary so segment N always starts at N * segSeconds
+            '-force_key_frames', `expr:gte(t,n_forced*${segSeconds})`,
+            ...seekOptions,
+            // reduce resource usage
+            '-threads', String(threads),
+            '-fflags', '+nobuffer',
+            '-f', 'hls'
+        ]);
+    }
+
+    return cmd
+        .on('start', () => console.log(`[${tag}] ffmpeg ${mode} started at segment ${startSegment}${segmentCount ? ` (${segmentCount} segments)` : ''} (seg ${segSeconds}s)`))
+        .on('error', (err) => {
+            console.error(`[${tag}] ffmpeg ${mode} error:`, err.message);
+            onError(err);
+        })
+        .on('end', () => {
+            console.log(`[${tag}] ffmpeg ${mode} complete`);
+            onEnd();
+        });
+}
+
+// Playlist written by the job that started at `startSegment`
+function pipelinePlaylistName(startSegment) {
+    return startSegment > 0 ? `playlist_${startSegment}.m3u8` : HLS_PLAYLIST_NAME;
+}
+
+// Schedule an ffmpeg job for the pipeline starting at `startSegment`. The initial job reads the
+// torrent file stream directly; seek restarts go through the local range proxy so ffmpeg can seek.
+function schedulePipelineJob(pipeline, streamId, startSegment, priority = 'playback') {
+    const markReady = () => {
+        pipeline.ready = true;
+        forEachPipelineStream(pipeline, (entry) => { entry.ready = true; });
+    };
+
+    let input;
+    if (startSegment > 0 || pipeline.vod) {
+        input = torrentFileUrl(pipeline.torrent, pipeline.file);
+    } else {
+        // Create separate read stream for ffmpeg
+        input = pipeline.file.createReadStream();
+        pipeline.ffInStream = input;
+    }
+
+    const segmentCount = pipeline.vod ? VOD_RUN_SEGMENTS : null;
+    const job = scheduleConversion(streamId, () => {
+        const cmd = buildPipelineCommand(pipeline, input, startSegment, segmentCount, (err) => {
+            // a cancelled job (seek restart / teardown) is expected to die
+            if (job.cancelled) return;
+            pipeline.error = `ffmpeg_error: ${err.message}`;
+            forEachPipelineStream(pipeline, (entry) => { entry.error = pipeline.error; });
+        }, () => {
+            markReady();
+            // a viewer is playing through this run: start the next one (once the scheduler has let go of this job)
+            if (pipeline.vod && pipeline.lastServedSegment != null && jobCovers(job, pipeline.lastServedSegment)) {
+                setImmediate(() => {
+                    if (pipelines[pipeline.key] === pipeline) vodReadahead(pipeline, streamId, pipeline.lastServedSegment);
+                });
+            }
+        });
+        cmd.run();
+        return cmd;
+    }, { priority, label: `pipeline ${pipeline.key} from segment ${startSegment}`, shared: true });
+    job.startSegment = startSegment;
+    job.endSegment = pipeline.vod ? startSegment + VOD_RUN_SEGMENTS : null;
+    job.playlistName = pipelinePlaylistName(startSegment);
+
+    pipeline.ffmpegJob = job;
+    forEachPipelineStream(pipeline, (entry) => { entry.ffmpegJob = job; });
+    return job;
+}
+
+// Start the pipeline: VOD when the duration can be probed, otherwise a linear transcode
+// reading straight from the torrent file into the pipeline folder
+async function startPipeline(pipeline, streamId) {
+    // Start storage enforcer for this pipeline to keep its folder under limit
+    const maxBytes = parseInt(process.env.MAX_STREAM_STORAGE_BYTES || String(2 * 1024 * 1024 * 1024), 10); // default 2GB
+    pipeline.storageEnforcer = setInterval(() => {
+        if (pipeline.vod) {
+            evictVodSegments(pipeline, maxBytes);
+            return;
+        }
+        const dirs = pipelineDirs(pipeline);
+        for (const folder of dirs) {
+            enforceStorageLimit({ folder, evictedSegments: pipeline.evictedSegments }, maxBytes / dirs.length);
+        }
+    }, 15 * 1000);
+
+    // Always probed (usually already by the session that started it): the audio tracks decide the
+    // rendition layout even for plain HLS
+    const cmaf = pipeline.format === 'cmaf';
+    const source = pipeline.source || await probeTorrentFile(pipeline.torrent, pipeline.file);
+    if (pipelines[pipeline.key] !== pipeline) return; // torn down while probing
+    pipeline.source = source;
+    if (!pipeline.preset.video) {
+        startAudioPipeline(pipeline, streamId, source);
+        return;
+    }
+
+    if (pipeline.profile === 'abr' && source && source.height) {
+        pipeline.renditions = buildRenditionLadder(source);
+    } else if (pipeline.profile === 'abr') {
+        console.log(`[pipeline ${pipeline.key}] source size unknown; encoding a single rendition`);
+    }
+    // without a probe assume there is audio: ffmpeg then fails loudly rather than dropping it
+    pipeline.hasAudio = source ? source.hasAudio : true;
+    pipeline.copyAudio = audioCopyable(source);
+    pipeline.audioTracks = pipeline.hasAudio ? buildAudioTracks(source) : [];
+    // CMAF keeps audio in its own rendition; plain HLS only does so to offer several tracks
+    const multiAudio = pipeline.audioTracks.length > 1;
+    // Subtitle renditions are advertised in a master playlist, so they need the rendition layout too
+    pipeline.subtitleTracks = buildSubtitleTracks(source, pipeline.folder);
+    if ((cmaf || multiAudio || pipeline.subtitleTracks.length) && !pipeline.renditions) {
+        const copyable = pipeline.preset.video === 'copy' && !!source && !videoCopyBlocker(source, pipeline.format);
+        pipeline.renditions = [sourceRendition(source, copyable, pipeline.preset)];
+    }
+    if (pipeline.renditions) {
+        pipeline.separateAudio = (cmaf || multiAudio) && pipeline.hasAudio;
+        pipeline.audioChannels = presetAudioChannels(pipeline.preset) || 2;
+        for (const dir of pipelineDirs(pipeline)) fs.mkdirSync(dir, { recursive: true });
+        const audioNames = pipeline.separateAudio ? ` + ${pipeline.audioTracks.map(t => t.name).join(', ')}` : '';
+        console.log(`[pipeline ${pipeline.key}] renditions: ${pipeline.renditions.map(r => `${r.name} (${r.copy ? 'copy' : `${r.width}x${r.height}`})`).join(', ')}${audioNames}`);
+    }
+    if (pipeline.subtitleTracks.length) startSubtitleExtraction(pipeline, streamId, source);
+
+    // VOD cuts segments at exact times, which needs re-encoded video
+    const copiesVideo = pipeline.renditions ? pipeline.renditions.some(r => r.copy) : pipeline.preset.video === 'copy';
+    const vodCapable = HLS_VOD_MODE && !copiesVideo;
+    if (vodCapable && source && source.duration) {
+        startVodPipeline(pipeline, streamId, source.duration);
+        return;
+    }
+    if (vodCapable) console.log(`[pipeline ${pipeline.key}] duration unknown; falling back to a linear transcode`);
+    if (source && source.duration) pipeline.duration = source.duration;
+    startLinearPipeline(pipeline, streamId);
+}
+
+// Audio-only output (album tracks, audio presets) as one AAC media playlist. Audio can be cut at
+// any point, copied or not, so it is VOD whenever the duration is known.
+function startAudioPipeline(pipeline, streamId, source) {
+    const audio = source ? source.audioStreams[0] : null;
+    pipeline.audioOnly = true;
+    pipeline.hasAudio = true;
+    const copy = pipeline.preset.audio === 'copy' && !!audio && audio.codec === 'aac';
+    const bitrate = (pipeline.preset.audio && pipeline.preset.audio.bitrate) || trackAudioBitrate(audio);
+    console.log(`[pipeline ${pipeline.key}] audio: ${audio ? audio.codec : 'unknown codec'} -> ${copy ? 'AAC copied' : `AAC ${bitrate}k`}`);
+
+    if (HLS_VOD_MODE && source && source.duration) {
+        startVodPipeline(pipeline, streamId, source.duration);
+        return;
+    }
+    if (source && source.duration) pipeline.duration = source.duration;
+    startLinearPipeline(pipeline, streamId);
+}
+
+// The whole timeline is known: publish it now and transcode the first run
+function startVodPipeline(pipeline, streamId, duration) {
+    pipeline.vod = true;
+    pipeline.duration = duration;
+    pipeline.totalSegments = Math.ceil(duration / pipeline.segmentDuration);
+    pipeline.ready = true;
+    pipeline.playlistReady = Date.now();
+    console.log(`[pipeline ${pipeline.key}] VOD playlist with ${pipeline.totalSegments} segment(s) (${formatDuration(duration)})`);
+    schedulePipelineJob(pipeline, streamId, 0);
+    forEachPipelineStream(pipeline, (entry) => syncPipelineState(entry, pipeline));
+}
+
+function startLinearPipeline(pipeline, streamId) {
+    const outputFolder = primaryDir(pipeline);
+    const tag = `pipeline ${pipeline.key}`;
+
+    // Start ffmpeg HLS conversion (scheduled to limit concurrency)
+    schedulePipelineJob(pipeline, streamId, 0);
+
+    // Poll for playlist + first segment to mark ready sooner
+    const playlistPath = path.join(outputFolder, 'playlist.m3u8');
+    pipeline.poll = setInterval(() => {
+        try {
+            if (!fs.existsSync(playlistPath)) return;
+            const files = fs.readdirSync(outputFolder);
+            const segments = files.filter(f => HLS_SEGMENT_PATTERN.test(f));
+
+            if (segments.length > 0) {
+                const stat = fs.statSync(playlistPath);
+                if (stat.size > 100) { // Ensure playlist has content
+                    console.log(`[${tag}] HLS playlist with ${segments.length} segment(s) ready`);
+                    pipeline.ready = true;
+                    pipeline.playlistReady = Date.now();
+                    pipeline.totalSegments = segments.length;
+                    forEachPipelineStream(pipeline, (entry) => syncPipelineState(entry, pipeline));
+                    clearInterval(pipeline.poll);
+                }
+            }
+        } catch (e) {
+            // Ignore transient file system errors
+        }
+    }, 1000);
+}
+
+// Kill the pipeline's current ffmpeg job and start a new one at `segment` (seek restart / VOD run)
+function restartPipelineAt(pipeline, streamId, segment, reason) {
+    if (pipeline.vod) {
+        console.log(`[pipeline ${pipeline.key}] transcoding segments ${segment}-${segment + VOD_RUN_SEGMENTS - 1} (${reason})`);
+    } else {
+        console.log(`[pipeline ${pipeline.key}] restarting transcode at segment ${segment} (${reason})`);
+    }
+    cancelConversion(pipeline.ffmpegJob);
+    if (pipeline.ffInStream) {
+        try { pipeline.ffInStream.destroy(); } catch (e) { /* ignore */ }
+        pipeline.ffInStream = null;
+    }
+
+    // Segments from here on will be produced again
+    for (const name of [...pipeline.evictedSegments]) {
+        const m = name.match(HLS_SEGMENT_PATTERN);
+        if (m && parseInt(m[1], 10) >= segment) pipeline.evictedSegments.delete(name);
+    }
+
+    pipeline.restarts = (pipeline.restarts || 0) + 1;
+    pipeline.error = null;
+    forEachPipelineStream(pipeline, (entry) => { entry.error = null; });
+    // readahead runs ahead of every viewer; anything else is a viewer waiting for the segment
+    return schedulePipelineJob(pipeline, streamId, segment, reason === 'readahead' ? 'background' : 'seek');
+}
+
+// Detach a session from its pipeline; the last viewer out tears the pipeline down
+function releasePipeline(streamId, pipeline) {
+    if (!pipeline) return;
+    pipeline.refs.delete(streamId);
+    if (pipeline.refs.size > 0) {
+        console.log(`[${streamId}] left pipeline ${pipeline.key} (${pipeline.refs.size} viewer(s) remain)`);
+        return;
+    }
+
+    console.log(`[${streamId}] last viewer left; tearing down pipeline ${pipeline.key}`);
+    delete pipelines[pipeline.key];
+    if (pipeline.poll) clearInterval(pipeline.poll);
+    if (pipeline.storageEnforcer) clearInterval(pipeline.storageEnforcer);
+    clearSeekPriority(pipeline);
+    cancelConversion(pipeline.ffmpegJob);
+    if (pipeline.ffInStream) {
+        try { pipeline.ffInStream.destroy(); } catch (e) { /* ignore */ }
+    }
+    for (const window of (pipeline.subtitleWindows || new Map()).values()) cancelConversion(window.job);
+    safeRmDir(pipeline.folder);
+}
+
+// ---------------------------
+// Chapters: markers read from the container by the media probe
+// ---------------------------
+const CHAPTERS_VTT_NAME = 'chapters.vtt';
+const CHAPTER_DATERANGE_CLASS = 'com.torrent-stream.chapter';
+
+// The session's chapters with every end filled in (the next chapter's start, or the duration)
+function sessionChapters(entry) {
+    const media = entry.mediaInfo;
+    const chapters = media ? media.chapters : [];
+    return chapters.map((ch, i) => ({
+        index: ch.index,
+        title: ch.title || `Chapter ${ch.index + 1}`,
+        start: ch.start,
+        end: ch.end || (chapters[i + 1] ? chapters[i + 1].start : media.duration)
+    }));
+}
+
+// Chapter playing at `seconds`, or null before the first one
+function chapterAt(chapters, seconds) {
+    let current = null;
+    for (const ch of chapters) {
+        if (ch.start <= seconds) current = ch;
+    }
+    return current;
+}
+
+// WebVTT chapters track (<track kind="chapters">)
+function chaptersVtt(chapters) {
+    const lines = ['WEBVTT', ''];
+    for (const ch of chapters) {
+        lines.push(`${formatVttTimestamp(ch.start)} --> ${formatVttTimestamp(ch.end)}`, ch.title.replace(/\n/g, ' '), '');
+    }
+    return lines.join('\n');
+}
+
+// EXT-X-DATERANGE tags for a VOD playlist. Date ranges need a program date, so the timeline is
+// anchored at the Unix epoch: a chapter's START-DATE minus that is its position in seconds.
+function chapterDateRanges(chapters) {
+    if (!chapters.length) return [];
+    const date = (seconds) => new Date(Math.round(seconds * 1000)).toISOString();
+    return [`#EXT-X-PROGRAM-DATE-TIME:${date(0)}`].concat(chapters.map(ch => [
+        `ID="chapter-${ch.index}"`,
+        `CLASS="${CHAPTER_DATERANGE_CLASS}"`,
+        `START-DATE="${date(ch.start)}"`,
+        `DURATION=${Math.max(0, ch.end - ch.start).toFixed(3)}`,
+        `X-TITLE="${ch.title.replace(/["\n]/g, "'")}"`
+    ].join(',')).map(attrs => `#EXT-X-DATERANGE:${attrs}`));
+}
+
+// ---------------------------
+// Trickplay: thumbnail sprite sheets and a WebVTT track mapping times to sprite regions
+// ---------------------------
+const TRICKPLAY_INTERVAL = parseFloat(process.env.TRICKPLAY_INTERVAL || '10'); // seconds per thumbnail, 0 disables
+const TRICKPLAY_WIDTH = parseInt(process.env.TRICKPLAY_WIDTH || '160', 10);
+// Thumbnails per sheet (columns x rows). Each sheet is one short ffmpeg job, so a playback
+// transcode never waits behind more than one.
+const [TRICKPLAY_COLUMNS, TRICKPLAY_ROWS] = (process.env.TRICKPLAY_GRID || '5x5').split('x').map(n => parseInt(n, 10) || 5);
+const TRICKPLAY_POLL_MS = 5000;
+const TRICKPLAY_VTT_NAME = 'thumbnails.vtt';
+
+// Shared by every session on the same torrent file: `${infoHash}:${fileIndex}` -> sheets state
+const trickplays = {};
+
+// Thumbnails over a duration (a trailing fraction of a second gets none)
+function trickplayThumbnailCount(duration) {
+    return Math.max(1, Math.ceil(Math.floor(duration) / TRICKPLAY_INTERVAL));
+}
+
+function trickplaySpriteName(sheet) {
+    return `sprite_${String(sheet).padStart(3, '0')}.jpg`;
+}
+
+// Start (or join) thumbnail generation for a session's probed torrent file
+function attachTrickplay(streamId, torrent, file, source) {
+    const entry = streams[streamId];
+    if (!(TRICKPLAY_INTERVAL > 0) || !ffmpegAvailable || !entry || entry.trickplay) return;
+    if (!source || !source.duration || !source.width || !source.height) return;
+
+    const fileIndex = torrent.files.indexOf(file);
+    const key = `${torrent.infoHash}:${fileIndex}`;
+    let trickplay = trickplays[key];
+    if (!trickplay) {
+        const folder = `/tmp/trickplay-${torrent.infoHash}-${fileIndex}`;
+        fs.mkdirSync(folder, { recursive: true });
+        trickplay = {
+            key,
+            folder,
+            torrent,
+            file,
+            duration: source.duration,
+            width: TRICKPLAY_WIDTH,
+            height: Math.max(2, Math.round(TRICKPLAY_WIDTH * source.height / source.width / 2) * 2),
+            sheetCount: Math.ceil(trickplayThumbnailCount(source.duration) / (TRICKPLAY_COLUMNS * TRICKPLAY_ROWS)),
+            sheets: new Set(), // rendered sheet indexes
+            failed: new Set(),
+            refs: new Set(),
+            job: null,
+            timer: null
+        };
+        trickplays[key] = trickplay;
+        console.log(`[${streamId}] trickplay: ${trickplay.sheetCount} sheet(s) of ${TRICKPLAY_COLUMNS}x${TRICKPLAY_ROWS} thumbnails every ${TRICKPLAY_INTERVAL}s`);
+        setImmediate(() => nextTrickplaySheet(trickplay));
+    }
+    trickplay.refs.add(streamId);
+    entry.trickplay = trickplay;
+}
+
+function releaseTrickplay(streamId, trickplay) {
+    if (!trickplay) return;
+    trickplay.refs.delete(streamId);
+    if (trickplay.refs.size > 0) return;
+    delete trickplays[trickplay.key];
+    clearTimeout(trickplay.timer);
+    cancelConversion(trickplay.job);
+    safeRmDir(trickplay.folder);
+}
+
+// Seconds covered by a sheet
+function trickplaySheetSpan(trickplay, sheet) {
+    const seconds = TRICKPLAY_INTERVAL * TRICKPLAY_COLUMNS * TRICKPLAY_ROWS;
+    const start = sheet * seconds;
+    return { start, end: Math.min(trickplay.duration, start + seconds) };
+}
+
+// Has the torrent already downloaded the part of the file a sheet covers? (Located by the average
+// bitrate, with some slack either side.) Thumbnails never make the torrent fetch anything.
+function trickplaySheetDownloaded(trickplay, sheet) {
+    const { torrent, file, duration } = trickplay;
+    const { start, end } = trickplaySheetSpan(trickplay, sheet);
+    const from = Math.max(0, timeToByteOffset(file, duration, start) - SEEK_CRITICAL_BYTES);
+    const to = Math.min(file.length - 1, timeToByteOffset(file, duration, end) + SEEK_CRITICAL_BYTES);
+    const firstPiece = Math.floor((file.offset + from) / torrent.pieceLength);
+    const lastPiece = Math.floor((file.offset + to) / torrent.pieceLength);
+    for (let piece = firstPiece; piece <= lastPiece; piece++) {
+        if (!torrent.bitfield.get(piece)) return false;
+    }
+    return true;
+}
+
+// Render the first missing sheet whose data is there, or look again later
+function nextTrickplaySheet(trickplay) {
+    trickplay.timer = null;
+    if (trickplays[trickplay.key] !== trickplay || trickplay.torrent.destroyed) return;
+    for (let sheet = 0; sheet < trickplay.sheetCount; sheet++) {
+        if (trickplay.sheets.has(sheet) || trickplay.failed.has(sheet)) continue;
+        if (!trickplaySheetDownloaded(trickplay, sheet)) continue;
+        renderTrickplaySheet(trickplay, sheet);
+        return;
+    }
+    if (trickplay.sheets.size + trickplay.failed.size < trickplay.sheetCount) {
+        trickplay.timer = setTimeout(() => nextTrickplaySheet(trickplay), TRICKPLAY_POLL_MS);
+    } else {
+        console.log(`[trickplay ${trickplay.key}] ${trickplay.sheets.size} sheet(s) rendered`);
+    }
+}
+
+function renderTrickplaySheet(trickplay, sheet) {
+    const { start, end } = trickplaySheetSpan(trickplay, sheet);
+    const streamId = trickplay.refs.values().next().value;
+    const done = () => {
+        trickplay.job = null;
+        setImmediate(() => nextTrickplaySheet(trickplay));
+    };
+    trickplay.job = scheduleConversion(streamId, () => {
+        const cmd = ffmpeg(torrentFileUrl(trickplay.torrent, trickplay.file))
+            // keyframes are close enough for a thumbnail and decode far faster than every frame
+            .inputOptions(['-skip_frame', 'nokey', '-ss', String(start)])
+            .noAudio()
+            .duration(end - start)
+            // the grid starts at the sheet's first second even when its first keyframe comes later
+            .videoFilters(`fps=1/${TRICKPLAY_INTERVAL}:start_time=0:eof_action=pass,scale=${trickplay.width}:${trickplay.height},tile=${TRICKPLAY_COLUMNS}x${TRICKPLAY_ROWS}`)
+            .outputOptions(['-frames:v', '1', '-q:v', '5'])
+            .output(path.join(trickplay.folder, trickplaySpriteName(sheet)))
+            .on('error', (err) => {
+                if (trickplays[trickplay.key] !== trickplay) return; // released
+                console.error(`[trickplay ${trickplay.key}] sheet ${sheet} error:`, err.message);
+                trickplay.failed.add(sheet);
+                done();
+            })
+            .on('end', () => {
+                trickplay.sheets.add(sheet);
+                done();
+            });
+        cmd.run();
+        return cmd;
+    }, { priority: 'thumbnail', label: `trickplay ${trickplay.key} sheet ${sheet}`, shared: true });
+}
+
+// WebVTT thumbnail track: one cue per thumbnail of every rendered sheet
+function trickplayVtt(trickplay) {
+    const { width, height } = trickplay;
+    const perSheet = TRICKPLAY_COLUMNS * TRICKPLAY_ROWS;
+    const lines = ['WEBVTT', ''];
+    const count = trickplayThumbnailCount(trickplay.duration);
+    for (let n = 0; n < count; n++) {
+        const sheet = Math.floor(n / perSheet);
+        if (!trickplay.sheets.has(sheet)) continue;
+        const cell = n % perSheet;
+        const x = (cell % TRICKPLAY_COLUMNS) * width;
+        const y = Math.floor(cell / TRICKPLAY_COLUMNS) * height;
+        const start = n * TRICKPLAY_INTERVAL;
+        lines.push(
+            `${formatVttTimestamp(start)} --> ${formatVttTimestamp(Math.min(trickplay.duration, start + TRICKPLAY_INTERVAL))}`,
+            `${trickplaySpriteName(sheet)}#xywh=${x},${y},${width},${height}`,
+            ''
+        );
+    }
+    return lines.join('\n');
+}
+
+// ---------------------------
+// Snapshots and preview reels: stills and short muted highlight clips from any position
+// ---------------------------
+const SNAPSHOT_TIMEOUT_MS = parseInt(process.env.SNAPSHOT_TIMEOUT_MS || '30000', 10);
+const SNAPSHOT_FORMATS = { jpeg: { ext: 'jpg', type: 'image/jpeg' }, webp: { ext: 'webp', type: 'image/webp' } };
+const PREVIEW_FORMATS = { mp4: { ext: 'mp4', type: 'video/mp4' }, webm: { ext: 'webm', type: 'video/webm' } };
+const MAX_IMAGE_WIDTH = 3840;
+const MAX_PREVIEW_CLIPS = 20;
+
+// Fetch the pieces at each of `times` first (torrent sessions with a known duration).
+// Returns the function that drops those priorities again.
+function prioritiseTimes(entry, times) {
+    if (!entry.torrent || !entry.file || !entry.duration) return () => {};
+    const targets = times.map((seconds) => {
+        const target = {};
+        prioritiseFileRegion(target, entry.torrent, entry.file, timeToByteOffset(entry.file, entry.duration, seconds));
+        return target;
+    });
+    return () => targets.forEach(clearSeekPriority);
+}
+
+// The frame at `seconds`, at most `width` px wide, written to `output`. Cheap once it runs, but it
+// still takes a slot in the ffmpeg queue so a burst of requests can't outrun MAX_CONCURRENT_FFMPEG.
+function renderSnapshot(streamId, input, seconds, width, format, output) {
+    return new Promise((resolve, reject) => {
+        scheduleConversion(streamId, () => {
+            const codec = format === 'webp' ? ['-c:v', 'libwebp', '-quality', '80'] : ['-c:v', 'mjpeg', '-q:v', '3'];
+            const cmd = ffmpeg(input, { timeout: Math.ceil(SNAPSHOT_TIMEOUT_MS / 1000) })
+                .inputOptions(['-ss', String(seconds)])
+                .noAudio()
+                .outputOptions(['-frames:v', '1', '-vf', `scale='min(${width},iw)':-2`, ...codec])
+                .output(output)
+                .on('error', reject)
+                .on('end', resolve);
+            cmd.run();
+            return cmd;
+        }, { priority: 'thumbnail', label: `snapshot at ${seconds}s`, onCancel: () => reject(new Error('snapshot cancelled')) });
+    });
+}
+
+// `times.length` clips of `clipSeconds` each, scaled to `width`, joined without audio.
+// Encoding several clips is real work, so it takes its turn in the ffmpeg queue.
+function renderPreview(streamId, input, times, clipSeconds, width, format, output) {
+    return new Promise((resolve, reject) => {
+        scheduleConversion(streamId, () => {
+            const cmd = ffmpeg();
+            for (const seconds of times) {
+                cmd.input(input).inputOptions(['-ss', String(seconds), '-t', String(clipSeconds)]);
+            }
+            const scaled = times.map((t, i) => `[${i}:v:0]scale=${width}:-2,setsar=1[v${i}]`);
+            const joined = `${times.map((t, i) => `[v${i}]`).join('')}concat=n=${times.length}:v=1:a=0[reel]`;
+            const codec = format === 'webm'
+                ? ['-c:v', 'libvpx', '-b:v', '600k', '-deadline', 'realtime', '-cpu-used', '8']
+                : ['-c:v', 'libx264', '-preset', 'veryfast', '-crf', '28', '-pix_fmt', 'yuv420p', '-movflags', '+faststart'];
+            cmd.complexFilter([...scaled, joined].join(';'))
+                .outputOptions(['-map', '[reel]', '-an', ...codec])
+                .format(format)
+                .output(output)
+                .on('error', reject)
+                .on('end', resolve);
+            cmd.run();
+            return cmd;
+        }, { priority: 'thumbnail', label: `preview reel (${times.length} clips)`, onCancel: () => reject(new Error('preview cancelled')) });
+    });
+}
+
+// Clip start times spread evenly over the duration, each clip centred on its point
+function previewTimes(duration, clips, clipSeconds) {
+    const times = [];
+    for (let i = 1; i <= clips; i++) {
+        const centre = duration * i / (clips + 1);
+        times.push(Math.round(Math.max(0, Math.min(duration - clipSeconds, centre - clipSeconds / 2)) * 1000) / 1000);
+    }
+    return times;
+}
+
+// Media input of a session once it can be read: the torrent file (through the range proxy) or the
+// finished yt-dlp download
+function readableMediaInput(entry) {
+    const input = sessionMediaInput(entry);
+    if (!input || (!entry.torrent && !fs.existsSync(input))) return null;
+    return input;
+}
+
+// Helper: Process a torrent (shared for new or existing)
+function processTorrent(torrent, streamId, outputFolder) {
+    try {
+        // The session may have been stopped while metadata was being fetched
+        if (!streams[streamId]) {
+            releaseTorrent(streamId, torrent);
+            return;
+        }
+
+        console.log(`[${streamId}] torrent metadata ready: ${torrent.infoHash} - ${torrent.name} (${torrent.files.length} files)`);
+        
+        // Detect subtitles early
+        const detectedSubs = detectSubtitles(torrent, outputFolder);
+        if (detectedSubs.length > 0) {
+            console.log(`[${streamId}] found ${detectedSubs.length} subtitle file(s)`);
+            streams[streamId].subtitles = detectedSubs;
+        }
+        
+        // Per-session torrent listeners; kept so stopStream can detach them from a shared torrent
+        const torrentListeners = {
+            // Track peer connections
+            wire: () => {
+                const numPeers = torrent.numPeers || 0;
+                console.log(`[${streamId}] peer connected (total: ${numPeers})`);
+            },
+            done: () => {
+                console.log(`[${streamId}] torrent download complete`);
+                if (streams[streamId]) streams[streamId].downloadComplete = true;
+            },
+            // Ensure torrent error handling
+            error: (err) => {
+                console.error(`[${streamId}] torrent error:`, err.message);
+                if (streams[streamId]) streams[streamId].error = `torrent_error: ${err.message}`;
+            }
+        };
+        for (const [event, fn] of Object.entries(torrentListeners)) {
+            torrent.on(event, fn);
+        }
+        streams[streamId].torrent = torrent;
+        streams[streamId].torrentListeners = torrentListeners;
+        if (torrent.done) streams[streamId].downloadComplete = true;
+
+        // Find playable video file
+        if (!ffmpegAvailable) {
+            console.error(`[${streamId}] ffmpeg missing; cannot create HLS.`);
+            if (streams[streamId]) streams[streamId].error = 'ffmpeg_missing';
+            return;
+        }
+
+        // Season packs: build the ordered episode list and start the requested (or first) episode
+        const episodes = buildEpisodeList(torrent);
+        streams[streamId].episodes = episodes;
+        // Albums, podcasts, audiobooks: a torrent without video plays its audio files as tracks
+        const tracks = episodes ? null : buildTrackList(torrent);
+        streams[streamId].tracks = tracks;
+
+        const selection = streams[streamId].fileSelection || {};
+        let file = null;
+        let selectionError = null;
+        if (tracks) {
+            ({ file, error: selectionError } = selectTrack(torrent, tracks, selection));
+            if (file) console.log(`[${streamId}] audio torrent with ${tracks.length} track(s); starting ${file.name}`);
+            if (streams[streamId].autoAdvance === null) streams[streamId].autoAdvance = true;
+            if (streams[streamId].format === 'cmaf') {
+                console.log(`[${streamId}] audio tracks are served as MPEG-TS HLS, not CMAF`);
+                streams[streamId].format = 'ts';
+            }
+        } else if (episodes && selection.fileIndex === undefined && !selection.filePath) {
+            const idx = resolveEpisodeIndex(episodes, selection.episode ?? 0, -1);
+            if (idx === -1) {
+                selectionError = `episode_not_found: ${selection.episode}`;
+            } else {
+                file = episodes[idx].file;
+                console.log(`[${streamId}] season pack with ${episodes.length} episodes; starting ${episodes[idx].code}`);
+            }
+        } else {
+            ({ file, error: selectionError } = selectVideoFile(torrent, selection));
+        }
+        if (!file) {
+            console.error(`[${streamId}] no playable file selected: ${selectionError}`);
+            if (streams[streamId]) streams[streamId].error = selectionError;
+            return;
+        }
+
+        // Extract subtitles in background if any
+        if (detectedSubs.length > 0) {
+            (async () => {
+                try {
+                    const extracted = await extractSubtitles(torrent, outputFolder, detectedSubs);
+                    if (streams[streamId]) {
+                        streams[streamId].extractedSubtitles = extracted;
+                        console.log(`[${streamId}] extracted ${extracted.length} subtitle(s)`);
+                    }
+                } catch (e) {
+                    console.error(`[${streamId}] subtitle extraction error:`, e.message);
+                }
+            })();
+        }
+
+        startFilePlayback(streamId, torrent, file);
+
+    } catch (e) {
+        console.error(`[${streamId}] processTorrent exception:`, e.message);
+        if (streams[streamId]) streams[streamId].error = `exception: ${e.message}`;
+    }
+}
+
+// Start playing one file of the torrent for a session: direct MP4 or a shared HLS pipeline.
+// Also used when a session switches episode.
+function startFilePlayback(streamId, torrent, file) {
+    const outputFolder = streams[streamId].folder;
+
+    console.log(`[${streamId}] using file: ${file.name} (${(file.length / (1024 * 1024)).toFixed(2)} MB)`);
+
+    // We deliberately DO NOT write the full video file to disk here.
+    // Instead, ffmpeg reads directly from the torrent file stream and
+    // HLS segments are produced on-the-fly. This keeps disk usage low
+    // (only segments + playlist are stored). For environments with
+    // limited storage (e.g. 2GB), startPipeline enforces a retention policy.
+    const filePath = path.join(outputFolder, file.name);
+
+    // Determine HLS segment duration dynamically based on concurrent streams
+    const segSeconds = computeSegmentDuration();
+
+    // Store stream metadata
+    streams[streamId].file = file;
+    streams[streamId].fileIndex = torrent.files.indexOf(file);
+    streams[streamId].filePath = filePath;
+    streams[streamId].currentSegment = 0;
+    streams[streamId].playbackPosition = 0; // seconds
+    applyFileSelection(torrent);
+
+    // Probe the file through the range proxy first: its codecs decide between copying and transcoding
+    (async () => {
+        const source = await probeTorrentFile(torrent, file);
+        const entry = streams[streamId];
+        if (!entry || entry.file !== file) return; // stopped or switched episode while probing
+        if (source) {
+            recordMediaInfo(entry, source);
+            const video = source.video;
+            console.log(`[${streamId}] media: ${video ? `${video.codec} ${video.width}x${video.height} ${video.pixelFormat || ''}${video.hdr ? ` ${video.hdr}` : ''}` : 'no video'}, ${source.audioStreams.length} audio, ${source.subtitleStreams.length} subtitle stream(s)${source.duration ? `, ${formatDuration(source.duration)}` : ''}`);
+        } else {
+            console.log(`[${streamId}] media probe failed; starting by file extension and retrying in the background`);
+            retryMediaProbe(streamId, torrent, file);
+        }
+        startFileOutput(streamId, torrent, file, segSeconds, source);
+        attachTrickplay(streamId, torrent, file, source);
+    })().catch((e) => {
+        console.error(`[${streamId}] playback start error:`, e.message);
+        if (streams[streamId]) streams[streamId].error = `exception: ${e.message}`;
+    });
+}
+
+// Direct MP4 or an HLS pipeline for a probed torrent file, in the requested preset if there is
+// one (see fileOutputPlan)
+function startFileOutput(streamId, torrent, file, segSeconds, source) {
+    const entry = streams[streamId];
+    if (entry.tracks) {
+        startTrackOutput(streamId, torrent, file, segSeconds, source);
+        return;
+    }
+    const format = entry.format || 'ts';
+    const isMp4 = path.extname(file.name || '').toLowerCase() === '.mp4';
+    // Decide whether to skip ffmpeg entirely on low-memory instances and serve MP4 directly
+    const directFallbackMb = parseInt(process.env.DIRECT_MP4_FALLBACK_MEMORY_MB || String(DEFAULT_DIRECT_FALLBACK_MB), 10);
+    const plan = fileOutputPlan(source, {
+        isMp4,
+        format,
+        profile: entry.profile,
+        abr: abrEnabled(),
+        lowMemory: detectedMemoryMB <= directFallbackMb,
+        defaultPreset: DEFAULT_PRESET
+    });
+    const { copyBlocker } = plan;
+    if (copyBlocker && (isMp4 || format === 'cmaf')) console.log(`[${streamId}] transcoding: ${copyBlocker} can't be copied into ${format === 'cmaf' ? 'CMAF' : 'HLS'} segments`);
+    if (entry.profile === 'copy' && plan.profile !== 'copy' && plan.mode === 'pipeline') {
+        console.log(`[${streamId}] profile copy: ${copyBlocker || `${path.extname(file.name) || 'this file'} isn't copied into HLS segments`}, using ${DEFAULT_PRESET}`);
+    }
+
+    if (plan.mode === 'direct') {
+        console.log(`[${streamId}] low-memory (${detectedMemoryMB}MB) — skipping ffmpeg, serving MP4 directly via range requests`);
+        entry.mode = 'direct_mp4';
+        // Mark ready so clients can request via /stream/:id (direct range streaming)
+        entry.ready = true;
+        entry.segmentDuration = segSeconds;
+    } else {
+        // Attach to (or start) the shared HLS pipeline for this torrent file + output profile
+        attachPipeline(streamId, torrent, file, plan.profile, segSeconds, format, source);
+    }
+}
+
+// An album track: AAC HLS (AAC sources copied, the rest re-encoded, lossless ones at
+// AUDIO_LOSSLESS_BITRATE) or the requested audio preset, or on low-memory instances a lossy track
+// browsers play natively served as it is. Without a probe the track is re-encoded.
+function startTrackOutput(streamId, torrent, file, segSeconds, source) {
+    const entry = streams[streamId];
+    const audio = source ? source.audioStreams[0] : null;
+    if (source && !audio) {
+        console.error(`[${streamId}] ${file.name} has no audio stream`);
+        entry.error = `unsupported_file: ${file.path} has no audio stream`;
+        return;
+    }
+
+    const directFallbackMb = parseInt(process.env.DIRECT_MP4_FALLBACK_MEMORY_MB || String(DEFAULT_DIRECT_FALLBACK_MB), 10);
+    const directPlayable = !!audio && !isLosslessAudio(audio.codec) && !!AUDIO_CONTENT_TYPES[path.extname(file.name).toLowerCase()];
+    if (directPlayable && !entry.profile && detectedMemoryMB <= directFallbackMb) {
+        console.log(`[${streamId}] low-memory (${detectedMemoryMB}MB) — skipping ffmpeg, serving ${audio.codec} audio directly via range requests`);
+        entry.mode = 'direct_audio';
+        entry.ready = true;
+        entry.segmentDuration = segSeconds;
+        return;
+    }
+    // Albums only take audio presets: video ones have nothing to encode
+    const preset = TRANSCODE_PRESETS[entry.profile];
+    if (preset && preset.video) console.log(`[${streamId}] profile ${entry.profile} has video, ignored for an audio track`);
+    const profile = preset && !preset.video ? entry.profile : (audio && audio.codec === 'aac' ? 'audio-copy' : 'audio-aac');
+    attachPipeline(streamId, torrent, file, profile, segSeconds, 'ts', source);
+}
+
+// ---------------------------
+// Torrent input normalisation: magnet, infohash, .torrent upload/base64, .torrent URL
+// ---------------------------
+const MAX_TORRENT_FILE_BYTES = parseInt(process.env.MAX_TORRENT_FILE_BYTES || String(10 * 1024 * 1024), 10);
+const TORRENT_FETCH_TIMEOUT_MS = parseInt(process.env.TORRENT_FETCH_TIMEOUT_MS || '15000', 10);
+const INFO_HASH_PATTERN = /^([a-f0-9]{40}|[a-z2-7]{32})$/i;
+
+const torrentUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_TORRENT_FILE_BYTES, files: 1 }
+}).single('torrent');
+
+// Accept an optional multipart `torrent` file; upload errors become 400s
+function acceptTorrentUpload(req, res, next) {
+    torrentUpload(req, res, (err) => {
+        if (!err) {
+            if (req.is('multipart/form-data')) coerceFormFields(req.body);
+            return next();
+        }
+        const message = err.code === 'LIMIT_FILE_SIZE'
+            ? `torrent file larger than ${MAX_TORRENT_FILE_BYTES} bytes`
+            : `invalid upload: ${err.message}`;
+        res.status(400).json({ error: message });
+    });
+}
+
+// Multipart fields arrive as strings; convert the ones POST /stream expects as numbers/booleans
+function coerceFormFields(body) {
+    for (const key of ['fileIndex', 'episode', 'track']) {
+        if (typeof body[key] === 'string' && /^\d+$/.test(body[key])) body[key] = parseInt(body[key], 10);
+    }
+    if (body.autoAdvance === 'true' || body.autoAdvance === 'false') body.autoAdvance = body.autoAdvance === 'true';
+}
+
+function parseTorrentBuffer(buffer, source) {
+    try {
+        const parsed = parseTorrent(buffer);
+        if (!parsed.infoHash || !parsed.files) throw new Error('missing info dictionary');
+        return { torrentId: buffer, infoHash: parsed.infoHash, name: parsed.name, source };
+    } catch (e) {
+        return { error: `invalid .torrent file: ${e.message}` };
+    }
+}
+
+const TORRENT_FETCH_MAX_REDIRECTS = 5;
+
+// Can the server fetch from this address on a client's behalf? Loopback, private, link-local,
+// CGNAT, benchmarking, NAT64, multicast and unspecified addresses are refused (they reach this
+// host, its network or the local torrent-file proxy).
+function isPublicAddress(address) {
+    // IPv4-mapped IPv6, dotted or (as URL parsing writes it) hex
+    const mapped = address.toLowerCase().match(/^::ffff:(?:(\d+\.\d+\.\d+\.\d+)|([0-9a-f]{1,4}):([0-9a-f]{1,4}))$/);
+    if (mapped) {
+        address = mapped[1] || [mapped[2], mapped[3]].map(h => parseInt(h, 16)).map(n => `${n >> 8}.${n & 255}`).join('.');
+    }
+    if (net.isIPv4(address)) {
+        const [a, b] = address.split('.').map(Number);
+        return !(a === 0 || a === 10 || a === 127 || a >= 224
+            || (a === 100 && b >= 64 && b < 128)
+            || (a === 169 && b === 254)
+            || (a === 172 && b >= 16 && b < 32)
+            || (a === 192 && b === 168)
+            || (a === 198 && (b === 18 || b === 19))
+            || (a === 192 && b === 0 && address.split('.')[2] === '0'));
+    }
+    if (net.isIPv6(address)) {
+        // ::/96 (unspecified, loopback, IPv4-compatible), fc00::/7 unique local, fe80::/10 link-local,
+        // ff00::/8 multicast, 64:ff9b::/96 and 64:ff9b:1::/48 NAT64 (IPv4 behind a translator)
+        return !/^(::|f[cd]|fe[89ab]|ff|64:ff9b:)/i.test(address);
+    }
+    return false;
+}
+
+// dns.lookup that fails for hosts resolving to a non-public address, so the check applies to the
+// address actually connected to
+function publicOnlyLookup(hostname, options, callback) {
+    dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+        if (err) return callback(err);
+        const blocked = addresses.find(a => !isPublicAddress(a.address));
+        if (blocked) return callback(new Error(`${hostname} resolves to a non-public address (${blocked.address})`));
+        if (options.all) return callback(null, addresses);
+        callback(null, addresses[0].address, addresses[0].family);
+    });
+}
+
+// Why a torrent URL (the one sent or a redirect target) can't be fetched, or null
+function torrentUrlBlocker(url) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (e) {
+        return `invalid torrent URL: ${url}`;
+    }
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') return `torrent URL must be http(s): ${url}`;
+    // IP literals never go through the lookup
+    const host = parsed.hostname.replace(/^\[|\]$/g, '');
+    if (net.isIP(host) && !isPublicAddress(host)) return `torrent URL points at a non-public address: ${host}`;
+    if (host === 'localhost' || host.endsWith('.localhost')) return `torrent URL points at a non-public address: ${host}`;
+    return null;
+}
+
+// One GET: { redirect } | { buffer } | { error, status? }. The body is read in chunks and the
+// request dropped as soon as it passes MAX_TORRENT_FILE_BYTES.
+function requestTorrentUrl(url, signal) {
+    return new Promise((resolve, reject) => {
+        const tooLarge = { error: `torrent file larger than ${MAX_TORRENT_FILE_BYTES} bytes` };
+        const req = (url.startsWith('https:') ? https : http).get(url, { lookup: publicOnlyLookup, signal }, (res) => {
+            if ([301, 302, 303, 307, 308].includes(res.statusCode) && res.headers.location) {
+                res.resume();
+                return resolve({ redirect: res.headers.location });
+            }
+            if (res.statusCode < 200 || res.statusCode >= 300) {
+                res.resume();
+                return resolve({ error: `torrent URL returned HTTP ${res.statusCode}`, status: 502 });
+            }
+            if (parseInt(res.headers['content-length'] || '0', 10) > MAX_TORRENT_FILE_BYTES) {
+                req.destroy();
+                return resolve(tooLarge);
+            }
+            const chunks = [];
+            let size = 0;
+            res.on('data', (chunk) => {
+                size += chunk.length;
+                if (size > MAX_TORRENT_FILE_BYTES) {
+                    req.destroy();
+                    return resolve(tooLarge);
+                }
+                chunks.push(chunk);
+            });
+            res.on('end', () => resolve({ buffer: Buffer.concat(chunks) }));
+            res.on('close', () => { if (!res.complete) reject(new Error('connection closed before the end of the file')); });
+        });
+        req.on('error', reject);
+    });
+}
+
+// Download a .torrent file from a public http(s) URL, following redirects (each target checked)
+async function fetchTorrentFile(url) {
+    const signal = AbortSignal.timeout(TORRENT_FETCH_TIMEOUT_MS);
+    let target = url;
+    for (let redirects = 0; ; redirects++) {
+        const blocker = torrentUrlBlocker(target);
+        if (blocker) return { error: blocker };
+        let result;
+        try {
+            result = await requestTorrentUrl(target, signal);
+        } catch (e) {
+            return { error: `failed to fetch torrent URL: ${e.message}`, status: 502 };
+        }
+        if (!result.redirect) return result.error ? result : parseTorrentBuffer(result.buffer, 'url');
+        if (redirects >= TORRENT_FETCH_MAX_REDIRECTS) return { error: 'torrent URL redirected too many times', status: 502 };
+        target = new URL(result.redirect, target).href;
+    }
+}
+
+// Normalise whatever the client sent into something client.add accepts.
+// Returns { torrentId, infoHash, source } or { error, status? }.
+async function resolveTorrentInput(req) {
+    if (req.file) return parseTorrentBuffer(req.file.buffer, 'upload');
+
+    const fields = ['magnet', 'torrent', 'infoHash', 'torrentUrl'];
+    const provided = fields.filter(k => req.body[k] !== undefined && req.body[k] !== null && req.body[k] !== '');
+    if (provided.length === 0) {
+        return { error: 'magnet, infoHash, torrentUrl or torrent (.torrent upload or base64) required' };
+    }
+    if (provided.length > 1) {
+        return { error: `provide only one of ${fields.join(', ')} (got ${provided.join(', ')})` };
+    }
+
+    const field = provided[0];
+    const value = req.body[field];
+    if (typeof value !== 'string') return { error: `${field} must be a string` };
+    const raw = value.trim();
+
+    if (field === 'torrent') {
+        // base64 (or base64url) encoded .torrent file
+        if (!/^[A-Za-z0-9+/_=\s-]+$/.test(raw)) return { error: 'torrent must be a base64-encoded .torrent file' };
+        return parseTorrentBuffer(Buffer.from(raw, 'base64'), 'base64');
+    }
+
+    if (/^magnet:\?/i.test(raw)) {
+        try {
+            const parsed = parseTorrent(raw);
+            return { torrentId: raw, infoHash: parsed.infoHash, source: 'magnet' };
+        } catch (e) {
+            return { error: 'invalid magnet link: no BitTorrent info hash (xt=urn:btih:...)' };
+        }
+    }
+
+    if (INFO_HASH_PATTERN.test(raw)) {
+        const { infoHash } = parseTorrent(raw); // base32 hashes come back as hex
+        return { torrentId: `magnet:?xt=urn:btih:${infoHash}`, infoHash, source: 'infohash' };
+    }
+
+    if (/^https?:\/\//i.test(raw)) {
+        try {
+            new URL(raw);
+        } catch (e) {
+            return { error: `invalid torrent URL: ${raw}` };
+        }
+        return fetchTorrentFile(raw);
+    }
+
+    return { error: `${field} is not a magnet link, 40-hex/32-base32 info hash or http(s) URL to a .torrent file` };
+}
+
+// ---------------------------
+// POST /stream - Start torrent stream
+// ---------------------------
+app.post("/stream", acceptTorrentUpload, async (req, res) => {
+    try {
+        const input = await resolveTorrentInput(req);
+        if (input.error) return res.status(input.status || 400).json({ error: input.error });
+
+        // Optional explicit file choice; otherwise the largest non-sample video is used
+        const { fileIndex, filePath, episode, track, autoAdvance } = req.body;
+        if (fileIndex !== undefined && (!Number.isInteger(fileIndex) || fileIndex < 0)) {
+            return res.status(400).json({ error: 'fileIndex must be a non-negative integer' });
+        }
+        if (filePath !== undefined && (typeof filePath !== 'string' || !filePath.trim())) {
+            return res.status(400).json({ error: 'filePath must be a non-empty string' });
+        }
+        if (episode !== undefined && !(Number.isInteger(episode) && episode >= 0) && typeof episode !== 'string') {
+            return res.status(400).json({ error: 'episode must be an episode list index or a code like S01E02' });
+        }
+        if (track !== undefined && !(Number.isInteger(track) && track >= 0)) {
+            return res.status(400).json({ error: 'track must be a track list index' });
+        }
+        const { format, error: formatError } = parseOutputFormat(req.body.format);
+        if (formatError) return res.status(400).json({ error: formatError });
+        const { profile, error: profileError } = parseProfile(req.body.profile, format);
+        if (profileError) return res.status(400).json({ error: profileError });
+        const { audioLanguage } = req.body;
+        if (audioLanguage !== undefined && !normalizeLanguage(audioLanguage)) {
+            return res.status(400).json({ error: 'audioLanguage must be a language code or name (e.g. "hin", "hi", "Hindi")' });
+        }
+
+        const streamId = randomBytes(4).toString("hex");
+        const outputFolder = `/tmp/${streamId}`;
+
+        try {
+            fs.mkdirSync(outputFolder, { recursive: true });
+        } catch (e) {
+            return res.status(500).json({ error: `failed to create output folder: ${e.message}` });
+        }
+
+        // Initialize stream entry immediately
+        streams[streamId] = {
+            folder: outputFolder,
+            ready: false,
+            createdAt: Date.now(),
+            lastActivity: Date.now(),
+            error: null,
+            client: requestClient(req),
+            fileSelection: { fileIndex, filePath, episode, track },
+            // off for season packs unless asked for, on for albums (see processTorrent)
+            autoAdvance: typeof autoAdvance === 'boolean' ? autoAdvance : null,
+            format,
+            // transcode preset name, null for the automatic choice (see startFileOutput)
+            profile,
+            audioLanguage: audioLanguage !== undefined ? normalizeLanguage(audioLanguage) : null
+        };
+
+        console.log(`[${streamId}] POST /stream: adding torrent ${input.infoHash} (${input.source})`);
+
+        // Check if torrent already in client
+        const existing = client.get(input.infoHash);
+        if (existing) {
+            console.log(`[${streamId}] reusing existing torrent`);
+            streams[streamId].torrent = existing;
+            if (existing.ready) {
+                processTorrent(existing, streamId, outputFolder);
+            } else {
+                // Another session added it moments ago; wait for its metadata
+                existing.once('ready', () => processTorrent(existing, streamId, outputFolder));
+            }
+        } else {
+            // Add new torrent; callback fires when metadata is available
+            const torrent = client.add(input.torrentId, { path: outputFolder }, (torrent) => {
+                processTorrent(torrent, streamId, outputFolder);
+            });
+            torrent.on('error', (err) => {
+                console.error(`[${streamId}] client.add error:`, err.message);
+                if (streams[streamId]) streams[streamId].error = `add_error: ${err.message}`;
+            });
+            // Keep a handle before metadata arrives so the session can be stopped early
+            streams[streamId].torrent = torrent;
+        }
+
+        // Return immediately with stream_id and URLs
+        res.json({
+            stream_id: streamId,
+            hls_url: `/hls/${streamId}/playlist.m3u8`,
+            mp4_url: `/stream/${streamId}`,
+            ...(format === 'cmaf' ? { dash_url: `/dash/${streamId}/${DASH_MANIFEST_NAME}` } : {}),
+            status_url: `/status/${streamId}`,
+            files_url: `/files/${streamId}`,
+            episodes_url: `/episodes/${streamId}`,
+            tracks_url: `/tracks/${streamId}`
+        });
+
+    } catch (e) {
+        console.error('POST /stream exception:', e);
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// Rendition list for /status (null for plain single-playlist streams)
+function statusRenditions(id, output) {
+    if (!output.renditions) return null;
+    const list = output.renditions.map(r => ({
+        name: r.name,
+        width: r.width,
+        height: r.height,
+        videoBitrate: r.videoBitrate,
+        audioBitrate: output.hasAudio && !output.separateAudio ? r.audioBitrate : 0,
+        playlist_url: `/hls/${id}/${r.name}/${HLS_PLAYLIST_NAME}`
+    }));
+    if (output.separateAudio) {
+        for (const t of output.audioTracks) {
+            list.push({ name: t.name, language: t.language, audioBitrate: AUDIO_RENDITION_BITRATE, playlist_url: `/hls/${id}/${t.name}/${HLS_PLAYLIST_NAME}` });
+        }
+    }
+    return list;
+}
+
+// Source audio tracks for /status; playlist_url is set when each is its own rendition
+function statusAudioTracks(id, entry) {
+    const output = hlsOutputOf(entry);
+    if (!output.audioTracks) return null;
+    const preferred = defaultAudioTrack(output.audioTracks, entry.audioLanguage);
+    return output.audioTracks.map(t => ({
+        index: t.index,
+        language: t.language,
+        title: t.title,
+        codec: t.codec,
+        channels: t.channels,
+        default: t === preferred,
+        playlist_url: output.separateAudio ? `/hls/${id}/${t.name}/${HLS_PLAYLIST_NAME}` : null
+    }));
+}
+
+// ---------------------------
+// GET /status/:id - Detailed stream status
+// ---------------------------
+app.get('/status/:id', (req, res) => {
+    try {
+        const id = req.params.id;
+        const entry = streams[id];
+        if (!entry) {
+            return res.status(404).json({ error: 'stream not found' });
+        }
+
+        if (hlsFolderOf(entry)) {
+            entry.totalSegments = Math.max(entry.totalSegments || 0, countProducedSegments(hlsDirOf(entry)));
+        }
+
+        const queueIndex = entry.ffmpegJob ? queueOrder().indexOf(entry.ffmpegJob) : -1;
+        const playbackPosition = entry.playbackPosition || 0;
+
+        const status = {
+            stream_id: id,
+            ready: !!entry.ready,
+            mode: entry.mode || 'hls',
+            source: entry.isYtDlp ? 'yt-dlp' : 'torrent',
+            file: entry.file?.name || (entry.filePath ? path.basename(entry.filePath) : null),
+            error: parseStreamError(entry.error),
+            createdAt: entry.createdAt,
+            elapsedSeconds: Math.floor((Date.now() - entry.createdAt) / 1000),
+            lastActivity: entry.lastActivity || null,
+
+            // Transcode state
+            ffmpegActive: !!entry.ffmpegJob && !!entry.ffmpegJob.proc && !entry.ffmpegJob.finished,
+            sharedPipeline: entry.pipeline ? entry.pipeline.refs.size > 1 : false,
+            hlsMode: entry.pipeline ? (entry.pipeline.vod ? 'vod' : 'linear') : null,
+            format: entry.format || 'ts',
+            profile: entry.profile || null,
+            outputProfile: entry.pipeline ? entry.pipeline.profile : (entry.outputProfile || null),
+            dash_url: entry.format === 'cmaf' ? `/dash/${id}/${DASH_MANIFEST_NAME}` : null,
+            renditions: statusRenditions(id, hlsOutputOf(entry)),
+            audioTracks: statusAudioTracks(id, entry),
+            audioLanguage: entry.audioLanguage || null,
+            ffmpegQueued: queueIndex !== -1,
+            queuePosition: queueIndex === -1 ? null : queueIndex + 1, // 1-based
+            ffmpegQueueLength: ffmpegQueue.length,
+            job_url: entry.ffmpegJob ? `/jobs/${entry.ffmpegJob.id}` : null,
+            totalSegments: entry.totalSegments || 0,
+            segmentDuration: entry.segmentDuration || null,
+            hlsReadyAt: entry.playlistReady || null,
+
+            // Media
+            duration: entry.duration || null,
+            mediaInfo: entry.mediaInfo || null,
+            chapters: sessionChapters(entry),
+            chapters_url: `/hls/${id}/${CHAPTERS_VTT_NAME}`,
+            trickplay: entry.trickplay ? {
+                interval: TRICKPLAY_INTERVAL,
+                width: entry.trickplay.width,
+                height: entry.trickplay.height,
+                sheets: entry.trickplay.sheets.size,
+                sheetCount: entry.trickplay.sheetCount,
+                thumbnails_url: `/trickplay/${id}/${TRICKPLAY_VTT_NAME}`
+            } : null,
+
+            // Subtitles
+            availableSubtitles: entry.subtitles || [],
+            extractedSubtitles: sessionSubtitles(entry).map(s => ({
+                name: s.name,
+                language: s.language,
+                format: s.ext,
+                size: s.size,
+                languageConfidence: s.languageConfidence ?? null,
+                languageSource: s.languageSource || (s.embedded ? 'track' : null),
+                encoding: s.encoding ?? null, // as found in the torrent; served as UTF-8
+                embedded: !!s.embedded,
+                url: `/subtitles/${id}/${s.name}`
+            })),
+
+            seekControl: {
+                currentSegment: entry.currentSegment || 0,
+                playbackPosition,
+                playbackPositionFormatted: formatDuration(playbackPosition),
+                seekRestarts: entry.pipeline ? entry.pipeline.restarts || 0 : 0,
+                transcodeStartSegment: entry.ffmpegJob ? entry.ffmpegJob.startSegment || 0 : null
+            },
+
+            downloadComplete: !!entry.downloadComplete
+        };
+
+        if (entry.episodes) {
+            const idx = currentEpisodeIndex(entry);
+            status.episodeCount = entry.episodes.length;
+            status.currentEpisode = idx === -1 ? null : entry.episodes[idx].code;
+            status.nextEpisode = entry.episodes[idx + 1] ? entry.episodes[idx + 1].code : null;
+            status.autoAdvance = !!entry.autoAdvance;
+        }
+        if (entry.tracks) {
+            const idx = currentTrackIndex(entry);
+            status.audioOnly = true;
+            status.trackCount = entry.tracks.length;
+            status.currentTrack = idx === -1 ? null : describeTrack(id, entry, entry.tracks[idx], idx);
+            status.nextTrack = entry.tracks[idx + 1] ? idx + 1 : null;
+            status.autoAdvance = !!entry.autoAdvance;
+            status.tracks_url = `/tracks/${id}`;
+        }
+
+        // Add torrent info if available
+        const torrent = entry.torrent;
+        if (torrent) {
+            status.torrentName = torrent.name || null;
+            status.torrentHash = torrent.infoHash || null;
+            status.numPeers = torrent.numPeers || 0;
+            status.progress = Math.round((torrent.progress || 0) * 10000) / 100; // percent
+            status.downloadSpeed = torrent.downloadSpeed || 0; // bytes/sec
+            status.uploadSpeed = torrent.uploadSpeed || 0; // bytes/sec
+            status.downloaded = torrent.downloaded || 0; // bytes
+            status.uploaded = torrent.uploaded || 0; // bytes
+            status.length = torrent.length || null; // bytes
+            status.timeRemaining = Number.isFinite(torrent.timeRemaining) ? torrent.timeRemaining : null; // ms
+            status.ratio = Math.round((torrent.ratio || 0) * 10000) / 10000;
+            status.downloadComplete = status.downloadComplete || !!torrent.done;
+        }
+
+        res.json(status);
+    } catch (e) {
+        console.error(`GET /status/${req.params.id} error:`, e.message);
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// ---------------------------
+// GET /files/:id - List every file in the stream's torrent
+// ---------------------------
+app.get('/files/:id', (req, res) => {
+    try {
+        const entry = streams[req.params.id];
+        if (!entry) {
+            return res.status(404).json({ error: 'stream not found' });
+        }
+
+        const torrent = entry.torrent;
+        if (!torrent) {
+            return res.status(400).json({ error: 'stream is not a torrent stream' });
+        }
+        if (!torrent.files || torrent.files.length === 0) {
+            return res.status(202).json({ ready: false, error: 'torrent metadata not available yet' });
+        }
+
+        const selected = new Set(Object.values(streams)
+            .filter(s => s.torrent === torrent && s.file)
+            .map(s => torrent.files.indexOf(s.file)));
+
+        const files = torrent.files.map((f, index) => ({
+            index,
+            name: f.name,
+            path: f.path,
+            size: f.length,
+            type: classifyFile(f.name),
+            extra: isExtraFile(f),
+            downloaded: f.downloaded,
+            progress: Math.round((f.progress || 0) * 10000) / 100, // percent
+            selected: selected.has(index),
+            streaming: entry.file === f
+        }));
+
+        res.json({
+            stream_id: req.params.id,
+            torrentName: torrent.name,
+            infoHash: torrent.infoHash,
+            selectedIndex: entry.file ? torrent.files.indexOf(entry.file) : null,
+            files
+        });
+    } catch (e) {
+        console.error(`GET /files/${req.params.id} error:`, e.message);
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// ---------------------------
+// GET /episodes/:id - Ordered episode list for season packs
+// ---------------------------
+app.get('/episodes/:id', (req, res) => {
+    try {
+        const entry = streams[req.params.id];
+        if (!entry) {
+            return res.status(404).json({ error: 'stream not found' });
+        }
+        if (!entry.torrent || !entry.torrent.files || entry.torrent.files.length === 0) {
+            return res.status(202).json({ ready: false, error: 'torrent metadata not available yet' });
+        }
+        if (!entry.episodes) {
+            return res.json({ seasonPack: false, episodes: [] });
+        }
+
+        const idx = currentEpisodeIndex(entry);
+        res.json({
+            seasonPack: true,
+            currentIndex: idx === -1 ? null : idx,
+            autoAdvance: !!entry.autoAdvance,
+            prefetching: entry.episodePrefetch ? entry.episodePrefetch.code : null,
+            episodes: entry.episodes.map((ep, i) => describeEpisode(entry, ep, i))
+        });
+    } catch (e) {
+        console.error(`GET /episodes/${req.params.id} error:`, e.message);
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// ---------------------------
+// POST /episode/:id - Switch the session to another episode
+// ---------------------------
+app.post('/episode/:id', (req, res) => {
+    try {
+        const id = req.params.id;
+        const entry = streams[id];
+        if (!entry) {
+            return res.status(404).json({ error: 'stream not found' });
+        }
+        if (!entry.episodes) {
+            return res.status(400).json({ error: 'stream is not a season pack' });
+        }
+
+        const { episode, autoAdvance } = req.body;
+        if (typeof autoAdvance === 'boolean') entry.autoAdvance = autoAdvance;
+        if (episode === undefined) {
+            if (typeof autoAdvance === 'boolean') return res.json({ success: true, autoAdvance: entry.autoAdvance });
+            return res.status(400).json({ error: 'episode required (index, code like S01E02, "next" or "previous")' });
+        }
+
+        const current = currentEpisodeIndex(entry);
+        const target = resolveEpisodeIndex(entry.episodes, episode, current);
+        if (target === -1) {
+            return res.status(400).json({ error: `episode not found: ${episode}` });
+        }
+
+        const ep = target === current ? entry.episodes[current] : switchEpisode(id, target);
+        res.json({
+            success: true,
+            episode: describeEpisode(entry, ep, target),
+            hls_url: `/hls/${id}/playlist.m3u8`,
+            mp4_url: `/stream/${id}`,
+            message: target === current ? `Already playing ${ep.code}` : `Switched to ${ep.code}; reload the playlist`
+        });
+    } catch (e) {
+        console.error(`POST /episode/${req.params.id} error:`, e.message);
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// ---------------------------
+// GET /tracks/:id - Ordered track list for audio torrents
+// ---------------------------
+app.get('/tracks/:id', (req, res) => {
+    try {
+        const id = req.params.id;
+        const entry = streams[id];
+        if (!entry) {
+            return res.status(404).json({ error: 'stream not found' });
+        }
+        if (!entry.torrent || !entry.torrent.files || entry.torrent.files.length === 0) {
+            return res.status(202).json({ ready: false, error: 'torrent metadata not available yet' });
+        }
+        if (!entry.tracks) {
+            return res.json({ audioOnly: false, tracks: [] });
+        }
+
+        const idx = currentTrackIndex(entry);
+        res.json({
+            audioOnly: true,
+            currentIndex: idx === -1 ? null : idx,
+            autoAdvance: !!entry.autoAdvance,
+            prefetching: entry.episodePrefetch ? entry.episodePrefetch.index : null,
+            tracks: entry.tracks.map((t, i) => describeTrack(id, entry, t, i))
+        });
+    } catch (e) {
+        console.error(`GET /tracks/${req.params.id} error:`, e.message);
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// ---------------------------
+// POST /track/:id - Switch an audio session to another track
+// ---------------------------
+app.post('/track/:id', (req, res) => {
+    try {
+        const id = req.params.id;
+        const entry = streams[id];
+        if (!entry) {
+            return res.status(404).json({ error: 'stream not found' });
+        }
+        if (!entry.tracks) {
+            return res.status(400).json({ error: 'stream is not an audio torrent' });
+        }
+
+        const { track, autoAdvance } = req.body;
+        if (typeof autoAdvance === 'boolean') entry.autoAdvance = autoAdvance;
+        if (track === undefined) {
+            if (typeof autoAdvance === 'boolean') return res.json({ success: true, autoAdvance: entry.autoAdvance });
+            return res.status(400).json({ error: 'track required (list index, "next" or "previous")' });
+        }
+
+        const current = currentTrackIndex(entry);
+        const target = resolveTrackIndex(entry.tracks, track, current);
+        if (target === -1) {
+            return res.status(400).json({ error: `track not found: ${track}` });
+        }
+
+        const switched = target === current ? entry.tracks[current] : switchTrack(id, target);
+        res.json({
+            success: true,
+            track: describeTrack(id, entry, switched, target),
+            hls_url: `/hls/${id}/playlist.m3u8`,
+            mp4_url: `/stream/${id}`,
+            message: target === current ? `Already playing track ${target + 1}` : `Switched to track ${target + 1}; reload the playlist`
+        });
+    } catch (e) {
+        console.error(`POST /track/${req.params.id} error:`, e.message);
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// ---------------------------
+// GET /cover/:id?track=N - Album art: the track's embedded picture, else an image next to it
+// ---------------------------
+app.get('/cover/:id', async (req, res) => {
+    try {
+        const id = req.params.id;
+        const entry = streams[id];
+        if (!entry) {
+            return res.status(404).json({ error: 'stream not found' });
+        }
+        if (!entry.tracks) {
+            return res.status(400).json({ error: 'stream is not an audio torrent' });
+        }
+        const index = req.query.track === undefined ? currentTrackIndex(entry) : Number(req.query.track);
+        const track = entry.tracks[index];
+        if (!Number.isInteger(index) || !track) {
+            return res.status(400).json({ error: `track must be a track list index (0-${entry.tracks.length - 1})` });
+        }
+        touchStream(id);
+
+        const torrent = entry.torrent;
+        const media = await probeTrack(torrent, track);
+        const picture = media && media.videoStreams.find(v => v.attachedPicture);
+        if (picture) {
+            const ext = picture.codec === 'png' ? 'png' : 'jpg';
+            const folder = path.join(entry.folder, 'covers');
+            const output = path.join(folder, `cover_${torrent.files.indexOf(track.file)}.${ext}`);
+            if (!fs.existsSync(output)) {
+                fs.mkdirSync(folder, { recursive: true });
+                try {
+                    await extractCoverArt(id, torrentFileUrl(torrent, track.file), picture, output);
+                } catch (e) {
+                    fs.rmSync(output, { force: true });
+                    throw e;
+                }
+            }
+            res.set({ 'Content-Type': IMAGE_CONTENT_TYPES[`.${ext}`], 'Cache-Control': 'public, max-age=3600' });
+            return res.sendFile(output);
+        }
+
+        const image = folderCoverFile(torrent, track.file);
+        if (!image) {
+            return res.status(404).json({ error: 'no cover art for this track' });
+        }
+        res.writeHead(200, {
+            'Content-Type': IMAGE_CONTENT_TYPES[path.extname(image.name).toLowerCase()] || 'application/octet-stream',
+            'Content-Length': image.length,
+            'Cache-Control': 'public, max-age=3600'
+        });
+        const stream = image.createReadStream();
+        stream.on('error', (err) => {
+            console.error(`Cover stream error for ${id}:`, err.message);
+            res.destroy();
+        });
+        stream.pipe(res);
+    } catch (e) {
+        console.error(`GET /cover/${req.params.id} error:`, e.message);
+        res.status(500).json({ error: e.message });
+    }
+});
+
+app.post("/subtitles", acceptTorrentUpload, async (req, res) => {
+  let client = null;
+
+  try {
+    const input = await resolveTorrentInput(req);
+    if (input.error) {
+      return res.status(input.status || 400).json({ error: input.error });
+    }
+
+    client = new WebTorrent();
+    client.add(input.torrentId, { destroyStoreOnDestroy: true }, (torrent) => {
+      
+      const subtitles = torrent.files
+        .filter(f => f.name.endsWith(".srt") || f.name.endsWith(".vtt"))
+        .map(f => {
+          const fileMagnet =
+            `magnet:?xt=urn:btih:${torrent.infoHash}` +
+            `&dn=${encodeURIComponent(f.name)}` +
+            torrent.announce.map(tr => `&tr=${encodeURIComponent(tr)}`).join("");
+
+          return {
+            name: f.name,
+            magnet: fileMagnet
+          };
+        });
+
+      clearTimeout(timeout);
+      client.destroy();
+      res.json({ subtitles });
+    });
+
+    const timeout = setTimeout(() => {
+      client.destroy();
+      if (!res.headersSent) res.status(504).json({ error: "Timeout fetching metadata" });
+    }, 15000);
+
+  } catch (err) {
+    if (client) client.destroy();
+    if (!res.headersSent) res.status(500).json({ error: err.message || "Internal server error" });
+  }
+});
+
+// Optional endpoint to serve subtitle content if needed
+app.get("/subtitle/:infoHash/:fileName", async (req, res) => {
+  const { infoHash, fileName } = req.params;
+  if (!INFO_HASH_PATTERN.test(infoHash)) {
+    return res.status(400).json({ error: "infoHash must be 40 hex or 32 base32 characters" });
+  }
+  const client = new WebTorrent();
+
+  client.add(`magnet:?xt=urn:btih:${infoHash}`, { destroyStoreOnDestroy: true }, (torrent) => {
+    const file = torrent.files.find(f => encodeURIComponent(f.name) === fileName);
+    if (!file) {
+      client.destroy();
+      return res.status(404).send("Subtitle not found");
+    }
+
+    file.getBuffer((err, buffer) => {
+      client.destroy();
+      if (err) return res.status(500).send(err.message);
+
+      // Re-encode legacy code pages / UTF-16 as UTF-8
+      const ext = path.extname(file.name).slice(1).toLowerCase();
+      const decoded = decodeSubtitleBuffer(buffer, detectLanguageFromName(file.name));
+      if (!decoded) {
+        res.setHeader("Content-Type", "application/octet-stream");
+        return res.send(buffer);
+      }
+      res.setHeader("Content-Type", subtitleContentType(ext));
+      res.setHeader("X-Original-Encoding", decoded.encoding);
+      res.send(Buffer.from(decoded.text, "utf8"));
+    });
+  });
+});
+
+// ---------------------------
+// GET /subtitles/:id - Return subtitle magnet links directly
+// ---------------------------
+app.get('/subtitles/:id', (req, res) => {
+    try {
+        const entry = streams[req.params.id];
+        if (!entry || !entry.torrent) {
+            return res.status(404).json({ error: 'stream not found or torrent missing' });
+        }
+
+        const torrent = entry.torrent;
+
+        // Filter subtitle files inside torrent
+        const subtitleFiles = torrent.files.filter(f => f.name.endsWith('.srt') || f.name.endsWith('.vtt'));
+
+        if (subtitleFiles.length === 0) {
+            return res.json({ subtitles: [] });
+        }
+
+        // Generate magnet links for each subtitle
+        const subtitles = subtitleFiles.map(f => ({
+            name: f.name,
+            magnet: `magnet:?xt=urn:btih:${torrent.infoHash}&dn=${encodeURIComponent(f.path)}&tr=udp://tracker.openbittorrent.com:80/announce`
+        }));
+
+        res.json({ subtitles });
+
+    } catch (e) {
+        console.error(`GET /subtitles/${req.params.id} error:`, e.message);
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// ---------------------------
+// POST /seek/:id - Seek to specific time/segment
+// ---------------------------
+app.post('/seek/:id', async (req, res) => {
+    try {
+        const id = req.params.id;
+        const entry = streams[id];
+        if (!entry) {
+            return res.status(404).json({ error: 'stream not found' });
+        }
+
+        if (!entry.ready) {
+            return res.status(400).json({ error: 'stream not ready' });
+        }
+        touchStream(id);
+
+        const { time, segment, chapter } = req.body;
+        // a pipeline's segments stay on the grid it started with, whatever new sessions get
+        const pipeline = entry.pipeline;
+        const segmentDuration = (pipeline ? pipeline.segmentDuration : entry.segmentDuration) || 4;
+        let targetSegment = 0;
+        let targetChapter = null;
+
+        if (time !== undefined) {
+            // Seek by time (seconds)
+            targetSegment = Math.floor(Number(time) / segmentDuration);
+        } else if (segment !== undefined) {
+            // Seek by segment number
+            targetSegment = parseInt(segment, 10);
+        } else if (chapter !== undefined) {
+            // Seek to the start of a chapter (its index in the chapter list)
+            const chapters = sessionChapters(entry);
+            if (chapters.length === 0) {
+                return res.status(400).json({ error: 'stream has no chapters' });
+            }
+            targetChapter = chapters.find(ch => ch.index === Number(chapter));
+            if (!targetChapter) {
+                return res.status(400).json({ error: `invalid chapter ${chapter}, valid range: 0-${chapters.length - 1}` });
+            }
+            targetSegment = Math.floor(targetChapter.start / segmentDuration);
+        } else {
+            return res.status(400).json({ error: 'time, segment or chapter parameter required' });
+        }
+        if (!Number.isFinite(targetSegment)) {
+            return res.status(400).json({ error: 'time/segment must be a number' });
+        }
+
+        // A seek past what has been transcoded needs the real duration to validate and map to bytes
+        if (!entry.duration && entry.torrent && entry.file) {
+            const duration = await probeTorrentFileDuration(entry.torrent, entry.file);
+            if (!streams[id]) {
+                return res.status(404).json({ error: 'stream not found' });
+            }
+            if (duration) recordDuration(entry, duration);
+        }
+
+        // Validate segment number
+        const totalSegments = entry.duration
+            ? Math.ceil(entry.duration / segmentDuration)
+            : (transcodeFinished(entry) && entry.ffmpegJob ? entry.totalSegments || 0 : 0);
+        if (targetSegment < 0 || (totalSegments > 0 && targetSegment >= totalSegments)) {
+            return res.status(400).json({ error: `invalid segment ${targetSegment}, valid range: 0-${totalSegments - 1}` });
+        }
+
+        entry.currentSegment = targetSegment;
+        entry.playbackPosition = targetSegment * segmentDuration;
+
+        let transcodeRestarted = false;
+        let pieces = null;
+        if (pipeline) {
+            // Fetch the pieces around the target first and restart ffmpeg there if it isn't already close
+            transcodeRestarted = ensurePipelineCovers(pipeline, id, targetSegment, 'seek', true);
+            if (pipeline.seekSelection) pieces = { start: pipeline.seekSelection.start, end: pipeline.seekSelection.end };
+        } else if (isDirectMode(entry) && entry.torrent && entry.file) {
+            // The player's next range request lands here: make sure those pieces come first
+            const byteOffset = timeToByteOffset(entry.file, entry.duration, entry.playbackPosition);
+            if (byteOffset !== null) pieces = prioritiseFileRegion(entry, entry.torrent, entry.file, byteOffset);
+        }
+
+        const segmentName = segmentFileName(targetSegment, hlsOutputOf(entry).format);
+        res.json({
+            success: true,
+            currentSegment: targetSegment,
+            playbackPosition: entry.playbackPosition,
+            playbackPositionFormatted: formatDuration(entry.playbackPosition),
+            available: isDirectMode(entry) ? null : isSegmentComplete(entry, segmentName),
+            transcodeRestarted,
+            byteOffset: entry.file ? timeToByteOffset(entry.file, entry.duration, entry.playbackPosition) : null,
+            pieces,
+            chapter: targetChapter || chapterAt(sessionChapters(entry), entry.playbackPosition),
+            message: `Seeked to segment ${targetSegment}`
+        });
+    } catch (e) {
+        console.error(`POST /seek/${req.params.id} error:`, e.message);
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// ---------------------------
+// GET /seek-info/:id - Get seek-able information
+// ---------------------------
+app.get('/seek-info/:id', (req, res) => {
+    try {
+        const entry = streams[req.params.id];
+        if (!entry) {
+            return res.status(404).json({ error: 'stream not found' });
+        }
+
+        if (!entry.ready) {
+            return res.status(400).json({ error: 'stream not ready' });
+        }
+
+        const segmentDuration = entry.segmentDuration || 4;
+        const vod = !!(entry.pipeline && entry.pipeline.vod);
+        // with a known duration every segment of the timeline exists (VOD ones are produced on request)
+        const totalSegments = entry.duration ? Math.ceil(entry.duration / segmentDuration) : entry.totalSegments || 0;
+        const totalDuration = entry.duration || totalSegments * segmentDuration;
+
+        const seekInfo = {
+            vod,
+            currentSegment: entry.currentSegment || 0,
+            currentTime: entry.playbackPosition || 0,
+            currentTimeFormatted: formatDuration(entry.playbackPosition || 0),
+            totalSegments: totalSegments,
+            totalDuration: totalDuration,
+            totalDurationFormatted: formatDuration(totalDuration),
+            segmentDuration: segmentDuration,
+            currentChapter: null,
+            chapters: [],
+            segments: []
+        };
+        const chapters = sessionChapters(entry);
+        const current = chapterAt(chapters, entry.playbackPosition || 0);
+        seekInfo.currentChapter = current ? current.index : null;
+        // the segment a { chapter } seek lands on
+        seekInfo.chapters = chapters.map(ch => ({ ...ch, segment: Math.floor(ch.start / segmentDuration), startFormatted: formatDuration(ch.start) }));
+
+        // List available segments (expensive for large videos, limit to nearby)
+        const currentSeg = entry.currentSegment || 0;
+        const rangeStart = Math.max(0, currentSeg - 10);
+        const rangeEnd = Math.min(totalSegments, currentSeg + 10);
+
+        for (let i = rangeStart; i < rangeEnd; i++) {
+            const segmentFile = segmentFileName(i, hlsOutputOf(entry).format);
+            const exists = isSegmentComplete(entry, segmentFile);
+
+            seekInfo.segments.push({
+                number: i,
+                filename: segmentFile,
+                available: exists,
+                seekable: exists || vod,
+                time: i * segmentDuration,
+                timeFormatted: formatDuration(i * segmentDuration)
+            });
+        }
+
+        res.json(seekInfo);
+    } catch (e) {
+        console.error(`GET /seek-info/${req.params.id} error:`, e.message);
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// ---------------------------
+// GET /hls/:id/:file, /hls/:id/:rendition/:file - Serve HLS playlists and segments
+// ---------------------------
+const HLS_SEGMENT_WAIT_MS = parseInt(process.env.HLS_SEGMENT_WAIT_MS || '30000', 10);
+const HLS_WAIT_POLL_MS = parseInt(process.env.HLS_WAIT_POLL_MS || '250', 10);
+const HLS_PLAYLIST_NAME = 'playlist.m3u8';
+const HLS_SEGMENT_PATTERN = /^segment_(\d+)\.(?:ts|m4s)$/;
+// Segment, init and sprite names restart for every file a session plays (episode or track switch),
+// so clients revalidate them instead of caching; sendFile's ETag turns an unchanged one into a 304
+const SESSION_MEDIA_CACHE_CONTROL = 'no-cache';
+
+// True once the ffmpeg job for this stream has exited (or was never scheduled)
+function transcodeFinished(entry) {
+    return !entry.ffmpegJob || entry.ffmpegJob.finished || entry.ffmpegJob.cancelled;
+}
+
+// Directory holding a rendition's playlist and segments (the first rendition when none is given)
+function hlsDirOf(entry, rendition) {
+    const output = hlsOutputOf(entry);
+    if (output.renditions) return path.join(hlsFolderOf(entry), rendition || output.renditions[0].name);
+    return hlsFolderOf(entry);
+}
+
+function readPlaylist(entry, rendition) {
+    try {
+        return fs.readFileSync(path.join(hlsDirOf(entry, rendition), HLS_PLAYLIST_NAME), 'utf8');
+    } catch (e) {
+        return null;
+    }
+}
+
+// [{ name, index, duration }] for every segment listed in an ffmpeg playlist
+function parsePlaylistSegments(text) {
+    const segments = [];
+    let duration = null;
+    for (const raw of (text || '').split('\n')) {
+        const line = raw.trim();
+        const inf = line.match(/^#EXTINF:([\d.]+)/);
+        if (inf) {
+            duration = parseFloat(inf[1]);
+            continue;
+        }
+        const m = line.match(HLS_SEGMENT_PATTERN);
+        if (m) {
+            segments.push({ name: line, index: parseInt(m[1], 10), duration });
+            duration = null;
+        }
+    }
+    return segments;
+}
+
+// Segments listed by any job's playlist in the folder (seek restarts write playlist_<n>.m3u8)
+function listedSegments(folder) {
+    const listed = new Map();
+    let names = [];
+    try {
+        names = fs.readdirSync(folder).filter(n => /^playlist(_\d+)?\.m3u8$/.test(n));
+    } catch (e) {
+        return listed;
+    }
+    for (const name of names) {
+        for (const seg of parsePlaylistSegments(safeReadFile(path.join(folder, name)))) {
+            listed.set(seg.name, seg);
+        }
+    }
+    return listed;
+}
+
+// ffmpeg writes a segment progressively and only lists it in the playlist once it is complete
+// (a listed segment may since have been dropped from the VOD cache)
+function isSegmentComplete(entry, name, rendition) {
+    const dir = hlsDirOf(entry, rendition);
+    return fs.existsSync(path.join(dir, name)) && (transcodeFinished(entry) || listedSegments(dir).has(name));
+}
+
+// Playlist served to players. In linear mode without seek restarts this is ffmpeg's own playlist;
+// otherwise the segments of every job are merged onto one timeline: the full VOD timeline when the
+// duration is known (missing segments are produced on request), otherwise the produced ones with
+// discontinuities at the gaps.
+function servedPlaylist(entry, rendition) {
+    const pipeline = entry.pipeline;
+    if (!pipeline || (!pipeline.vod && !pipeline.restarts)) return readPlaylist(entry, rendition);
+
+    const segDur = pipeline.segmentDuration;
+    const listed = [...listedSegments(hlsDirOf(entry, rendition)).values()].sort((a, b) => a.index - b.index);
+    let items;
+    let vod = false;
+    if (pipeline.duration > 0) {
+        const byIndex = new Map(listed.map(seg => [seg.index, seg]));
+        const total = Math.ceil(pipeline.duration / segDur);
+        items = [];
+        for (let i = 0; i < total; i++) {
+            const nominal = i === total - 1 ? pipeline.duration - i * segDur : segDur;
+            const seg = byIndex.get(i);
+            items.push({ name: segmentFileName(i, pipeline.format), index: i, duration: seg && seg.duration ? seg.duration : nominal });
+        }
+        vod = true;
+    } else {
+        items = listed;
+    }
+    if (items.length === 0) return null;
+
+    const target = Math.ceil(Math.max(...items.map(seg => seg.duration || segDur)));
+    const cmaf = pipeline.format === 'cmaf';
+    const lines = ['#EXTM3U', `#EXT-X-VERSION:${cmaf ? 7 : 3}`, `#EXT-X-TARGETDURATION:${target}`, '#EXT-X-MEDIA-SEQUENCE:0'];
+    if (vod) lines.push('#EXT-X-PLAYLIST-TYPE:VOD');
+    if (cmaf) lines.push(`#EXT-X-MAP:URI="${CMAF_INIT_NAME}"`);
+    // chapter marks only make sense on a complete timeline
+    if (vod) lines.push(...chapterDateRanges(sessionChapters(entry)));
+    let prev = null;
+    for (const seg of items) {
+        if (prev !== null && seg.index !== prev + 1) lines.push('#EXT-X-DISCONTINUITY');
+        lines.push(`#EXTINF:${(seg.duration || segDur).toFixed(6)},`, seg.name);
+        prev = seg.index;
+    }
+    if (vod) lines.push('#EXT-X-ENDLIST');
+    return lines.join('\n') + '\n';
+}
+
+// Poll until check() is true. Resolves 'ok', 'timeout', 'closed' (client went away) or 'gone' (stream stopped/failed).
+function waitForHls(id, req, check, timeoutMs = HLS_SEGMENT_WAIT_MS) {
+    return new Promise((resolve) => {
+        const started = Date.now();
+        let closed = false;
+        const onClose = () => { closed = true; };
+        req.on('close', onClose);
+
+        const finish = (result) => {
+            clearInterval(timer);
+            req.removeListener('close', onClose);
+            resolve(result);
+        };
+
+        const tick = () => {
+            const entry = streams[id];
+            if (closed) return finish('closed');
+            if (!entry || entry.error) return finish('gone');
+            if (check(entry)) return finish('ok');
+            if (Date.now() - started >= timeoutMs) return finish('timeout');
+        };
+
+        const timer = setInterval(tick, HLS_WAIT_POLL_MS);
+        tick();
+    });
+}
+
+// Season packs and albums with autoAdvance: once the final segment of a finished episode (track) has
+// been served, move the session on to the next one so reloading hls_url continues the series.
+function maybeAutoAdvance(id, segmentName, rendition) {
+    const entry = streams[id];
+    const list = entry && (entry.episodes || entry.tracks);
+    if (!list || !entry.autoAdvance || !entry.ffmpegJob || !transcodeFinished(entry)) return;
+
+    const playlist = servedPlaylist(entry, rendition) || '';
+    if (!playlist.includes('#EXT-X-ENDLIST')) return;
+    const lastSegment = playlist.split('\n').map(l => l.trim()).filter(l => HLS_SEGMENT_PATTERN.test(l)).pop();
+    if (lastSegment !== segmentName) return;
+
+    const next = list.findIndex(item => item.file === entry.file) + 1;
+    if (next === 0 || next >= list.length) return;
+    if (entry.episodes) switchEpisode(id, next);
+    else switchTrack(id, next);
+}
+
+function sendHlsWaitFailure(res, id, result, what) {
+    if (result === 'closed') return;
+    const entry = streams[id];
+    if (result === 'gone') {
+        if (!entry) return res.status(404).json({ error: 'stream not found' });
+        return res.status(500).json({ error: parseStreamError(entry.error) });
+    }
+    res.set('Retry-After', '2');
+    res.status(503).json({ error: `${what} not available yet`, retryAfter: 2 });
+}
+
+// Playlist and WebVTT segments of an embedded subtitle track. A segment queues the extraction of
+// its window and is held until that is done; after the wait the cues read so far are sent.
+async function serveSubtitleRendition(req, res, id, track, file) {
+    if (file === HLS_PLAYLIST_NAME) {
+        const result = await waitForHls(id, req, (e) => /#EXTINF/.test(subtitlePlaylist(e) || ''));
+        if (result !== 'ok') return sendHlsWaitFailure(res, id, result, 'playlist');
+        res.set({
+            'Content-Type': 'application/vnd.apple.mpegurl',
+            'Cache-Control': 'no-cache'
+        });
+        return res.send(Buffer.from(subtitlePlaylist(streams[id])));
+    }
+
+    const m = file.match(SUBTITLE_SEGMENT_PATTERN);
+    if (!m) return res.status(404).json({ error: 'not found' });
+    const index = parseInt(m[1], 10);
+    let segment = subtitleSegment(streams[id], track, index);
+    if (!segment) return res.status(404).json({ error: `segment ${file} does not exist` });
+
+    const extracted = (e) => !e.pipeline || !e.pipeline.subtitleWindows || subtitleWindowsDone(e.pipeline, segment.start, segment.end);
+    if (streams[id].pipeline && streams[id].pipeline.subtitleWindows) {
+        requestSubtitleWindows(streams[id].pipeline, id, segment.start, segment.end);
+    }
+    if (!extracted(streams[id])) {
+        const result = await waitForHls(id, req, extracted);
+        if (result === 'closed' || result === 'gone') return sendHlsWaitFailure(res, id, result, `segment ${file}`);
+        segment = subtitleSegment(streams[id], track, index) || segment;
+    }
+
+    res.set({ 'Content-Type': 'text/vtt; charset=utf-8', 'Cache-Control': SESSION_MEDIA_CACHE_CONTROL });
+    res.send(Buffer.from(segment.body));
+}
+
+// /hls/:id/<file> for single-rendition streams (and the master playlist), /hls/:id/<rendition>/<file> for ABR
+async function serveHls(req, res) {
+    try {
+        const { id, file, rendition } = req.params;
+        const entry = streams[id];
+        if (!entry) {
+            return res.status(404).json({ error: 'stream not found' });
+        }
+        touchStream(id);
+
+        if (file === CHAPTERS_VTT_NAME && !rendition) {
+            res.set({ 'Content-Type': 'text/vtt; charset=utf-8', 'Cache-Control': 'no-cache' });
+            return res.send(chaptersVtt(sessionChapters(entry)));
+        }
+        if (isDirectMode(entry)) {
+            return res.status(409).json({ error: `stream is served as ${DIRECT_MODES[entry.mode]}, not HLS`, mp4_url: `/stream/${id}` });
+        }
+
+        // Only known HLS file names are served; anything else (including ../ tricks) is rejected
+        const isMaster = file === HLS_MASTER_NAME && !rendition;
+        const isPlaylist = file === HLS_PLAYLIST_NAME;
+        const segMatch = file.match(HLS_SEGMENT_PATTERN);
+        const isInit = !!rendition && CMAF_INIT_PATTERN.test(file);
+        const isSubtitleSegment = !!rendition && SUBTITLE_SEGMENT_PATTERN.test(file);
+        if (!isMaster && !isPlaylist && !segMatch && !isInit && !isSubtitleSegment) {
+            return res.status(404).json({ error: 'not found' });
+        }
+
+        // ABR and CMAF outputs only know their renditions once the source has been probed
+        if (outputPending(entry)) {
+            const result = await waitForHls(id, req, (e) => !outputPending(e));
+            if (result !== 'ok') return sendHlsWaitFailure(res, id, result, 'playlist');
+            if (isDirectMode(streams[id])) {
+                return res.status(409).json({ error: `stream is served as ${DIRECT_MODES[streams[id].mode]}, not HLS`, mp4_url: `/stream/${id}` });
+            }
+        }
+        const output = hlsOutputOf(streams[id]);
+        const renditions = output.renditions || null;
+        const renditionNames = (renditions || []).map(r => r.name)
+            .concat(output.separateAudio ? output.audioTracks.map(t => t.name) : [])
+            .concat((output.subtitleTracks || []).map(t => t.name));
+        if (rendition && !renditionNames.includes(rendition)) {
+            return res.status(404).json({ error: `unknown rendition ${rendition}` });
+        }
+        const subtitleTrack = findSubtitleTrack(output, rendition);
+        if (subtitleTrack) return serveSubtitleRendition(req, res, id, subtitleTrack, file);
+        if (isSubtitleSegment) return res.status(404).json({ error: 'not found' });
+        if (renditions && !rendition) {
+            if (segMatch) {
+                return res.status(404).json({ error: 'adaptive stream: request segments under their rendition', master_url: `/hls/${id}/${HLS_MASTER_NAME}` });
+            }
+            // playlist.m3u8 of an ABR stream is the master playlist, so existing hls_url clients get every rendition
+            res.set({
+                'Content-Type': 'application/vnd.apple.mpegurl',
+                'Cache-Control': 'no-cache'
+            });
+            return res.send(Buffer.from(masterPlaylist(output, streams[id].audioLanguage)));
+        }
+        if (isMaster) {
+            return res.status(404).json({ error: 'stream has a single rendition', hls_url: `/hls/${id}/${HLS_PLAYLIST_NAME}` });
+        }
+
+        const dir = hlsDirOf(streams[id], rendition);
+        const filePath = path.resolve(dir, file);
+        if (path.dirname(filePath) !== path.resolve(dir)) {
+            return res.status(400).json({ error: 'invalid path' });
+        }
+
+        if (isInit) {
+            if (output.format !== 'cmaf') return res.status(404).json({ error: 'not found' });
+            // init.mp4 is the stable name used by our playlists and the DASH manifest; ffmpeg may have
+            // written it under a per-variant name
+            const initPath = () => path.join(dir, file === CMAF_INIT_NAME ? (cmafInitFile(dir) || file) : file);
+            const result = await waitForHls(id, req, (e) => fs.existsSync(initPath()) || (transcodeFinished(e) && !!e.ffmpegJob));
+            if (result !== 'ok') return sendHlsWaitFailure(res, id, result, `init segment ${file}`);
+            if (!fs.existsSync(initPath())) {
+                return res.status(404).json({ error: `init segment ${file} does not exist` });
+            }
+            res.set({
+                'Content-Type': isAudioRendition(output, rendition) ? 'audio/mp4' : 'video/mp4',
+                'Cache-Control': SESSION_MEDIA_CACHE_CONTROL
+            });
+            return res.sendFile(initPath());
+        }
+
+        if (isPlaylist) {
+            const result = await waitForHls(id, req, (e) => /#EXTINF/.test(servedPlaylist(e, rendition) || ''));
+            if (result !== 'ok') return sendHlsWaitFailure(res, id, result, 'playlist');
+
+            res.set({
+                'Content-Type': 'application/vnd.apple.mpegurl',
+                'Cache-Control': 'no-cache'
+            });
+            return res.send(Buffer.from(servedPlaylist(streams[id], rendition) || ''));
+        }
+
+        if (entry.evictedSegments && entry.evictedSegments.has(file)) {
+            return res.status(410).json({ error: `segment ${file} was removed to stay within the storage limit`, segment: parseInt(segMatch[1], 10) });
+        }
+
+        const segmentNumber = parseInt(segMatch[1], 10);
+        if (!isSegmentComplete(entry, file, rendition)) {
+            // Hold the request until ffmpeg lists the segment, evicts it, or exits without it.
+            // A request far outside what the running job is producing (a player-side seek) restarts it there.
+            const result = await waitForHls(id, req, (e) => {
+                if (e.pipeline) ensurePipelineCovers(e.pipeline, id, segmentNumber, 'segment requested');
+                if (e.evictedSegments && e.evictedSegments.has(file)) return true;
+                return isSegmentComplete(e, file, rendition) || (transcodeFinished(e) && !!e.ffmpegJob);
+            });
+            if (result !== 'ok') return sendHlsWaitFailure(res, id, result, `segment ${file}`);
+
+            const current = streams[id];
+            if (current.evictedSegments && current.evictedSegments.has(file)) {
+                return res.status(410).json({ error: `segment ${file} was removed to stay within the storage limit`, segment: parseInt(segMatch[1], 10) });
+            }
+            if (!isSegmentComplete(current, file, rendition)) {
+                // ffmpeg has exited without ever producing this segment
+                return res.status(404).json({ error: `segment ${file} does not exist` });
+            }
+        }
+
+        maybePrefetchNextFile(id, { seconds: segmentNumber * (streams[id].segmentDuration || 4) });
+        touchVodSegment(streams[id].pipeline, file, segmentNumber);
+        vodReadahead(streams[id].pipeline, id, segmentNumber);
+
+        res.set({
+            'Content-Type': file.endsWith('.m4s') ? (isAudioRendition(output, rendition) ? 'audio/mp4' : 'video/mp4') : 'video/mp2t',
+            'Cache-Control': SESSION_MEDIA_CACHE_CONTROL
+        });
+        res.sendFile(filePath, (err) => {
+            if (err && !res.headersSent) {
+                res.status(err.code === 'ENOENT' ? 410 : 500).json({ error: err.message });
+                return;
+            }
+            if (!err) maybeAutoAdvance(id, file, rendition);
+        });
+    } catch (e) {
+        console.error(`GET ${req.path} error:`, e.message);
+        if (!res.headersSent) res.status(500).json({ error: e.message });
+    }
+}
+
+app.get('/hls/:id/:file', serveHls);
+app.get('/hls/:id/:rendition/:file', serveHls);
+
+// ---------------------------
+// GET /dash/:id/manifest.mpd - DASH manifest over the CMAF segments
+// ---------------------------
+app.get(`/dash/:id/${DASH_MANIFEST_NAME}`, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const entry = streams[id];
+        if (!entry) {
+            return res.status(404).json({ error: 'stream not found' });
+        }
+        touchStream(id);
+
+        if (isDirectMode(entry)) {
+            return res.status(409).json({ error: `stream is served as ${DIRECT_MODES[entry.mode]}, not DASH`, mp4_url: `/stream/${id}` });
+        }
+        if (entry.format !== 'cmaf') {
+            return res.status(409).json({ error: 'DASH needs a stream started with format "cmaf"', hls_url: `/hls/${id}/${HLS_PLAYLIST_NAME}` });
+        }
+
+        // Wait for the renditions and, unless the VOD grid is published up front, for the first segment
+        const result = await waitForHls(id, req, (e) => !outputPending(e) &&
+            (!!hlsOutputOf(e).vod || listedSegments(primaryDir(hlsOutputOf(e))).size > 0));
+        if (result !== 'ok') return sendHlsWaitFailure(res, id, result, 'manifest');
+
+        res.set({
+            'Content-Type': 'application/dash+xml',
+            'Cache-Control': 'no-cache'
+        });
+        res.send(Buffer.from(dashManifest(streams[id])));
+    } catch (e) {
+        console.error(`GET ${req.path} error:`, e.message);
+        if (!res.headersSent) res.status(500).json({ error: e.message });
+    }
+});
+
+// Init and media segments referenced by the manifest are the HLS rendition files
+app.get('/dash/:id/:rendition/:file', serveHls);
+
+// ---------------------------
+// GET /trickplay/:id/thumbnails.vtt, /trickplay/:id/sprite_NNN.jpg - Scrubbing thumbnails
+// ---------------------------
+app.get('/trickplay/:id/:file', (req, res) => {
+    try {
+        const { id, file } = req.params;
+        const entry = streams[id];
+        if (!entry) {
+            return res.status(404).json({ error: 'stream not found' });
+        }
+        const trickplay = entry.trickplay;
+        if (!trickplay) {
+            return res.status(404).json({ error: 'no thumbnails for this stream' });
+        }
+        touchStream(id);
+
+        if (file === TRICKPLAY_VTT_NAME) {
+            // grows as sheets are rendered
+            res.set({ 'Content-Type': 'text/vtt; charset=utf-8', 'Cache-Control': 'no-cache' });
+            return res.send(trickplayVtt(trickplay));
+        }
+        const sprite = file.match(/^sprite_(\d+)\.jpg$/);
+        if (!sprite || !trickplay.sheets.has(parseInt(sprite[1], 10))) {
+            return res.status(404).json({ error: `sprite ${file} not found` });
+        }
+        res.set({ 'Content-Type': 'image/jpeg', 'Cache-Control': SESSION_MEDIA_CACHE_CONTROL });
+        res.sendFile(path.join(trickplay.folder, file));
+    } catch (e) {
+        console.error(`GET /trickplay/${req.params.id}/${req.params.file} error:`, e.message);
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// ---------------------------
+// GET /snapshot/:id?t=SECONDS&w=WIDTH&format=jpeg|webp - Still frame at any position
+// ---------------------------
+app.get('/snapshot/:id', async (req, res) => {
+    try {
+        const id = req.params.id;
+        const entry = streams[id];
+        if (!entry) {
+            return res.status(404).json({ error: 'stream not found' });
+        }
+        if (entry.tracks) {
+            return res.status(409).json({ error: 'audio stream has no video frames', cover_url: `/cover/${id}` });
+        }
+        const seconds = req.query.t === undefined ? 0 : Number(req.query.t);
+        if (!Number.isFinite(seconds) || seconds < 0) {
+            return res.status(400).json({ error: 't must be a non-negative number of seconds' });
+        }
+        if (entry.duration && seconds >= entry.duration) {
+            return res.status(400).json({ error: `t must be below the duration (${entry.duration}s)` });
+        }
+        const width = req.query.w === undefined ? 640 : Number(req.query.w);
+        if (!Number.isInteger(width) || width < 16 || width > MAX_IMAGE_WIDTH) {
+            return res.status(400).json({ error: `w must be an integer between 16 and ${MAX_IMAGE_WIDTH}` });
+        }
+        const format = String(req.query.format || 'jpeg').toLowerCase().replace(/^jpg$/, 'jpeg');
+        if (!SNAPSHOT_FORMATS[format]) {
+            return res.status(400).json({ error: `format must be one of: ${Object.keys(SNAPSHOT_FORMATS).join(', ')}` });
         }
+        const input = readableMediaInput(entry);
+        if (!input) {
+            return res.status(409).json({ error: 'source not available yet' });
+        }
+        touchStream(id);
 
-        // Generate magnet links for each subtitle
-        const subtitles = subtitleFiles.map(f => ({
-            name: f.name,
-            magnet: `magnet:?xt=urn:btih:${torrent.infoHash}&dn=${encodeURIComponent(f.path)}&tr=udp://tracker.openbittorrent.com:80/announce`
-        }));
-
-        res.json({ subtitles });
+        const folder = path.join(entry.folder, 'snapshots');
+        const output = path.join(folder, `snapshot_${Math.round(seconds * 10)}_${width}.${SNAPSHOT_FORMATS[format].ext}`);
+        if (!fs.existsSync(output)) {
+            fs.mkdirSync(folder, { recursive: true });
+            const release = prioritiseTimes(entry, [seconds]);
+            try {
+                await renderSnapshot(id, input, seconds, width, format, output);
+            } catch (e) {
+                fs.rmSync(output, { force: true });
+                if (/timeout/i.test(e.message)) {
+                    return res.status(504).json({ error: `no frame within ${SNAPSHOT_TIMEOUT_MS}ms (torrent data still downloading)` });
+                }
+                throw e;
+            } finally {
+                release();
+            }
+            if (!fs.existsSync(output)) {
+                return res.status(422).json({ error: `no frame at ${seconds}s` });
+            }
+        }
 
+        res.set({ 'Content-Type': SNAPSHOT_FORMATS[format].type, 'Cache-Control': 'public, max-age=3600' });
+        res.sendFile(output);
     } catch (e) {
-        console.error(`GET /subtitles/${req.params.id} error:`, e.message);
+        console.error(`GET /snapshot/${req.params.id} error:`, e.message);
         res.status(500).json({ error: e.message });
     }
 });
 
 // ---------------------------
-// POST /seek/:id - Seek to specific time/segment
+// POST /preview/:id - Build a short muted highlight reel; GET /preview/:id/:file serves it
 // ---------------------------
-app.post('/seek/:id', (req, res) => {
+app.post('/preview/:id', async (req, res) => {
     try {
-        const entry = streams[req.params.id];
+        const id = req.params.id;
+        const entry = streams[id];
         if (!entry) {
             return res.status(404).json({ error: 'stream not found' });
         }
-
-        if (!entry.ready) {
-            return res.status(400).json({ error: 'stream not ready' });
+        if (entry.tracks) {
+            return res.status(409).json({ error: 'audio stream has no video frames', cover_url: `/cover/${id}` });
         }
-
-        const { time, segment } = req.body;
-        let targetSegment = 0;
-
-        if (time !== undefined) {
-            // Seek by time (seconds)
-            const segmentDuration = entry.segmentDuration || 4;
-            targetSegment = Math.floor(time / segmentDuration);
-        } else if (segment !== undefined) {
-            // Seek by segment number
-            targetSegment = parseInt(segment, 10);
-        } else {
-            return res.status(400).json({ error: 'time or segment parameter required' });
+        const body = req.body || {};
+        const clipSeconds = body.clipSeconds === undefined ? 2 : Number(body.clipSeconds);
+        if (!Number.isFinite(clipSeconds) || clipSeconds < 0.5 || clipSeconds > 10) {
+            return res.status(400).json({ error: 'clipSeconds must be between 0.5 and 10' });
         }
-
-        // Validate segment number
-        const totalSegments = entry.totalSegments || 0;
-        if (targetSegment < 0 || (totalSegments > 0 && targetSegment >= totalSegments)) {
-            return res.status(400).json({ error: `invalid segment ${targetSegment}, valid range: 0-${totalSegments - 1}` });
+        const clipCount = body.clips === undefined ? 6 : Number(body.clips);
+        if (!Number.isInteger(clipCount) || clipCount < 1 || clipCount > MAX_PREVIEW_CLIPS) {
+            return res.status(400).json({ error: `clips must be an integer between 1 and ${MAX_PREVIEW_CLIPS}` });
+        }
+        const width = body.width === undefined ? 320 : Number(body.width);
+        if (!Number.isInteger(width) || width < 16 || width > MAX_IMAGE_WIDTH || width % 2) {
+            return res.status(400).json({ error: `width must be an even integer between 16 and ${MAX_IMAGE_WIDTH}` });
+        }
+        const format = String(body.format || 'mp4').toLowerCase();
+        if (!PREVIEW_FORMATS[format]) {
+            return res.status(400).json({ error: `format must be one of: ${Object.keys(PREVIEW_FORMATS).join(', ')}` });
+        }
+        if (!ffmpegAvailable) {
+            return res.status(503).json({ error: 'ffmpeg not available' });
+        }
+        const input = readableMediaInput(entry);
+        if (!input) {
+            return res.status(409).json({ error: 'source not available yet' });
+        }
+        if (!entry.duration) {
+            return res.status(409).json({ error: 'duration unknown; the media could not be probed yet' });
+        }
+        touchStream(id);
+
+        // a short file gets fewer clips rather than overlapping ones
+        const clips = Math.max(1, Math.min(clipCount, Math.floor(entry.duration / clipSeconds)));
+        const times = previewTimes(entry.duration, clips, Math.min(clipSeconds, entry.duration));
+        const name = `preview_${clips}x${clipSeconds}s_${width}.${PREVIEW_FORMATS[format].ext}`;
+        const output = path.join(entry.folder, name);
+        if (!fs.existsSync(output)) {
+            // identical requests share one render
+            entry.previewRenders = entry.previewRenders || {};
+            if (!entry.previewRenders[name]) {
+                const release = prioritiseTimes(entry, times);
+                const partial = `${output}.part`;
+                entry.previewRenders[name] = renderPreview(id, input, times, clipSeconds, width, format, partial)
+                    .then(() => fs.renameSync(partial, output), (e) => {
+                        // a failed or cancelled render leaves a truncated file behind
+                        fs.rmSync(partial, { force: true });
+                        throw e;
+                    })
+                    .finally(() => {
+                        release();
+                        delete entry.previewRenders[name];
+                    });
+            }
+            await entry.previewRenders[name];
         }
-
-        entry.currentSegment = targetSegment;
-        entry.playbackPosition = targetSegment * (entry.segmentDuration || 4);
 
         res.json({
             success: true,
-            currentSegment: targetSegment,
-            playbackPosition: entry.playbackPosition,
-            playbackPositionFormatted: formatDuration(entry.playbackPosition),
-            message: `Seeked to segment ${targetSegment}`
+            url: `/preview/${id}/${name}`,
+            format,
+            clips,
+            clipSeconds,
+            times,
+            width,
+            size: fs.statSync(output).size
         });
     } catch (e) {
-        console.error(`POST /seek/${req.params.id} error:`, e.message);
+        console.error(`POST /preview/${req.params.id} error:`, e.message);
         res.status(500).json({ error: e.message });
     }
 });
 
-// ---------------------------
-// GET /seek-info/:id - Get seek-able information
-// ---------------------------
-app.get('/seek-info/:id', (req, res) => {
+app.get('/preview/:id/:file', (req, res) => {
     try {
         const entry = streams[req.params.id];
         if (!entry) {
             return res.status(404).json({ error: 'stream not found' });
         }
-
-        if (!entry.ready) {
-            return res.status(400).json({ error: 'stream not ready' });
-        }
-
-        const segmentDuration = entry.segmentDuration || 4;
-        const totalSegments = entry.totalSegments || 0;
-        const totalDuration = totalSegments * segmentDuration;
-
-        const seekInfo = {
-            currentSegment: entry.currentSegment || 0,
-            currentTime: entry.playbackPosition || 0,
-            currentTimeFormatted: formatDuration(entry.playbackPosition || 0),
-            totalSegments: totalSegments,
-            totalDuration: totalDuration,
-            totalDurationFormatted: formatDuration(totalDuration),
-            segmentDuration: segmentDuration,
-            segments: []
-        };
-
-        // List available segments (expensive for large videos, limit to nearby)
-        const currentSeg = entry.currentSegment || 0;
-        const rangeStart = Math.max(0, currentSeg - 10);
-        const rangeEnd = Math.min(totalSegments, currentSeg + 10);
-
-        for (let i = rangeStart; i < rangeEnd; i++) {
-            const segmentFile = `segment_${String(i).padStart(3, '0')}.ts`;
-            const segPath = path.join(entry.folder, segmentFile);
-            const exists = fs.existsSync(segPath);
-            
-            seekInfo.segments.push({
-                number: i,
-                filename: segmentFile,
-                available: exists,
-                time: i * segmentDuration,
-                timeFormatted: formatDuration(i * segmentDuration)
-            });
+        const match = req.params.file.match(/^preview_[\w.]+\.(mp4|webm)$/);
+        const filePath = match ? path.join(entry.folder, req.params.file) : null;
+        if (!filePath || !fs.existsSync(filePath)) {
+            return res.status(404).json({ error: 'preview not found' });
         }
-
-        res.json(seekInfo);
+        touchStream(req.params.id);
+        res.set({ 'Content-Type': PREVIEW_FORMATS[match[1]].type, 'Cache-Control': 'public, max-age=3600' });
+        res.sendFile(filePath);
     } catch (e) {
-        console.error(`GET /seek-info/${req.params.id} error:`, e.message);
+        console.error(`GET /preview/${req.params.id}/${req.params.file} error:`, e.message);
         res.status(500).json({ error: e.message });
     }
 });
 
 // ---------------------------
-// GET /stream/:id - Direct video stream (with Range support)
+// GET /stream/:id - Direct video/audio stream (with Range support)
 // ---------------------------
 app.get('/stream/:id', (req, res) => {
     try {
@@ -933,23 +5203,26 @@ app.get('/stream/:id', (req, res) => {
             return res.status(404).json({ error: 'file not ready' });
         }
 
+        touchStream(req.params.id);
+
         const range = req.headers.range;
 
         // Prepare headers common to both modes
         res.set({
             'Accept-Ranges': 'bytes',
             'X-Stream-Ready': entry.ready ? 'true' : 'false',
-            'X-Subtitle-Count': (entry.extractedSubtitles?.length || 0).toString()
+            'X-Subtitle-Count': sessionSubtitles(entry).length.toString()
         });
 
         // Serve from WebTorrent File object when available
         if (file) {
             const size = file.length;
-            res.set('Content-Type', 'video/mp4');
+            const contentType = mediaContentType(file.name);
+            res.set('Content-Type', contentType);
 
             if (!range) {
                 res.writeHead(200, {
-                    'Content-Type': 'video/mp4',
+                    'Content-Type': contentType,
                     'Content-Length': size,
                     'Accept-Ranges': 'bytes'
                 });
@@ -977,9 +5250,11 @@ app.get('/stream/:id', (req, res) => {
                 'Content-Range': `bytes ${start}-${end}/${size}`,
                 'Accept-Ranges': 'bytes',
                 'Content-Length': chunkSize,
-                'Content-Type': 'video/mp4'
+                'Content-Type': contentType
             });
 
+            maybePrefetchNextFile(req.params.id, { byteOffset: end });
+
             const stream = file.createReadStream({ start, end });
             stream.on('error', (err) => {
                 console.error(`Range stream error for ${req.params.id}:`, err.message);
@@ -1044,6 +5319,114 @@ app.get('/stream/:id', (req, res) => {
     }
 });
 
+// ---------------------------
+// DELETE /stream/:id - Stop a stream and release its resources
+// ---------------------------
+app.delete('/stream/:id', (req, res) => {
+    try {
+        const id = req.params.id;
+        const entry = streams[id];
+        if (!entry) {
+            return res.status(404).json({ error: 'stream not found' });
+        }
+
+        const torrent = entry.torrent;
+        const sharedWith = otherTorrentUsers(id, torrent);
+        stopStream(id, 'deleted by client');
+
+        res.json({
+            success: true,
+            stream_id: id,
+            torrentReleased: !!torrent && sharedWith.length === 0,
+            sharedWith
+        });
+    } catch (e) {
+        console.error(`DELETE /stream/${req.params.id} error:`, e.message);
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// Preset for a probed yt-dlp download: the requested encode preset, otherwise "copy" when the
+// video can be copied into `format` segments and the default preset when it can't
+function ytDlpPreset(streamId, entry, source, format) {
+    const requested = entry.profile && TRANSCODE_PRESETS[entry.profile];
+    let name = entry.profile;
+    if (!requested || requested.video === 'copy') {
+        const copyBlocker = source ? videoCopyBlocker(source, format) : 'not probed';
+        if (source && copyBlocker) console.log(`[${streamId}] transcoding: ${copyBlocker} can't be copied into ${format === 'cmaf' ? 'CMAF' : 'HLS'} segments`);
+        name = copyBlocker ? DEFAULT_PRESET : 'copy';
+    }
+    entry.outputProfile = name;
+    return { name, preset: TRANSCODE_PRESETS[name] };
+}
+
+// CMAF output for a finished yt-dlp download: the session itself carries the rendition layout
+// (source video copied when possible or encoded with the requested preset, separate audio) and
+// is converted through the pipeline command builder.
+async function startYtDlpCmafConversion(streamId, videoPath, maxBytes) {
+    const source = await probeMedia(videoPath).catch(() => null);
+    const entry = streams[streamId];
+    if (!entry) return;
+
+    if (source) entry.mediaInfo = mediaInfoOf(source);
+    entry.segmentDuration = computeSegmentDuration();
+    const { name: profile, preset } = ytDlpPreset(streamId, entry, source, 'cmaf');
+    entry.renditions = [sourceRendition(source, preset.video === 'copy', preset)];
+    entry.audioChannels = presetAudioChannels(preset);
+    entry.hasAudio = !source || source.hasAudio;
+    entry.audioTracks = entry.hasAudio ? buildAudioTracks(source) : [];
+    entry.separateAudio = entry.hasAudio;
+    if (source && source.duration) entry.duration = source.duration;
+    const dirs = pipelineDirs(entry);
+    try {
+        for (const dir of dirs) fs.mkdirSync(dir, { recursive: true });
+    } catch (e) {
+        entry.error = `mkdir_error: ${e.message}`;
+        return;
+    }
+
+    const output = {
+        key: streamId,
+        folder: entry.folder,
+        segmentDuration: entry.segmentDuration,
+        renditions: entry.renditions,
+        hasAudio: entry.hasAudio,
+        audioTracks: entry.audioTracks,
+        separateAudio: entry.separateAudio,
+        format: 'cmaf',
+        profile,
+        preset,
+        source
+    };
+    const createProcYT = () => {
+        const cmd = buildPipelineCommand(output, videoPath, 0, 0,
+            (err) => { if (streams[streamId]) streams[streamId].error = `ffmpeg_error: ${err.message}`; },
+            () => { if (streams[streamId]) streams[streamId].ready = true; });
+        cmd.run();
+        return cmd;
+    };
+    entry.ffmpegJob = scheduleConversion(streamId, createProcYT, { label: 'yt-dlp CMAF conversion' });
+
+    entry.poll = setInterval(() => {
+        const current = streams[streamId];
+        if (!current) return;
+        const produced = listedSegments(primaryDir(current)).size;
+        if (produced === 0) return;
+        console.log(`[${streamId}] yt-dlp CMAF ready with ${produced} segment(s)`);
+        current.ready = true;
+        current.playlistReady = Date.now();
+        current.totalSegments = produced;
+        current.currentSegment = 0;
+        current.playbackPosition = 0;
+        clearInterval(current.poll);
+    }, 1000);
+
+    entry.evictedSegments = new Set();
+    entry.storageEnforcer = setInterval(() => {
+        for (const dir of dirs) enforceStorageLimit({ folder: dir, evictedSegments: entry.evictedSegments }, maxBytes / dirs.length);
+    }, 15 * 1000);
+}
+
 // ---------------------------
 // POST /stream-yt - Stream from YouTube/other URL via yt-dlp
 // ---------------------------
@@ -1053,6 +5436,10 @@ app.post('/stream-yt', (req, res) => {
         if (!url) {
             return res.status(400).json({ error: 'url required' });
         }
+        const { format, error: formatError } = parseOutputFormat(req.body.format);
+        if (formatError) return res.status(400).json({ error: formatError });
+        const { profile, error: profileError } = parseProfile(req.body.profile, format);
+        if (profileError) return res.status(400).json({ error: profileError });
 
         const streamId = randomBytes(4).toString('hex');
         const outputFolder = `/tmp/${streamId}`;
@@ -1068,8 +5455,12 @@ app.post('/stream-yt', (req, res) => {
             folder: outputFolder,
             ready: false,
             createdAt: Date.now(),
+            lastActivity: Date.now(),
             error: null,
-            isYtDlp: true
+            client: requestClient(req),
+            isYtDlp: true,
+            format,
+            profile
         };
 
         console.log(`[${streamId}] POST /stream-yt: downloading from ${url}`);
@@ -1077,6 +5468,7 @@ app.post('/stream-yt', (req, res) => {
         // Download with yt-dlp
         const args = ['-f', 'best', '-o', path.join(outputFolder, '%(title)s.%(ext)s'), url];
         const ytdlp = spawn('yt-dlp', args);
+        streams[streamId].ytdlp = ytdlp;
 
         let ytdlpOutput = '';
 
@@ -1097,9 +5489,10 @@ app.post('/stream-yt', (req, res) => {
 
         ytdlp.on('close', (code) => {
             console.log(`[${streamId}] yt-dlp exit code: ${code}`);
+            if (!streams[streamId]) return; // stopped while downloading
 
             if (code !== 0) {
-                streams[streamId].error = `yt-dlp failed with code ${code}`;
+                streams[streamId].error = `ytdlp_failed: exit code ${code}`;
                 return;
             }
 
@@ -1110,7 +5503,7 @@ app.post('/stream-yt', (req, res) => {
                 videoFile = files.find(f => /\.(mp4|mkv|webm|mov|avi|flv)$/i.test(f));
             } catch (e) {
                 console.error(`[${streamId}] failed to read output folder:`, e.message);
-                streams[streamId].error = `read folder error: ${e.message}`;
+                streams[streamId].error = `read_folder_error: ${e.message}`;
                 return;
             }
 
@@ -1126,10 +5519,11 @@ app.post('/stream-yt', (req, res) => {
                 // Low-memory fallback: if MP4 and instance memory is low, skip ffmpeg and serve file directly
                 const ytdlpExt = path.extname(videoPath).toLowerCase();
                 const directFallbackMbYT = parseInt(process.env.DIRECT_MP4_FALLBACK_MEMORY_MB || String(DEFAULT_DIRECT_FALLBACK_MB), 10);
-                if (ytdlpExt === '.mp4' && detectedMemoryMB <= directFallbackMbYT) {
+                if (ytdlpExt === '.mp4' && (!profile || profile === 'copy') && detectedMemoryMB <= directFallbackMbYT && format !== 'cmaf') {
                     console.log(`[${streamId}] low-memory (${detectedMemoryMB}MB) — yt-dlp produced MP4, skipping ffmpeg and serving file directly`);
                     // Expose path for direct-range serving
                     streams[streamId].filePath = videoPath;
+                    streams[streamId].mode = 'direct_mp4';
                     streams[streamId].ready = true;
                     // Start storage enforcer for yt-dlp streams as well
                     const maxBytesYT = parseInt(process.env.MAX_STREAM_STORAGE_BYTES || String(2 * 1024 * 1024 * 1024), 10);
@@ -1145,95 +5539,46 @@ app.post('/stream-yt', (req, res) => {
                 return;
             }
 
-            // Get media info
-            (async () => {
-                try {
-                    const mediaInfo = await getMediaInfo(videoPath);
-                    if (mediaInfo && streams[streamId]) {
-                        streams[streamId].mediaInfo = mediaInfo;
-                        streams[streamId].duration = mediaInfo.duration;
-                    }
-                } catch (e) {
-                    console.error(`[${streamId}] media info error:`, e.message);
-                }
-            })();
+            if (format === 'cmaf') {
+                const maxBytesYT = parseInt(process.env.MAX_STREAM_STORAGE_BYTES || String(2 * 1024 * 1024 * 1024), 10);
+                startYtDlpCmafConversion(streamId, videoPath, maxBytesYT).catch((e) => {
+                    console.error(`[${streamId}] CMAF conversion error:`, e.message);
+                    if (streams[streamId]) streams[streamId].error = `ffmpeg_error: ${e.message}`;
+                });
+                return;
+            }
 
             // Convert to HLS (with dynamic segment duration and scheduling)
             const segSecondsYT = computeSegmentDuration();
 
-            // Probe to decide whether we can copy without re-encoding
+            // Probe to pick the preset (copy without re-encoding when nothing else was asked for)
             (async () => {
-                let useCopy = false;
-                try {
-                    const info = await getStreamInfo(videoPath);
-                    if (info && info.videoCodec && info.videoCodec.toLowerCase().includes('h264')) {
-                        useCopy = true;
-                    }
-                } catch (e) {
-                    // ignore probe errors
+                const source = await probeMedia(videoPath).catch(() => null);
+                if (source && streams[streamId]) {
+                    streams[streamId].mediaInfo = mediaInfoOf(source);
+                    if (source.duration) streams[streamId].duration = source.duration;
                 }
-
-                const threads = parseInt(process.env.FFMPEG_THREADS || String(DEFAULT_FFMPEG_THREADS), 10) || 1;
-
+                if (!streams[streamId]) return;
+                const { name: profile, preset } = ytDlpPreset(streamId, streams[streamId], source, 'ts');
+                const output = {
+                    key: streamId,
+                    folder: outputFolder,
+                    segmentDuration: segSecondsYT,
+                    format: 'ts',
+                    profile,
+                    preset,
+                    source,
+                    copyAudio: audioCopyable(source),
+                    audioOnly: !preset.video
+                };
                 const createProcYT = () => {
-                    if (useCopy) {
-                        const cmd = ffmpeg(videoPath)
-                            .output(path.join(outputFolder, 'playlist.m3u8'))
-                            .videoCodec('copy')
-                            .audioCodec('copy')
-                            .addOptions([
-                                '-start_number 0',
-                                `-hls_time ${segSecondsYT}`,
-                                '-hls_list_size 0',
-                                '-hls_segment_filename', path.join(outputFolder, 'segment_%03d.ts'),
-                                '-bsf:v', 'h264_mp4toannexb',
-                                '-fflags', '+nobuffer',
-                                '-threads', String(threads),
-                                '-f', 'hls'
-                            ])
-                            .on('start', () => console.log(`[${streamId}] ffmpeg copy-mode started (seg ${segSecondsYT}s)`))
-                            .on('error', (err) => {
-                                console.error(`[${streamId}] ffmpeg copy-mode error:`, err.message);
-                                streams[streamId].error = `ffmpeg_error: ${err.message}`;
-                            })
-                            .on('end', () => {
-                                console.log(`[${streamId}] ffmpeg copy-mode complete`);
-                                streams[streamId].ready = true;
-                            });
-
-                        cmd.run();
-                        return cmd;
-                    }
-
-                    const cmd = ffmpeg(videoPath)
-                        .output(path.join(outputFolder, 'playlist.m3u8'))
-                        .addOptions([
-                            '-profile:v baseline',
-                            '-level 3.0',
-                            '-start_number 0',
-                            `-hls_time ${segSecondsYT}`,
-                            '-hls_list_size 0',
-                            '-hls_segment_filename', path.join(outputFolder, 'segment_%03d.ts'),
-                            '-threads', String(threads),
-                            '-preset', 'veryfast',
-                            '-fflags', '+nobuffer',
-                            '-f', 'hls'
-                        ])
-                        .on('start', () => console.log(`[${streamId}] ffmpeg conversion started (seg ${segSecondsYT}s)`))
-                        .on('error', (err) => {
-                            console.error(`[${streamId}] ffmpeg error:`, err.message);
-                            streams[streamId].error = `ffmpeg_error: ${err.message}`;
-                        })
-                        .on('end', () => {
-                            console.log(`[${streamId}] ffmpeg conversion complete`);
-                            streams[streamId].ready = true;
-                        });
-
+                    const cmd = buildPipelineCommand(output, videoPath, 0, null,
+                        (err) => { if (streams[streamId]) streams[streamId].error = `ffmpeg_error: ${err.message}`; },
+                        () => { if (streams[streamId]) streams[streamId].ready = true; });
                     cmd.run();
                     return cmd;
                 };
-
-                scheduleConversion(streamId, createProcYT);
+                streams[streamId].ffmpegJob = scheduleConversion(streamId, createProcYT, { label: 'yt-dlp HLS conversion' });
             })();
 
             // Poll for HLS readiness
@@ -1276,6 +5621,7 @@ app.post('/stream-yt', (req, res) => {
             stream_id: streamId,
             hls_url: `/hls/${streamId}/playlist.m3u8`,
             mp4_url: `/stream/${streamId}`,
+            ...(format === 'cmaf' ? { dash_url: `/dash/${streamId}/${DASH_MANIFEST_NAME}` } : {}),
             status_url: `/status/${streamId}`
         });
 
@@ -1297,10 +5643,14 @@ app.get('/subtitles-list/:id', (req, res) => {
 
         const result = {
             available: entry.subtitles || [],
-            extracted: (entry.extractedSubtitles || []).map(s => ({
+            extracted: sessionSubtitles(entry).map(s => ({
                 name: s.name,
                 language: s.language,
                 format: s.ext,
+                languageConfidence: s.languageConfidence ?? null,
+                languageSource: s.languageSource || (s.embedded ? 'track' : null),
+                encoding: s.encoding ?? null,
+                embedded: !!s.embedded,
                 url: `/subtitles/${req.params.id}/${s.name}`
             })),
             languageSupported: [
@@ -1316,38 +5666,107 @@ app.get('/subtitles-list/:id', (req, res) => {
     }
 });
 
+// ---------------------------
+// GET /subtitles/:id/:filename - Download an extracted subtitle
+// ---------------------------
+app.get('/subtitles/:id/:filename', (req, res) => {
+    try {
+        const entry = streams[req.params.id];
+        if (!entry) {
+            return res.status(404).json({ error: 'stream not found' });
+        }
+        const sub = sessionSubtitles(entry).find(s => s.name === req.params.filename);
+        if (!sub || !fs.existsSync(sub.path)) {
+            return res.status(404).json({ error: 'subtitle not found' });
+        }
+        touchStream(req.params.id);
+
+        // every listed file is UTF-8 except binary ones extraction kept as they were
+        res.set('Content-Type', sub.encoding === null ? 'application/octet-stream' : subtitleContentType(sub.ext));
+        res.sendFile(sub.path);
+    } catch (e) {
+        console.error(`GET /subtitles/${req.params.id}/${req.params.filename} error:`, e.message);
+        res.status(500).json({ error: e.message });
+    }
+});
+
 // ---------------------------
 // POST /convert-subtitle/:id - Convert subtitle format or language
 // ---------------------------
-app.post('/convert-subtitle/:id', (req, res) => {
+app.post('/convert-subtitle/:id', async (req, res) => {
     try {
         const entry = streams[req.params.id];
         if (!entry) {
             return res.status(404).json({ error: 'stream not found' });
         }
 
-        const { filename, targetFormat } = req.body;
+        const { filename, targetFormat, fps } = req.body;
         if (!filename || !targetFormat) {
             return res.status(400).json({ error: 'filename and targetFormat required' });
         }
 
-        const supportedFormats = ['srt', 'vtt', 'ass', 'sub'];
-        if (!supportedFormats.includes(targetFormat)) {
-            return res.status(400).json({ error: `targetFormat must be one of: ${supportedFormats.join(', ')}` });
+        if (!SUBTITLE_CONVERT_TARGETS.includes(targetFormat)) {
+            return res.status(400).json({ error: `targetFormat must be one of: ${SUBTITLE_CONVERT_TARGETS.join(', ')}` });
+        }
+        if (fps !== undefined && !(Number(fps) > 0)) {
+            return res.status(400).json({ error: 'fps must be a positive number' });
         }
 
-        const sourcePath = path.join(entry.folder, filename);
-        if (!sourcePath.startsWith(entry.folder) || !fs.existsSync(sourcePath)) {
+        const source = findSessionSubtitle(entry, filename);
+        if (!source) {
             return res.status(404).json({ error: 'subtitle file not found' });
         }
+        touchStream(req.params.id);
+
+        const text = readSubtitleText(source.path, source.language);
+        const sourceFormat = subtitleFormatOf(source.path, text);
+        if (!sourceFormat) {
+            return res.status(415).json({ error: `cannot read ${path.extname(source.path) || 'this'} subtitles; supported: srt, vtt, ass, ssa, sub (MicroDVD), sbv` });
+        }
+        if (sourceFormat === targetFormat) {
+            return res.status(400).json({ error: `${filename} is already ${targetFormat}` });
+        }
+
+        // MicroDVD counts frames: an explicit fps, else the video's, else the usual film rate
+        let frameRate = null;
+        if (sourceFormat === 'sub' || targetFormat === 'sub') {
+            frameRate = Number(fps) || await sessionFrameRate(entry) || DEFAULT_SUBTITLE_FPS;
+        }
+        const parsed = parseSubtitles(text, sourceFormat, { fps: frameRate || undefined });
+        if (!parsed.cues.length) {
+            return res.status(422).json({ error: `no subtitle cues found in ${filename}` });
+        }
+        if (!streams[req.params.id]) {
+            return res.status(404).json({ error: 'stream not found' });
+        }
+
+        // a suffix keeps conversions from overwriting sidecar files and extracted tracks of the same
+        // base name; converting a conversion again replaces it rather than stacking suffixes
+        const base = path.basename(source.name, path.extname(source.name)).replace(/\.converted$/, '');
+        const name = `${base}.converted.${targetFormat}`;
+        const outputPath = path.join(entry.folder, name);
+        fs.writeFileSync(outputPath, serializeSubtitles(parsed.cues, targetFormat, { fps: frameRate || undefined }));
+
+        const converted = {
+            name,
+            path: outputPath,
+            language: source.language,
+            ext: targetFormat,
+            size: fs.statSync(outputPath).size,
+            encoding: source.encoding || 'utf-8',
+            convertedFrom: source.name
+        };
+        entry.convertedSubtitles = (entry.convertedSubtitles || []).filter(s => s.name !== name).concat(converted);
+        console.log(`[${req.params.id}] converted subtitle ${source.name} (${sourceFormat}) -> ${name} (${parsed.cues.length} cues)`);
 
-        // For now, provide a conversion guide (actual conversion requires ffmpeg or third-party libs)
         res.json({
-            message: 'conversion not yet implemented',
-            source: filename,
-            targetFormat: targetFormat,
-            available: ['srt', 'vtt', 'ass', 'sub'],
-            note: 'Use external tools to convert subtitles or request format during torrent selection'
+            source: source.name,
+            sourceFormat,
+            targetFormat,
+            name,
+            cues: parsed.cues.length,
+            frameRate: parsed.fps || frameRate || undefined,
+            url: `/subtitles/${req.params.id}/${name}`
         });
     } catch (e) {
         console.error(`POST /convert-subtitle/${req.params.id} error:`, e.message);
@@ -1355,6 +5774,123 @@ app.post('/convert-subtitle/:id', (req, res) => {
     }
 });
 
+// ---------------------------
+// POST /sync-subtitle/:id - Re-time a subtitle and save it as a new track
+// ---------------------------
+app.post('/sync-subtitle/:id', async (req, res) => {
+    try {
+        const entry = streams[req.params.id];
+        if (!entry) {
+            return res.status(404).json({ error: 'stream not found' });
+        }
+
+        const { filename, offset, fromFps, toFps, auto, audioTrack, maxOffset } = req.body;
+        if (!filename) {
+            return res.status(400).json({ error: 'filename required' });
+        }
+        if (offset === undefined && fromFps === undefined && !auto) {
+            return res.status(400).json({ error: 'one of offset (seconds), fromFps (with optional toFps) or auto required' });
+        }
+        if (auto && (offset !== undefined || fromFps !== undefined)) {
+            return res.status(400).json({ error: 'auto finds the offset and frame-rate stretch itself; omit offset and fromFps' });
+        }
+        if (offset !== undefined && !Number.isFinite(Number(offset))) {
+            return res.status(400).json({ error: 'offset must be a number of seconds' });
+        }
+        for (const [name, value] of [['fromFps', fromFps], ['toFps', toFps], ['maxOffset', maxOffset]]) {
+            if (value !== undefined && !(Number(value) > 0)) {
+                return res.status(400).json({ error: `${name} must be a positive number` });
+            }
+        }
+        if (maxOffset !== undefined && Number(maxOffset) > SUBTITLE_SYNC_OFFSET_LIMIT) {
+            return res.status(400).json({ error: `maxOffset can be at most ${SUBTITLE_SYNC_OFFSET_LIMIT} seconds` });
+        }
+        if (audioTrack !== undefined && !(Number.isInteger(audioTrack) && audioTrack >= 0)) {
+            return res.status(400).json({ error: 'audioTrack must be an audio stream index (0 = first)' });
+        }
+
+        const source = findSessionSubtitle(entry, filename);
+        if (!source) {
+            return res.status(404).json({ error: 'subtitle file not found' });
+        }
+        touchStream(req.params.id);
+
+        const text = readSubtitleText(source.path, source.language);
+        const format = subtitleFormatOf(source.path, text);
+        if (!format) {
+            return res.status(415).json({ error: `cannot read ${path.extname(source.path) || 'this'} subtitles; supported: srt, vtt, ass, ssa, sub (MicroDVD), sbv` });
+        }
+        const videoFps = format === 'sub' || (fromFps !== undefined && toFps === undefined) ? await sessionFrameRate(entry) : null;
+        const parsed = parseSubtitles(text, format, { fps: videoFps || undefined });
+        if (!parsed.cues.length) {
+            return res.status(422).json({ error: `no subtitle cues found in ${filename}` });
+        }
+
+        const timing = { offset: Number(offset) || 0, ratio: 1 };
+        const result = { source: source.name };
+        if (fromFps !== undefined) {
+            const target = Number(toFps) || videoFps;
+            if (!target) {
+                return res.status(400).json({ error: 'toFps required: the video frame rate could not be probed' });
+            }
+            timing.ratio = Number(fromFps) / target;
+            Object.assign(result, { fromFps: Number(fromFps), toFps: target });
+        }
+
+        if (auto) {
+            const input = sessionMediaInput(entry);
+            if (!input) {
+                return res.status(409).json({ error: 'no video file to analyse yet' });
+            }
+            const preferred = entry.pipeline && defaultAudioTrack(entry.pipeline.audioTracks, entry.audioLanguage);
+            const audioIndex = audioTrack !== undefined ? audioTrack : (preferred ? preferred.index : 0);
+            // the analysis is the slow part; keep it for further syncs of the same file and track
+            const key = `${input}#${audioIndex}`;
+            if (!entry.speechActivity || entry.speechActivity.key !== key) {
+                console.log(`[${req.params.id}] detecting speech in audio track ${audioIndex} (first ${SUBTITLE_SYNC_ANALYSIS_SECONDS}s)`);
+                entry.speechActivity = { key, ...await detectSpeech(req.params.id, input, audioIndex, SUBTITLE_SYNC_ANALYSIS_SECONDS) };
+            }
+            const { speech, analysed } = entry.speechActivity;
+            const { best, baseline } = await alignCues(parsed.cues, speech, analysed, Number(maxOffset) || SUBTITLE_SYNC_MAX_OFFSET);
+            if (!best) {
+                return res.status(422).json({ error: `fewer than ${SUBTITLE_SYNC_MIN_CUES} cues fall within the ${Math.round(analysed)}s of audio analysed` });
+            }
+            const alignment = { score: Math.round(best.score * 1000) / 1000, baseline: baseline !== null ? Math.round(baseline * 1000) / 1000 : null, analysedSeconds: Math.round(analysed) };
+            if (baseline !== null && best.score - baseline < SUBTITLE_SYNC_MIN_GAIN) {
+                return res.json({ ...result, inSync: true, alignment });
+            }
+            Object.assign(timing, { offset: best.offset, ratio: best.ratio });
+            result.alignment = alignment;
+        }
+        if (!streams[req.params.id]) {
+            return res.status(404).json({ error: 'stream not found' });
+        }
+
+        const cues = retimeCues(parsed.cues, timing);
+        // re-syncing a synced track replaces it rather than stacking suffixes
+        const base = path.basename(source.name, path.extname(source.name)).replace(/\.synced$/, '');
+        const name = `${base}.synced.${format}`;
+        const outputPath = path.join(entry.folder, name);
+        fs.writeFileSync(outputPath, serializeSubtitles(cues, format, { fps: parsed.fps || undefined }));
+        entry.convertedSubtitles = (entry.convertedSubtitles || []).filter(s => s.name !== name).concat({
+            name,
+            path: outputPath,
+            language: source.language,
+            ext: format,
+            size: fs.statSync(outputPath).size,
+            encoding: source.encoding || 'utf-8',
+            convertedFrom: source.name,
+            sync: timing
+        });
+        console.log(`[${req.params.id}] synced subtitle ${source.name} -> ${name} (offset ${timing.offset}s, stretch ${timing.ratio.toFixed(5)})`);
+
+        res.json({ ...result, name, cues: cues.length, offset: timing.offset, ratio: timing.ratio, url: `/subtitles/${req.params.id}/${name}` });
+    } catch (e) {
+        console.error(`POST /sync-subtitle/${req.params.id} error:`, e.message);
+        res.status(500).json({ error: e.message });
+    }
+});
+
 // ---------------------------
 // Health check
 // ---------------------------
@@ -1388,7 +5924,71 @@ app.get('/resources', (req, res) => {
             maxConcurrentFfmpeg: MAX_CONCURRENT_FFMPEG,
             defaultFfmpegThreads: DEFAULT_FFMPEG_THREADS,
             ffmpegQueueLength: ffmpegQueue.length,
-            activeFfmpegCount
+            activeFfmpegCount,
+            jobs_url: '/jobs'
+        });
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// ---------------------------
+// GET /jobs - ffmpeg jobs: running, queued (in the order they will start) and recently finished
+// ---------------------------
+app.get('/jobs', (req, res) => {
+    try {
+        const { state, stream } = req.query;
+        const order = queueOrder();
+        const jobs = [...ffmpegJobs.values()]
+            .filter(job => (!state || job.state === state) && (!stream || job.streamId === stream))
+            .map(job => describeJob(job, job.state === 'queued' ? order.indexOf(job) + 1 : null))
+            .sort(compareJobs);
+        res.json({
+            maxConcurrent: MAX_CONCURRENT_FFMPEG,
+            running: activeFfmpegCount,
+            queued: ffmpegQueue.length,
+            priorities: Object.keys(CONVERSION_PRIORITIES),
+            jobs
+        });
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// Running jobs (oldest first), then queued ones in start order, then finished ones (latest first)
+function compareJobs(a, b) {
+    const group = job => (job.state === 'running' ? 0 : job.state === 'queued' ? 1 : 2);
+    if (group(a) !== group(b)) return group(a) - group(b);
+    if (a.state === 'running') return a.startedAt - b.startedAt;
+    if (a.state === 'queued') return a.queuePosition - b.queuePosition;
+    return b.finishedAt - a.finishedAt;
+}
+
+app.get('/jobs/:id', (req, res) => {
+    const job = ffmpegJobs.get(req.params.id);
+    if (!job) return res.status(404).json({ error: 'job not found' });
+    res.json(describeJob(job, job.state === 'queued' ? queueOrder().indexOf(job) + 1 : null));
+});
+
+// Transcode presets a request can name in `profile`, and whether this instance's budget allows them
+app.get('/presets', (req, res) => {
+    try {
+        const budget = computeRuntimeDefaults();
+        res.json({
+            default: DEFAULT_PRESET,
+            file: path.resolve(TRANSCODE_PRESETS_FILE),
+            presets: Object.entries(TRANSCODE_PRESETS).map(([name, preset]) => {
+                const budgetError = presetBudgetError(preset, budget);
+                return {
+                    name,
+                    description: preset.description,
+                    builtin: BUILTIN_PRESETS[name] === preset,
+                    video: preset.video,
+                    audio: preset.audio,
+                    available: !budgetError,
+                    unavailableReason: budgetError
+                };
+            })
         });
     } catch (e) {
         res.status(500).json({ error: e.message });
@@ -1405,59 +6005,194 @@ app.get('/api-docs', (req, res) => {
         baseUrl: 'http://localhost:3000',
         endpoints: {
             'POST /stream': {
-                description: 'Stream a torrent by magnet link',
-                body: { magnet: 'magnet:?xt=urn:btih:...' },
-                returns: { stream_id: 'string', hls_url: 'string', mp4_url: 'string', status_url: 'string' },
+                description: 'Stream a torrent given a magnet link, bare info hash (40 hex / 32 base32), http(s) URL to a .torrent, base64 .torrent (`torrent` field) or a multipart .torrent upload (`torrent` file field). Streams of the same torrent file share one transcode pipeline, torn down when the last of them is deleted. Without fileIndex/filePath the largest video that is not a sample/trailer is used; other files are not downloaded. A torrent without any video (music album, podcast, audiobook) plays its audio files as an ordered track list, each track as AAC HLS (AAC copied, lossless sources at AUDIO_LOSSLESS_BITRATE) or, on low-memory instances, direct range-served audio',
+                body: { magnet: 'magnet:?xt=urn:btih:... | info hash | https://.../file.torrent', infoHash: 'string (alternative)', torrentUrl: 'string (alternative)', torrent: 'base64 .torrent or multipart file (alternative)', fileIndex: 'number (optional)', filePath: 'string (optional, path inside torrent)', episode: 'number|string (optional, season packs: list index or S01E02)', track: 'number (optional, audio torrents: track list index)', autoAdvance: 'boolean (optional, season packs: default false; audio torrents: default true)', format: '"ts" (default) | "cmaf" (fragmented-MP4 segments, also served as DASH)', profile: 'string (optional, transcode preset from GET /presets; default: copy when possible, else h264-baseline or the ABR ladder)', audioLanguage: 'string (optional, e.g. "hin"/"hi"/"Hindi": default audio track when the file has several)' },
+                returns: { stream_id: 'string', hls_url: 'string', mp4_url: 'string', dash_url: 'string (cmaf only)', status_url: 'string', files_url: 'string', episodes_url: 'string', tracks_url: 'string' },
                 example: 'curl -X POST http://localhost:3000/stream -H "Content-Type: application/json" -d \'{"magnet":"magnet:..."}\''
             },
             'POST /stream-yt': {
                 description: 'Stream from YouTube or URL via yt-dlp',
-                body: { url: 'https://youtube.com/watch?v=...' },
-                returns: { stream_id: 'string', hls_url: 'string', status_url: 'string' },
+                body: { url: 'https://youtube.com/watch?v=...', format: '"ts" (default) | "cmaf" (optional)', profile: 'string (optional, transcode preset from GET /presets)' },
+                returns: { stream_id: 'string', hls_url: 'string', dash_url: 'string (cmaf only)', status_url: 'string' },
                 example: 'curl -X POST http://localhost:3000/stream-yt -H "Content-Type: application/json" -d \'{"url":"https://..."}\''
             },
             'GET /status/:id': {
-                description: 'Get detailed stream status including media info, subtitles, and seek position',
+                description: 'Get detailed stream status including torrent progress, transcode state, media info, subtitles, and seek position',
                 returns: {
                     ready: 'boolean',
-                    mediaInfo: { duration: 'number', durationFormatted: 'string' },
+                    mode: 'hls|direct_mp4|direct_audio',
+                    format: 'ts|cmaf',
+                    profile: 'string|null (preset asked for)',
+                    outputProfile: 'string|null (preset or "abr" ladder actually producing the output)',
+                    audioTracks: 'array of { index, language, title, codec, channels, default, playlist_url } | null',
+                    dash_url: 'string|null',
+                    error: 'null | { code: string, message: string }',
+                    ffmpegActive: 'boolean',
+                    queuePosition: 'number (1-based) | null',
+                    job_url: 'string|null (/jobs/:id of the current transcode)',
+                    totalSegments: 'number',
+                    mediaInfo: {
+                        duration: 'number|null',
+                        durationFormatted: 'string|null',
+                        container: 'string (ffprobe format name)',
+                        size: 'number (bytes) | null',
+                        bitRate: 'number (bits/sec) | null',
+                        video: 'array of { index, codec, profile, level, codecString, pixelFormat, bitDepth, width, height, frameRate, bitRate, hdr: "hdr10"|"hlg"|"dolby-vision"|null, colorPrimaries, colorTransfer, language, default, attachedPicture }',
+                        audio: 'array of { index, codec, profile, channels, channelLayout, sampleRate, bitRate, language, title, default }',
+                        subtitles: 'array of { index, codec, text, language, title, default, forced }',
+                        chapters: 'array of { index, start, end, title } (seconds)',
+                        tags: '{ title, artist, album, albumArtist, track, trackTotal, disc, date, genre } | null'
+                    },
+                    chapters: 'array of { index, title, start, end } (seconds)',
+                    chapters_url: 'string (WebVTT chapters track)',
+                    trickplay: '{ interval, width, height, sheets (rendered), sheetCount, thumbnails_url } | null',
+                    audioOnly: 'boolean (audio torrents only, with trackCount, currentTrack (see GET /tracks/:id), nextTrack, autoAdvance, tracks_url)',
                     availableSubtitles: 'array',
                     extractedSubtitles: 'array',
-                    seekControl: 'object'
+                    seekControl: 'object',
+                    progress: 'number (percent, torrent only)',
+                    numPeers: 'number',
+                    downloadSpeed: 'number (bytes/sec)',
+                    uploadSpeed: 'number (bytes/sec)',
+                    downloadComplete: 'boolean'
                 },
                 example: 'curl http://localhost:3000/status/a6bab726'
             },
             'POST /seek/:id': {
-                description: 'Seek to specific time or segment',
+                description: 'Seek to specific time or segment. Torrent pieces at the target are downloaded first and the HLS transcode restarts there if it is not already close; the playlist then covers the whole timeline',
                 body: { time: 'number (seconds)' },
                 alternatebody: { segment: 'number (0-based index)' },
-                returns: { success: 'boolean', currentSegment: 'number', playbackPosition: 'number', playbackPositionFormatted: 'string' },
+                chapterbody: { chapter: 'number (chapter index from mediaInfo.chapters / seek-info)' },
+                returns: { success: 'boolean', currentSegment: 'number', playbackPosition: 'number', playbackPositionFormatted: 'string', available: 'boolean|null (segment already produced)', transcodeRestarted: 'boolean', byteOffset: 'number|null', pieces: '{ start, end }|null', chapter: '{ index, title, start, end } | null (chapter at the new position)' },
                 example: 'curl -X POST http://localhost:3000/seek/a6bab726 -H "Content-Type: application/json" -d \'{"time":120}\''
             },
+            'GET /files/:id': {
+                description: 'List every file in the torrent with size, type (video/audio/subtitle/image/archive/text/other) and download progress',
+                returns: { selectedIndex: 'number', files: 'array of { index, name, path, size, type, extra, downloaded, progress, selected, streaming }' },
+                example: 'curl http://localhost:3000/files/a6bab726'
+            },
+            'GET /episodes/:id': {
+                description: 'Ordered episode list (SxxEyy / 1x02 / Episode N) for multi-episode torrents',
+                returns: { seasonPack: 'boolean', currentIndex: 'number', autoAdvance: 'boolean', prefetching: 'string|null', episodes: 'array of { index, code, season, episode, name, fileIndex, size, progress, current }' },
+                example: 'curl http://localhost:3000/episodes/a6bab726'
+            },
+            'POST /episode/:id': {
+                description: 'Switch the session to another episode; hls_url and mp4_url stay the same. The next episode is prefetched near the end of the current one',
+                body: { episode: 'number (list index) | "S01E02" | "next" | "previous"', autoAdvance: 'boolean (optional)' },
+                returns: { success: 'boolean', episode: 'object', hls_url: 'string', mp4_url: 'string' },
+                example: 'curl -X POST http://localhost:3000/episode/a6bab726 -H "Content-Type: application/json" -d \'{"episode":"next"}\''
+            },
+            'GET /tracks/:id': {
+                description: 'Ordered track list of an audio torrent: album folders in order, then disc (tags, or CD1/Disc 2 folders), track number and name. Tags come from each track once it has been probed (the playing track and the next one); until then number and title are read off the file name',
+                returns: { audioOnly: 'boolean', currentIndex: 'number', autoAdvance: 'boolean', prefetching: 'number|null (track index)', tracks: 'array of { index, title, artist, album, albumArtist, number, disc, date, genre, duration, codec, lossless, tagged, name, path, fileIndex, size, progress, cover_url, current }' },
+                example: 'curl http://localhost:3000/tracks/a6bab726'
+            },
+            'POST /track/:id': {
+                description: 'Switch an audio session to another track; hls_url and mp4_url stay the same. The next track is prefetched near the end of the current one',
+                body: { track: 'number (list index) | "next" | "previous"', autoAdvance: 'boolean (optional)' },
+                returns: { success: 'boolean', track: 'object', hls_url: 'string', mp4_url: 'string' },
+                example: 'curl -X POST http://localhost:3000/track/a6bab726 -H "Content-Type: application/json" -d \'{"track":"next"}\''
+            },
+            'GET /cover/:id': {
+                description: 'Album art of a track (the current one by default): its embedded picture, else an image file next to it (cover/folder/front, else the largest). 404 when there is none',
+                query: { track: 'number (track list index, optional)' },
+                returns: 'JPEG/PNG image',
+                example: 'curl -o cover.jpg "http://localhost:3000/cover/a6bab726?track=0"'
+            },
             'GET /seek-info/:id': {
-                description: 'Get seek information including available segments near current position',
+                description: 'Get seek information including available segments near current position. With a known duration the totals cover the whole file; in VOD mode every segment is seekable',
                 returns: {
+                    vod: 'boolean',
                     currentSegment: 'number',
                     currentTime: 'number',
                     totalSegments: 'number',
                     totalDuration: 'number',
+                    currentChapter: 'number|null',
+                    chapters: 'array of { index, title, start, end, startFormatted, segment }',
                     segments: 'array'
                 },
                 example: 'curl http://localhost:3000/seek-info/a6bab726'
             },
             'GET /hls/:id/playlist.m3u8': {
-                description: 'HLS adaptive streaming playlist',
-                returns: 'M3U8 playlist',
+                description: 'HLS playlist. In VOD mode (HLS_VOD_MODE, default on for re-encoded torrent streams whose duration can be probed) the complete EXT-X-PLAYLIST-TYPE:VOD timeline is published up front, with an EXT-X-DATERANGE (CLASS "com.torrent-stream.chapter", X-TITLE) per chapter on a timeline anchored at EXT-X-PROGRAM-DATE-TIME 1970-01-01T00:00:00Z; otherwise waits up to HLS_SEGMENT_WAIT_MS for the first segment. 409 for direct_mp4 and direct_audio streams',
+                returns: 'M3U8 playlist (application/vnd.apple.mpegurl)',
                 example: 'http://localhost:3000/hls/a6bab726/playlist.m3u8'
             },
+            'GET /hls/:id/segment_NNN.ts': {
+                description: 'HLS segment. Requests for a segment still being transcoded are held until it is written (503 + Retry-After on timeout). In VOD mode segments are transcoded in runs of VOD_RUN_SEGMENTS when requested and the last VOD_CACHE_SEGMENTS served are kept; in linear mode 410 if it was removed by the storage limit',
+                returns: 'MPEG-TS segment (video/mp2t)',
+                example: 'http://localhost:3000/hls/a6bab726/segment_000.ts'
+            },
+            'GET /hls/:id/chapters.vtt': {
+                description: 'Chapter markers (MKV/MP4 chapters read by the media probe) as a WebVTT chapters track; empty when the file has none',
+                returns: 'WebVTT (text/vtt)',
+                example: 'http://localhost:3000/hls/a6bab726/chapters.vtt'
+            },
+            'GET /hls/:id/master.m3u8': {
+                description: 'Master playlist of an adaptive stream (HLS_RENDITIONS: auto ladder sized by CPU/memory, "off", or e.g. "720p,480p,360p"); renditions are never upscaled. Files with several audio tracks or embedded text subtitles also get a master, with each audio track as an EXT-X-MEDIA audio rendition (default: the session\'s audioLanguage) and each subtitle track (SRT/ASS/mov_text, extracted to WebVTT SUBTITLE_WINDOW_SECONDS at a time as its segments are requested) as a SUBTITLES rendition. playlist.m3u8 returns the same master for these streams; 404 for single-rendition streams',
+                returns: 'M3U8 master playlist with BANDWIDTH/AVERAGE-BANDWIDTH/RESOLUTION/CODECS per rendition',
+                example: 'http://localhost:3000/hls/a6bab726/master.m3u8'
+            },
+            'GET /hls/:id/:rendition/(playlist.m3u8|segment_NNN.ts)': {
+                description: 'Media playlist and segments of one rendition (e.g. 720p) of an adaptive stream. CMAF streams always use renditions ("video" plus a separate "audio" track when not adaptive), with segment_NNN.m4s segments and an init.mp4 referenced by EXT-X-MAP',
+                returns: 'M3U8 playlist / MPEG-TS or fMP4 segment / init segment',
+                example: 'http://localhost:3000/hls/a6bab726/720p/playlist.m3u8'
+            },
+            'GET /hls/:id/sub_<lang>/(playlist.m3u8|segment_NNN.vtt)': {
+                description: 'Segmented WebVTT playlist of an embedded subtitle track, on the same timeline as the video. A segment queues the extraction of its window (and the next) and is held up to HLS_SEGMENT_WAIT_MS until it is done',
+                returns: 'M3U8 playlist / WebVTT segment with X-TIMESTAMP-MAP',
+                example: 'http://localhost:3000/hls/a6bab726/sub_eng/playlist.m3u8'
+            },
+            'GET /dash/:id/manifest.mpd': {
+                description: 'MPEG-DASH manifest over the same CMAF segments as the HLS playlists (static when the duration is known, dynamic while a live transcode is running). 409 unless the stream was started with format "cmaf"',
+                returns: 'MPD (application/dash+xml)',
+                example: 'http://localhost:3000/dash/a6bab726/manifest.mpd'
+            },
+            'GET /dash/:id/:rendition/(init.mp4|segment_NNN.m4s)': {
+                description: 'Init and media segments referenced by the DASH manifest',
+                returns: 'fMP4 segment (video/mp4, audio/mp4)',
+                example: 'http://localhost:3000/dash/a6bab726/video/init.mp4'
+            },
+            'GET /trickplay/:id/thumbnails.vtt': {
+                description: 'WebVTT thumbnail track for scrubbing torrent streams: one cue per TRICKPLAY_INTERVAL seconds pointing at a sprite_NNN.jpg#xywh=x,y,w,h region. Sprite sheets (TRICKPLAY_GRID thumbnails of TRICKPLAY_WIDTH px) are rendered in the background, below playback transcodes in the ffmpeg queue, as the parts of the file they cover finish downloading; the track lists the sheets rendered so far',
+                returns: 'WebVTT (text/vtt)',
+                example: 'http://localhost:3000/trickplay/a6bab726/thumbnails.vtt'
+            },
+            'GET /trickplay/:id/sprite_NNN.jpg': {
+                description: 'One thumbnail sprite sheet referenced by thumbnails.vtt',
+                returns: 'JPEG (image/jpeg)',
+                example: 'http://localhost:3000/trickplay/a6bab726/sprite_000.jpg'
+            },
+            'GET /snapshot/:id': {
+                description: 'Still frame at any position of a torrent or finished yt-dlp stream (never upscaled). Torrent pieces at the target are fetched first; renders are cached per time and width. 409 for audio torrents and until the source can be read, 504 when the torrent data does not arrive within SNAPSHOT_TIMEOUT_MS',
+                query: { t: 'number (seconds, default 0)', w: 'number (max width in px, default 640)', format: '"jpeg" (default) | "webp"' },
+                returns: 'JPEG or WebP image',
+                example: 'curl -o poster.jpg "http://localhost:3000/snapshot/a6bab726?t=600&w=320"'
+            },
+            'POST /preview/:id': {
+                description: 'Build a short muted highlight reel: `clips` clips of `clipSeconds` spread evenly across the duration, joined and scaled to `width`. Runs in the ffmpeg queue and answers when the reel is ready; identical requests reuse it. 409 for audio torrents and while the duration is unknown',
+                body: { clips: 'number (1-20, default 6)', clipSeconds: 'number (0.5-10, default 2)', width: 'number (even, default 320)', format: '"mp4" (default) | "webm"' },
+                returns: { success: 'boolean', url: 'string (/preview/:id/:file)', format: 'string', clips: 'number', clipSeconds: 'number', times: 'array of clip start times (seconds)', width: 'number', size: 'number (bytes)' },
+                example: 'curl -X POST http://localhost:3000/preview/a6bab726 -H "Content-Type: application/json" -d \'{"clips":5,"format":"webm"}\''
+            },
+            'GET /preview/:id/:file': {
+                description: 'A highlight reel built by POST /preview/:id',
+                returns: 'MP4 (video/mp4) or WebM (video/webm)',
+                example: 'http://localhost:3000/preview/a6bab726/preview_6x2s_320.mp4'
+            },
             'GET /stream/:id': {
-                description: 'Direct video stream with HTTP Range request support',
+                description: 'Direct video (or audio track) stream with HTTP Range request support',
                 headers: { Range: 'bytes=start-end (optional)' },
-                returns: 'MP4/MKV video file',
+                returns: 'MP4/MKV video file, or the audio file with its audio/* type',
                 example: 'curl http://localhost:3000/stream/a6bab726 -H "Range: bytes=0-1000000"'
             },
+            'DELETE /stream/:id': {
+                description: 'Stop a stream: cancels ffmpeg, releases the torrent (unless shared with another stream) and removes its files. Streams with no HLS/Range traffic for STREAM_IDLE_TIMEOUT_MS are reaped automatically',
+                returns: { success: 'boolean', stream_id: 'string', torrentReleased: 'boolean', sharedWith: 'array' },
+                example: 'curl -X DELETE http://localhost:3000/stream/a6bab726'
+            },
             'GET /subtitles-list/:id': {
-                description: 'List all available and extracted subtitles',
+                description: 'List all available and extracted subtitles. Sidecar languages are identified from the subtitle text (script, then character trigrams) with languageConfidence 0-1; languageSource is "filename" when the text was inconclusive',
                 returns: {
                     available: 'array (from torrent)',
                     extracted: 'array (extracted files)',
@@ -1466,15 +6201,37 @@ app.get('/api-docs', (req, res) => {
                 example: 'curl http://localhost:3000/subtitles-list/a6bab726'
             },
             'GET /subtitles/:id/:filename': {
-                description: 'Download subtitle file',
-                returns: 'Subtitle file (SRT, VTT, ASS, etc)',
+                description: 'Download subtitle file (sidecar files from the torrent, or sub_<lang>.vtt for tracks embedded in the video). Sidecar files in legacy encodings (Windows-125x, KOI8-R, TIS-620, ISCII, UTF-16) are converted to UTF-8 when extracted; the original is listed as encoding in /subtitles-list/:id',
+                returns: 'Subtitle file (SRT, VTT, ASS, etc) with Content-Type charset=utf-8',
                 example: 'curl http://localhost:3000/subtitles/a6bab726/subtitle_eng.srt'
             },
             'POST /convert-subtitle/:id': {
-                description: 'Convert subtitle format (planned feature)',
-                body: { filename: 'string', targetFormat: 'srt|vtt|ass|sub' },
+                description: 'Convert a session subtitle (sidecar, embedded sub_<lang>.vtt or earlier conversion) between SRT, WebVTT, ASS/SSA, MicroDVD .sub and SBV. The result is written to the stream folder as <name>.converted.<ext> and listed in /subtitles-list/:id. ASS styles map to italic/bold/underline and top placement; MicroDVD frames use fps, else the video frame rate, else 23.976',
+                body: { filename: 'string', targetFormat: 'srt|vtt|ass|sub|sbv', fps: 'number (optional, MicroDVD)' },
+                returns: '{ source, sourceFormat, targetFormat, name, cues, frameRate?, url }',
                 example: 'curl -X POST http://localhost:3000/convert-subtitle/a6bab726 -d \'{"filename":"subtitle_eng.srt","targetFormat":"vtt"}\''
             },
+            'POST /sync-subtitle/:id': {
+                description: 'Re-time a session subtitle and save it as <name>.synced.<ext> (listed in /subtitles-list/:id): a constant offset, a frame-rate stretch (fromFps -> toFps, default the video frame rate, e.g. 23.976 -> 25), or auto: offset and 23.976/24/25 stretch chosen to put the most cue time on speech detected in the first SUBTITLE_SYNC_ANALYSIS_SECONDS of audio (ffmpeg silencedetect, offline)',
+                body: { filename: 'string', offset: 'seconds (optional)', fromFps: 'number (optional)', toFps: 'number (optional)', auto: 'boolean (optional)', audioTrack: 'audio stream index (optional, auto)', maxOffset: 'seconds (optional, auto; default SUBTITLE_SYNC_MAX_OFFSET, at most 300)' },
+                returns: '{ source, name, cues, offset, ratio, url, alignment? } or { inSync: true, alignment } when auto finds nothing better',
+                example: 'curl -X POST http://localhost:3000/sync-subtitle/a6bab726 -H "Content-Type: application/json" -d \'{"filename":"subtitle_eng.srt","auto":true}\''
+            },
+            'GET /jobs': {
+                description: 'ffmpeg jobs: running, queued in the order they will start, and the last JOB_HISTORY_LIMIT finished ones. Classes, highest first: playback (first transcode), seek (restart at a requested segment), subtitles (embedded subtitle windows), thumbnail (trickplay, preview reels, speech detection), background (VOD readahead); within a class the client with the fewest running jobs goes next. A session\'s own jobs are cancelled when it is stopped; shared pipeline/trickplay jobs when their last viewer leaves',
+                query: { state: '"queued" | "running" | "done" | "failed" | "cancelled" (optional)', stream: 'stream id (optional)' },
+                returns: { maxConcurrent: 'number (MAX_CONCURRENT_FFMPEG, follows the resource watcher)', running: 'number', queued: 'number', priorities: 'array (highest first)', jobs: 'array of GET /jobs/:id' },
+                example: 'curl http://localhost:3000/jobs?state=queued'
+            },
+            'GET /jobs/:id': {
+                description: 'One ffmpeg job (status.job_url points at a session\'s current transcode)',
+                returns: { id: 'string', state: 'queued|running|done|failed|cancelled', priority: 'playback|seek|thumbnail|background', label: 'string', stream_id: 'string', client: 'string', shared: 'boolean', queuePosition: 'number (1-based, queued only) | null', queuedAt: 'ms', startedAt: 'ms|null', finishedAt: 'ms|null', waitMs: 'number', runMs: 'number|null', error: 'string|null' }
+            },
+            'GET /presets': {
+                description: 'Transcode presets for the profile field of POST /stream and /stream-yt: built-ins plus TRANSCODE_PRESETS_FILE (see presets.example.json); unavailable ones exceed this instance\'s CPU/memory budget (HEVC needs 4 CPUs and format "cmaf", audio-only presets need "ts")',
+                returns: { default: 'string', file: 'string', presets: 'array of { name, description, builtin, video: "copy"|null|{ codec, profile, level, preset, crf|bitrate, maxHeight, maxFrameRate }, audio: "copy"|{ codec, bitrate, channels }, available, unavailableReason }' },
+                example: 'curl http://localhost:3000/presets'
+            },
             'GET /health': {
                 description: 'Server health and feature status',
                 returns: { status: 'string', activeStreams: 'number', features: 'object' }
@@ -1489,7 +6246,7 @@ app.get('/api-docs', (req, res) => {
             multiLanguage: 'Support for 17+ languages (eng, hin, tam, tel, kan, mal, spa, fra, deu, etc)',
             rangeRequests: 'Full HTTP 206 Partial Content support for seeking in players',
             mediaAnalysis: 'Automatic duration detection via ffprobe',
-            hlsStreaming: 'Adaptive bitrate streaming',
+            hlsStreaming: 'Adaptive bitrate streaming (1080p/720p/480p/360p ladder)',
             directMp4: 'Direct MP4 streaming with resume capability'
         },
         languagesSupported: [
@@ -1515,6 +6272,8 @@ const server = app.listen(serverPort, () => {
 // Graceful shutdown
 process.on('SIGTERM', () => {
     console.log('SIGTERM received, shutting down gracefully...');
+    clearInterval(idleReaper);
+    for (const id of Object.keys(streams)) stopStream(id, 'server shutdown');
     server.close(() => {
         console.log('Server closed');
         process.exit(0);
@@ -1533,9 +6292,11 @@ const segmentMonitor = setInterval(() => {
         if (newDur !== currentSegmentDuration) {
             console.log(`HLS segment duration changed: ${currentSegmentDuration}s -> ${newDur}s (activeStreams=${Object.keys(streams).length})`);
             currentSegmentDuration = newDur;
-            // Update metadata for all streams so status reflects the new duration
+            // Update metadata for streams that haven't started producing segments; the others keep
+            // the duration their ffmpeg cuts with
             for (const id of Object.keys(streams)) {
                 try {
+                    if (streams[id].pipeline || streams[id].ffmpegJob) continue;
                     streams[id].segmentDuration = currentSegmentDuration;
                 } catch (e) {
                     // ignore
@@ -0,0 +1,305 @@
+// Subtitle formats: SRT, WebVTT, ASS/SSA, MicroDVD (.sub) and SBV parsed to one cue list
+// ({ start, end, text, settings, top }) and written back out. Cue text keeps <i>/<b>/<u> markup;
+// each writer maps or strips what its format can't express.
+
+import path from 'path';
+
+export const SUBTITLE_FORMATS = ['srt', 'vtt', 'ass', 'ssa', 'sub', 'sbv'];
+export const SUBTITLE_CONVERT_TARGETS = ['srt', 'vtt', 'ass', 'sub', 'sbv'];
+export const DEFAULT_SUBTITLE_FPS = 23.976;
+
+// "HH:MM:SS.ms" (ffmpeg progress timemark / WebVTT / SRT / ASS timestamp, hours optional) -> seconds
+export function parseTimestamp(value) {
+    const parts = String(value).trim().replace(',', '.').split(':').map(Number);
+    if (parts.some(n => !Number.isFinite(n))) return null;
+    return parts.reduce((total, n) => total * 60 + n, 0);
+}
+
+// seconds -> "HH:MM:SS<sep>mmm"; ASS and SBV drop the hour padding, ASS keeps centiseconds
+function formatTimestamp(seconds, { separator = '.', hourDigits = 2, fractionDigits = 3 } = {}) {
+    const unit = 10 ** fractionDigits;
+    const total = Math.max(0, Math.round(seconds * unit));
+    const pad = (n, w = 2) => String(n).padStart(w, '0');
+    const secs = Math.floor(total / unit);
+    return `${pad(Math.floor(secs / 3600), hourDigits)}:${pad(Math.floor(secs / 60) % 60)}:${pad(secs % 60)}${separator}${pad(total % unit, fractionDigits)}`;
+}
+
+export function formatVttTimestamp(seconds) {
+    return formatTimestamp(seconds);
+}
+
+// Close any <i>/<b>/<u> left open (ASS and MicroDVD styles run to the end of the line)
+function balanceTags(text) {
+    let out = text;
+    for (const tag of ['i', 'b', 'u']) {
+        const open = (out.match(new RegExp(`<${tag}>`, 'g')) || []).length;
+        const close = (out.match(new RegExp(`</${tag}>`, 'g')) || []).length;
+        out += `</${tag}>`.repeat(Math.max(0, open - close));
+    }
+    return out;
+}
+
+function wrapStyles(text, styles) {
+    let out = text;
+    for (const tag of new Set(styles)) {
+        if (['i', 'b', 'u'].includes(tag)) out = `<${tag}>${out}</${tag}>`;
+    }
+    return out;
+}
+
+// Drop every tag except the listed ones (<font>, <c.class>, <v Speaker>, ... when a format lacks them)
+function keepTags(text, allowed) {
+    return text.replace(/<\/?([a-z]+)[^>]*>/gi, (tag, name) => (allowed.includes(name.toLowerCase()) ? tag : ''));
+}
+
+function subtitleCue(start, end, text, extra = {}) {
+    if (start === null || end === null || !text.trim()) return null;
+    // a blank line would end the cue in SRT/WebVTT/SBV
+    return { start, end, text: text.trim().replace(/\n\s*\n/g, '\n'), settings: '', top: false, ...extra };
+}
+
+// SRT: numbered blocks, "00:00:01,000 --> 00:00:02,500"; players honour a leading {\an8}
+function parseSrt(text) {
+    const cues = [];
+    for (const block of text.split(/\n{2,}/)) {
+        const lines = block.split('\n');
+        const at = lines.findIndex(l => l.includes('-->'));
+        if (at === -1) continue;
+        const m = lines[at].match(/([\d:,.]+)\s*-->\s*([\d:,.]+)/);
+        if (!m) continue;
+        let body = lines.slice(at + 1).join('\n');
+        const top = /^\{\\an[789]\}/.test(body);
+        body = body.replace(/\{\\[^}]*\}/g, '');
+        const cue = subtitleCue(parseTimestamp(m[1]), parseTimestamp(m[2]), body, { top });
+        if (cue) cues.push(cue);
+    }
+    return cues;
+}
+
+// WebVTT: the header, NOTE/STYLE/REGION blocks and cue identifiers are skipped; cue settings kept
+function parseVtt(text) {
+    const cues = [];
+    for (const block of text.split(/\n{2,}/)) {
+        const lines = block.split('\n');
+        const at = lines.findIndex(l => l.includes('-->'));
+        if (at === -1) continue;
+        const m = lines[at].match(/^\s*([\d:.]+)\s+-->\s+([\d:.]+)(.*)$/);
+        if (!m) continue;
+        const settings = m[3].trim();
+        const cue = subtitleCue(parseTimestamp(m[1]), parseTimestamp(m[2]), lines.slice(at + 1).join('\n'), { settings, top: /(^|\s)line:0%?(\s|$)/.test(settings) });
+        if (cue) cues.push(cue);
+    }
+    return cues;
+}
+
+// Cues of a WebVTT file: [{ start, end, settings, text }]
+export function parseVttCues(text) {
+    return parseVtt((text || '').replace(/\r/g, ''));
+}
+
+// ASS override block -> markup: \i \b \u toggles become tags, \an7-9 / \a5-7 put the cue on top,
+// everything else (colours, fonts, karaoke, drawing) is dropped
+function assOverrides(block, state) {
+    let out = '';
+    for (const [, tag, value] of block.matchAll(/\\(an|a|i|b|u)(\d*)/g)) {
+        if (tag === 'an' || tag === 'a') {
+            const n = parseInt(value, 10);
+            if ((tag === 'an' && n >= 7) || (tag === 'a' && n >= 5 && n <= 7)) state.top = true;
+        } else if (value !== '') {
+            out += value === '0' ? `</${tag}>` : `<${tag}>`;
+        }
+    }
+    return out;
+}
+
+// ASS/SSA: Dialogue lines laid out by the [Events] Format line; italic/bold/underline of the line's
+// style are applied to the whole cue
+function parseAss(text) {
+    const styles = {};
+    const cues = [];
+    let section = '';
+    let styleFormat = null;
+    let eventFormat = null;
+    for (const line of text.split('\n')) {
+        const trimmed = line.trim();
+        if (/^\[.*\]$/.test(trimmed)) {
+            section = trimmed.toLowerCase();
+            continue;
+        }
+        const m = trimmed.match(/^([A-Za-z]+):\s*(.*)$/);
+        if (!m) continue;
+        const [, kind, rest] = m;
+        if (kind === 'Format') {
+            const fields = rest.split(',').map(f => f.trim().toLowerCase());
+            if (section.includes('styles')) styleFormat = fields;
+            else if (section === '[events]') eventFormat = fields;
+        } else if (kind === 'Style' && styleFormat) {
+            const values = rest.split(',').map(v => v.trim());
+            const field = (name) => values[styleFormat.indexOf(name)];
+            // -1 is "on" in ASS, 1 in SSA
+            const on = (v) => v !== undefined && v !== '0';
+            styles[field('name')] = { italic: on(field('italic')), bold: on(field('bold')), underline: on(field('underline')) };
+        } else if (kind === 'Dialogue' && eventFormat) {
+            const values = rest.split(',');
+            // the text field is last and may itself contain commas
+            const fields = values.slice(0, eventFormat.length - 1).concat(values.slice(eventFormat.length - 1).join(','));
+            const field = (name) => (fields[eventFormat.indexOf(name)] || '').trim();
+            const state = { top: false };
+            let body = fields[fields.length - 1]
+                .replace(/\{([^}]*)\}/g, (block, inner) => assOverrides(inner, state))
+                .replace(/\\[Nn]/g, '\n')
+                .replace(/\\h/g, ' ');
+            const style = styles[field('style').replace(/^\*/, '')] || {};
+            if (style.underline) body = `<u>${body}</u>`;
+            if (style.bold) body = `<b>${body}</b>`;
+            if (style.italic) body = `<i>${body}</i>`;
+            const cue = subtitleCue(parseTimestamp(field('start')), parseTimestamp(field('end')), balanceTags(body), { top: state.top });
+            if (cue) cues.push(cue);
+        }
+    }
+    return cues.sort((a, b) => a.start - b.start);
+}
+
+// MicroDVD: "{startFrame}{endFrame}line|line" with {y:i}-style codes; a leading "{1}{1}23.976"
+// cue carries the frame rate the file was timed for
+function parseMicroDvd(text, fps) {
+    const cues = [];
+    let rate = fps;
+    for (const line of text.split('\n')) {
+        const m = line.match(/^\{(\d+)\}\{(\d*)\}(.*)$/);
+        if (!m) continue;
+        const startFrame = parseInt(m[1], 10);
+        const endFrame = m[2] ? parseInt(m[2], 10) : null;
+        if (startFrame <= 1 && endFrame !== null && endFrame <= 1 && parseFloat(m[3]) > 0) {
+            rate = parseFloat(m[3]);
+            continue;
+        }
+        // {Y:i} applies to every line, {y:i} to its own line
+        const whole = [];
+        const lines = m[3].split('|').map((part) => {
+            const own = [];
+            const plain = part.replace(/\{([yY]):([a-zA-Z,]+)\}/g, (code, scope, list) => {
+                (scope === 'Y' ? whole : own).push(...list.toLowerCase().split(','));
+                return '';
+            }).replace(/\{[^}]*\}/g, '');
+            return wrapStyles(plain, own);
+        });
+        const end = endFrame !== null ? endFrame / rate : (startFrame / rate) + 2;
+        const cue = subtitleCue(startFrame / rate, end, wrapStyles(lines.join('\n'), whole));
+        if (cue) cues.push(cue);
+    }
+    return { cues, fps: rate };
+}
+
+// SBV (YouTube): "0:00:01.000,0:00:03.500" followed by the text lines
+function parseSbv(text) {
+    const cues = [];
+    for (const block of text.split(/\n{2,}/)) {
+        const lines = block.split('\n');
+        const m = (lines[0] || '').match(/^\s*([\d:.]+),([\d:.]+)\s*$/);
+        if (!m) continue;
+        const cue = subtitleCue(parseTimestamp(m[1]), parseTimestamp(m[2]), lines.slice(1).join('\n'));
+        if (cue) cues.push(cue);
+    }
+    return cues;
+}
+
+// Subtitle format of a file from its extension; .sub is only accepted as MicroDVD (not VobSub or
+// SubViewer), which is recognised by its content
+export function subtitleFormatOf(filename, text) {
+    const ext = path.extname(filename).slice(1).toLowerCase();
+    if (!SUBTITLE_FORMATS.includes(ext)) return null;
+    if (ext === 'sub') return /^\{\d+\}\{\d*\}/m.test(text || '') ? 'sub' : null;
+    return ext === 'ssa' ? 'ass' : ext;
+}
+
+// Parse subtitle text in `format` -> { cues, fps }; fps is the MicroDVD timing rate actually used
+export function parseSubtitles(text, format, { fps = DEFAULT_SUBTITLE_FPS } = {}) {
+    const clean = (text || '').replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+    switch (format) {
+        case 'srt': return { cues: parseSrt(clean), fps: null };
+        case 'vtt': return { cues: parseVtt(clean), fps: null };
+        case 'ass':
+        case 'ssa': return { cues: parseAss(clean), fps: null };
+        case 'sub': return parseMicroDvd(clean, fps);
+        case 'sbv': return { cues: parseSbv(clean), fps: null };
+        default: throw new Error(`unsupported subtitle format: ${format}`);
+    }
+}
+
+function serializeSrt(cues) {
+    return cues.map((c, i) => {
+        const time = `${formatTimestamp(c.start, { separator: ',' })} --> ${formatTimestamp(c.end, { separator: ',' })}`;
+        return `${i + 1}\n${time}\n${c.top ? '{\\an8}' : ''}${keepTags(c.text, ['i', 'b', 'u', 'font'])}\n`;
+    }).join('\n');
+}
+
+function serializeVtt(cues) {
+    const blocks = cues.map((c) => {
+        const settings = c.settings || (c.top ? 'line:0' : '');
+        // "-->" would end the cue text early
+        const body = keepTags(c.text, ['i', 'b', 'u', 'c', 'v', 'ruby', 'rt', 'lang']).replace(/-->/g, '->');
+        return `${formatVttTimestamp(c.start)} --> ${formatVttTimestamp(c.end)}${settings ? ` ${settings}` : ''}\n${body}\n`;
+    });
+    return ['WEBVTT\n'].concat(blocks).join('\n');
+}
+
+function serializeAss(cues) {
+    const time = (s) => formatTimestamp(s, { hourDigits: 1, fractionDigits: 2 });
+    const events = cues.map((c) => {
+        const body = keepTags(c.text, ['i', 'b', 'u'])
+            .replace(/<(\/?)([ibu])>/g, (tag, close, name) => `{\\${name}${close ? 0 : 1}}`)
+            .replace(/\n/g, '\\N');
+        return `Dialogue: 0,${time(c.start)},${time(c.end)},Default,,0,0,0,,${c.top ? '{\\an8}' : ''}${body}`;
+    });
+    return [
+        '[Script Info]',
+        'ScriptType: v4.00+',
+        'PlayResX: 384',
+        'PlayResY: 288',
+        '',
+        '[V4+ Styles]',
+        'Format: Name, Fontname, Fontsize, PrimaryColour, SecondaryColour, OutlineColour, BackColour, Bold, Italic, Underline, StrikeOut, ScaleX, ScaleY, Spacing, Angle, BorderStyle, Outline, Shadow, Alignment, MarginL, MarginR, MarginV, Encoding',
+        'Style: Default,Arial,20,&H00FFFFFF,&H000000FF,&H00000000,&H80000000,0,0,0,0,100,100,0,0,1,1,1,2,10,10,10,1',
+        '',
+        '[Events]',
+        'Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text'
+    ].concat(events).join('\n') + '\n';
+}
+
+// Starts with the "{1}{1}<fps>" cue so readers don't have to guess the frame rate
+function serializeMicroDvd(cues, fps) {
+    const lines = [`{1}{1}${fps}`];
+    for (const c of cues) {
+        // styles are per line here, so a tag spanning lines styles each of them
+        const open = new Set();
+        const body = keepTags(c.text, ['i', 'b', 'u']).split('\n').map((line) => {
+            const styles = ['i', 'b', 'u'].filter(tag => open.has(tag) || line.includes(`<${tag}>`));
+            for (const tag of ['i', 'b', 'u']) {
+                if (line.lastIndexOf(`<${tag}>`) > line.lastIndexOf(`</${tag}>`)) open.add(tag);
+                else if (line.includes(`</${tag}>`)) open.delete(tag);
+            }
+            const plain = line.replace(/<\/?[ibu]>/g, '');
+            return styles.length ? `{y:${styles.join(',')}}${plain}` : plain;
+        }).join('|');
+        lines.push(`{${Math.round(c.start * fps)}}{${Math.round(c.end * fps)}}${body}`);
+    }
+    return lines.join('\n') + '\n';
+}
+
+function serializeSbv(cues) {
+    const time = (s) => formatTimestamp(s, { hourDigits: 1 });
+    return cues.map(c => `${time(c.start)},${time(c.end)}\n${keepTags(c.text, [])}\n`).join('\n');
+}
+
+export function serializeSubtitles(cues, format, { fps = DEFAULT_SUBTITLE_FPS } = {}) {
+    switch (format) {
+        case 'srt': return serializeSrt(cues);
+        case 'vtt': return serializeVtt(cues);
+        case 'ass':
+        case 'ssa': return serializeAss(cues);
+        case 'sub': return serializeMicroDvd(cues, fps);
+        case 'sbv': return serializeSbv(cues);
+        default: throw new Error(`unsupported subtitle format: ${format}`);
+    }
+}
@@ -0,0 +1,162 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { audioCopyable, fileOutputPlan, parseFrameRate, parseProbeOutput, videoCopyBlocker } from '../media-probe.js';
+
+// ffprobe -show_streams -show_format JSON for a file with one video and the given audio codecs
+function probe({ codec = 'h264', pixFmt = 'yuv420p', transfer, bitsPerRawSample, dovi = false, audio = ['aac'], video = true } = {}) {
+    const streams = [];
+    if (video) {
+        streams.push({
+            codec_type: 'video',
+            codec_name: codec,
+            profile: 'High',
+            level: 40,
+            pix_fmt: pixFmt,
+            bits_per_raw_sample: bitsPerRawSample,
+            width: 1920,
+            height: 1080,
+            avg_frame_rate: '24000/1001',
+            color_transfer: transfer,
+            side_data_list: dovi ? [{ side_data_type: 'DOVI configuration record' }] : undefined
+        });
+    }
+    for (const name of audio) streams.push({ codec_type: 'audio', codec_name: name, channels: 2, sample_rate: '48000' });
+    return parseProbeOutput({ streams, format: { format_name: 'matroska,webm', duration: '60.0' } });
+}
+
+test('parseProbeOutput picks the main video past cover art and reads stream details', () => {
+    const media = parseProbeOutput({
+        streams: [
+            { codec_type: 'video', codec_name: 'mjpeg', width: 600, height: 600, disposition: { attached_pic: 1 } },
+            { codec_type: 'video', codec_name: 'hevc', profile: 'Main 10', level: 150, pix_fmt: 'yuv420p10le', width: 3840, height: 2160, avg_frame_rate: '0/0', r_frame_rate: '24/1', color_transfer: 'smpte2084' },
+            { codec_type: 'audio', codec_name: 'eac3', channels: 6, tags: { LANGUAGE: 'ger', BPS: '640000' }, disposition: { default: 1 } },
+            { codec_type: 'subtitle', codec_name: 'subrip', tags: { language: 'en' }, disposition: { forced: 1 } },
+            { codec_type: 'subtitle', codec_name: 'hdmv_pgs_subtitle' }
+        ],
+        format: { format_name: 'matroska,webm', duration: '5400.5', start_time: '0.042', bit_rate: '12000000' },
+        chapters: [{ start_time: '0.000000', end_time: '300.000000', tags: { title: 'Opening' } }]
+    }, { normalizeLanguage: (value) => ({ ger: 'deu', en: 'eng' })[value] || null });
+
+    assert.equal(media.video.index, 1);
+    assert.equal(media.videoCodec, 'hevc');
+    assert.equal(media.videoCodecString, 'hvc1.2.4.L150.B0');
+    assert.equal(media.video.bitDepth, 10);
+    assert.equal(media.video.hdr, 'hdr10');
+    assert.equal(media.frameRate, 24);
+    assert.equal(media.duration, 5400.5);
+    assert.equal(media.startTime, 0.042);
+    assert.deepEqual(media.audioStreams.map(a => [a.codec, a.language, a.bitRate, a.default]), [['eac3', 'deu', 640000, true]]);
+    assert.deepEqual(media.subtitleStreams.map(st => [st.codec, st.text, st.language, st.forced]), [['subrip', true, 'eng', true], ['hdmv_pgs_subtitle', false, null, false]]);
+    assert.deepEqual(media.chapters, [{ index: 0, start: 0, end: 300, title: 'Opening' }]);
+    assert.equal(media.tags, null);
+});
+
+test('parseProbeOutput reads music tags from the container, or the stream in Ogg', () => {
+    const mp3 = parseProbeOutput({
+        streams: [{ codec_type: 'audio', codec_name: 'mp3' }],
+        format: { format_name: 'mp3', tags: { title: 'Song', artist: 'Band', track: '3/12', disc: '1/2', TRACKTOTAL: '' } }
+    });
+    assert.deepEqual([mp3.tags.title, mp3.tags.artist, mp3.tags.track, mp3.tags.trackTotal, mp3.tags.disc], ['Song', 'Band', 3, 12, 1]);
+    assert.equal(mp3.video, null);
+    assert.equal(mp3.hasAudio, true);
+
+    const ogg = parseProbeOutput({
+        streams: [{ codec_type: 'audio', codec_name: 'vorbis', tags: { TITLE: 'Track', TRACKNUMBER: '7', TRACKTOTAL: '9' } }],
+        format: { format_name: 'ogg' }
+    });
+    assert.deepEqual([ogg.tags.title, ogg.tags.track, ogg.tags.trackTotal], ['Track', 7, 9]);
+});
+
+test('parseFrameRate reads ffprobe rationals', () => {
+    assert.equal(parseFrameRate('24000/1001'), 23.976);
+    assert.equal(parseFrameRate('25'), 25);
+    assert.equal(parseFrameRate('0/0'), null);
+    assert.equal(parseFrameRate(undefined), null);
+});
+
+// [case, probe options, blocker in TS segments, blocker in CMAF segments]
+const VIDEO_COPY_TABLE = [
+    ['8-bit H.264', {}, null, null],
+    ['full-range H.264', { pixFmt: 'yuvj420p' }, null, null],
+    ['HEVC', { codec: 'hevc' }, 'hevc video', null],
+    ['10-bit HEVC', { codec: 'hevc', pixFmt: 'yuv420p10le' }, 'hevc video', null],
+    ['HDR10 HEVC', { codec: 'hevc', pixFmt: 'yuv420p10le', transfer: 'smpte2084' }, 'hevc video', null],
+    ['12-bit HEVC', { codec: 'hevc', pixFmt: 'yuv420p12le' }, 'hevc video', 'yuv420p12le pixels'],
+    ['10-bit H.264', { pixFmt: 'yuv420p10le' }, 'yuv420p10le pixels', 'yuv420p10le pixels'],
+    ['10-bit H.264 by raw sample size', { pixFmt: 'yuv420p', bitsPerRawSample: '10' }, 'yuv420p pixels', 'yuv420p pixels'],
+    ['4:4:4 H.264', { pixFmt: 'yuv444p' }, 'yuv444p pixels', 'yuv444p pixels'],
+    ['HLG H.264', { transfer: 'arib-std-b67' }, 'hlg H.264', 'hlg H.264'],
+    ['Dolby Vision H.264', { dovi: true }, 'dolby-vision H.264', 'dolby-vision H.264'],
+    ['VP9', { codec: 'vp9' }, 'vp9 video', 'vp9 video'],
+    ['MPEG-4 Part 2', { codec: 'mpeg4' }, 'mpeg4 video', 'mpeg4 video'],
+    ['audio only', { video: false }, 'no video stream', 'no video stream']
+];
+
+for (const [name, options, ts, cmaf] of VIDEO_COPY_TABLE) {
+    test(`videoCopyBlocker: ${name}`, () => {
+        const media = probe(options);
+        assert.equal(videoCopyBlocker(media, 'ts'), ts);
+        assert.equal(videoCopyBlocker(media, 'cmaf'), cmaf);
+    });
+}
+
+test('videoCopyBlocker without a probe', () => {
+    assert.equal(videoCopyBlocker(null, 'ts'), 'no video stream');
+});
+
+// [audio codecs, copyable into MPEG-TS]
+const AUDIO_COPY_TABLE = [
+    [['aac'], true],
+    [['mp3'], true],
+    [['ac3', 'eac3'], true],
+    [[], true],
+    [['opus'], false],
+    [['flac'], false],
+    [['aac', 'dts'], false],
+    [['truehd'], false]
+];
+
+for (const [codecs, copyable] of AUDIO_COPY_TABLE) {
+    test(`audioCopyable: ${codecs.join(' + ') || 'no audio'}`, () => {
+        assert.equal(audioCopyable(probe({ audio: codecs })), copyable);
+    });
+}
+
+test('audioCopyable without a probe', () => {
+    assert.equal(audioCopyable(null), true);
+});
+
+const base = { isMp4: true, format: 'ts', profile: null, abr: false, lowMemory: false, defaultPreset: 'h264-baseline' };
+// [case, source, options, mode, profile]
+const OUTPUT_TABLE = [
+    ['H.264 MP4', probe(), {}, 'pipeline', 'copy'],
+    ['H.264 MP4, low memory', probe(), { lowMemory: true }, 'direct', null],
+    ['H.264 MP4 with Opus, low memory', probe({ audio: ['opus'] }), { lowMemory: true }, 'pipeline', 'copy'],
+    ['H.264 MP4, low memory, CMAF', probe(), { lowMemory: true, format: 'cmaf' }, 'pipeline', 'copy'],
+    ['HEVC MP4', probe({ codec: 'hevc' }), {}, 'pipeline', 'h264-baseline'],
+    ['HEVC MP4, low memory', probe({ codec: 'hevc' }), { lowMemory: true }, 'pipeline', 'h264-baseline'],
+    ['HEVC MKV, CMAF', probe({ codec: 'hevc' }), { isMp4: false, format: 'cmaf' }, 'pipeline', 'copy'],
+    ['H.264 MKV', probe(), { isMp4: false }, 'pipeline', 'h264-baseline'],
+    ['H.264 MKV, ABR', probe(), { isMp4: false, abr: true }, 'pipeline', 'abr'],
+    ['H.264 MP4, ABR', probe(), { abr: true }, 'pipeline', 'abr'],
+    ['H.264 MP4, preset asked for', probe(), { profile: 'h264-high', abr: true, lowMemory: true }, 'pipeline', 'h264-high'],
+    ['H.264 MP4, copy asked for', probe(), { profile: 'copy', abr: true }, 'pipeline', 'copy'],
+    ['H.264 MP4, copy asked for, low memory', probe(), { profile: 'copy', lowMemory: true }, 'direct', null],
+    ['H.264 MKV, copy asked for', probe(), { isMp4: false, profile: 'copy' }, 'pipeline', 'h264-baseline'],
+    ['10-bit H.264 MP4, copy asked for', probe({ pixFmt: 'yuv420p10le' }), { profile: 'copy' }, 'pipeline', 'h264-baseline'],
+    ['unprobed MP4', null, {}, 'pipeline', 'copy'],
+    ['unprobed MP4, low memory', null, { lowMemory: true }, 'direct', null],
+    ['unprobed MKV', null, { isMp4: false }, 'pipeline', 'h264-baseline']
+];
+
+for (const [name, source, options, mode, profile] of OUTPUT_TABLE) {
+    test(`fileOutputPlan: ${name}`, () => {
+        const plan = fileOutputPlan(source, { ...base, ...options });
+        assert.deepEqual([plan.mode, plan.profile], [mode, profile]);
+    });
+}
+
+test('fileOutputPlan reports why the video is re-encoded', () => {
+    assert.equal(fileOutputPlan(probe({ codec: 'vp9' }), base).copyBlocker, 'vp9 video');
+    assert.equal(fileOutputPlan(probe(), base).copyBlocker, null);
+});
@@ -0,0 +1,133 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_SUBTITLE_FPS, SUBTITLE_CONVERT_TARGETS, parseSubtitles, parseTimestamp, serializeSubtitles, subtitleFormatOf } from '../subtitles.js';
+
+const CUES = [
+    { start: 1, end: 3.5, text: 'Hello there', settings: '', top: false },
+    { start: 5.25, end: 7.75, text: '<i>General Kenobi</i>', settings: '', top: false },
+    { start: 62.5, end: 65, text: 'Two\nlines', settings: '', top: true },
+    { start: 3725.04, end: 3728, text: '<b>After an hour</b>', settings: '', top: false }
+];
+
+// Timing precision of each format: ASS keeps centiseconds, MicroDVD whole frames
+const tolerance = (format, fps = DEFAULT_SUBTITLE_FPS) => (format === 'ass' ? 0.005 : format === 'sub' ? 0.5 / fps : 0.0005) + 1e-9;
+// SBV has no markup, SBV and MicroDVD no placement
+const plain = (text) => text.replace(/<[^>]*>/g, '');
+
+function assertCues(actual, expected, { slack, markup = true, placement = true }) {
+    assert.equal(actual.length, expected.length);
+    actual.forEach((cue, i) => {
+        assert.ok(Math.abs(cue.start - expected[i].start) <= slack, `cue ${i} start ${cue.start} != ${expected[i].start}`);
+        assert.ok(Math.abs(cue.end - expected[i].end) <= slack, `cue ${i} end ${cue.end} != ${expected[i].end}`);
+        assert.equal(cue.text, markup ? expected[i].text : plain(expected[i].text));
+        if (placement) assert.equal(cue.top, expected[i].top, `cue ${i} top`);
+    });
+}
+
+test('parseTimestamp reads SRT, WebVTT, ASS and SBV timestamps', () => {
+    assert.equal(parseTimestamp('00:01:02,500'), 62.5);
+    assert.equal(parseTimestamp('00:01:02.500'), 62.5);
+    assert.equal(parseTimestamp('1:02:03.04'), 3723.04);
+    assert.equal(parseTimestamp('01:02.5'), 62.5);
+    assert.equal(parseTimestamp('nope'), null);
+});
+
+test('subtitleFormatOf only takes .sub files that are MicroDVD', () => {
+    assert.equal(subtitleFormatOf('movie.en.srt'), 'srt');
+    assert.equal(subtitleFormatOf('movie.SSA'), 'ass');
+    assert.equal(subtitleFormatOf('movie.sub', '{1}{1}25\n{25}{50}Hi'), 'sub');
+    assert.equal(subtitleFormatOf('movie.sub', '[INFORMATION]\n00:00:01.00,00:00:02.00\nHi'), null);
+    assert.equal(subtitleFormatOf('movie.idx'), null);
+});
+
+for (const from of SUBTITLE_CONVERT_TARGETS) {
+    for (const to of SUBTITLE_CONVERT_TARGETS) {
+        test(`${from} -> ${to} -> ${from} keeps timing, text and placement`, () => {
+            const source = parseSubtitles(serializeSubtitles(CUES, from), from).cues;
+            const converted = parseSubtitles(serializeSubtitles(source, to), to).cues;
+            const back = parseSubtitles(serializeSubtitles(converted, from), from).cues;
+            const lossy = [from, to];
+            assertCues(back, CUES, {
+                slack: tolerance(from) + tolerance(to),
+                markup: !lossy.includes('sbv'),
+                placement: !lossy.includes('sbv') && !lossy.includes('sub')
+            });
+        });
+    }
+}
+
+test('WebVTT cue settings survive a WebVTT round trip and become top placement elsewhere', () => {
+    const vtt = 'WEBVTT\n\nNOTE a comment\n\nintro\n00:00:01.000 --> 00:00:02.000 line:0 align:start\nOn top\n';
+    const { cues } = parseSubtitles(vtt, 'vtt');
+    assert.equal(cues[0].settings, 'line:0 align:start');
+    assert.equal(cues[0].top, true);
+    assert.match(serializeSubtitles(cues, 'vtt'), /--> 00:00:02\.000 line:0 align:start\n/);
+    assert.match(serializeSubtitles(cues, 'srt'), /\{\\an8\}On top/);
+});
+
+test('ASS styles and override tags map to markup', () => {
+    const ass = [
+        '[V4+ Styles]',
+        'Format: Name, Fontname, Bold, Italic, Underline',
+        'Style: Default,Arial,0,0,0',
+        'Style: Thought,Arial,0,-1,0',
+        '',
+        '[Events]',
+        'Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text',
+        'Dialogue: 0,0:00:01.00,0:00:02.50,Thought,,0,0,0,,Inner voice, with a comma',
+        'Dialogue: 0,0:00:03.00,0:00:04.00,Default,,0,0,0,,{\\an8}{\\b1}Loud{\\b0} then\\Nquiet'
+    ].join('\r\n');
+    const { cues } = parseSubtitles(ass, 'ass');
+    assert.deepEqual(cues.map(c => [c.start, c.end, c.text, c.top]), [
+        [1, 2.5, '<i>Inner voice, with a comma</i>', false],
+        [3, 4, '<b>Loud</b> then\nquiet', true]
+    ]);
+});
+
+test('MicroDVD frames use the fps given when the file has no frame-rate cue', () => {
+    const sub = '{25}{50}One second\n{75}{100}{y:i}Three';
+    const at25 = parseSubtitles(sub, 'sub', { fps: 25 });
+    assert.equal(at25.fps, 25);
+    assert.deepEqual(at25.cues.map(c => [c.start, c.end, c.text]), [[1, 2, 'One second'], [3, 4, '<i>Three</i>']]);
+    const byDefault = parseSubtitles(sub, 'sub');
+    assert.equal(byDefault.fps, DEFAULT_SUBTITLE_FPS);
+    assert.ok(Math.abs(byDefault.cues[0].start - 25 / DEFAULT_SUBTITLE_FPS) < 1e-9);
+});
+
+test('MicroDVD frame-rate cue overrides the fps option', () => {
+    const { cues, fps } = parseSubtitles('{1}{1}25\n{50}{75}Two seconds', 'sub', { fps: 23.976 });
+    assert.equal(fps, 25);
+    assert.deepEqual(cues.map(c => [c.start, c.end]), [[2, 3]]);
+});
+
+test('MicroDVD is written at the requested fps and read back at it', () => {
+    const written = serializeSubtitles(CUES, 'sub', { fps: 25 });
+    assert.match(written, /^\{1\}\{1\}25\n\{25\}\{88\}Hello there\n/);
+    // the frame-rate cue wins over a different fps on the way back in
+    const { cues, fps } = parseSubtitles(written, 'sub', { fps: 30 });
+    assert.equal(fps, 25);
+    assertCues(cues, CUES, { slack: tolerance('sub', 25), placement: false });
+});
+
+test('MicroDVD styles cover whole lines', () => {
+    const { cues } = parseSubtitles(serializeSubtitles([{ start: 1, end: 2, text: '<i>General</i> Kenobi', settings: '', top: false }], 'sub'), 'sub');
+    assert.equal(cues[0].text, '<i>General Kenobi</i>');
+});
+
+test('MicroDVD styles spanning lines are repeated per line', () => {
+    const written = serializeSubtitles([{ start: 1, end: 2, text: '<i>first\nsecond</i> plain', settings: '', top: false }], 'sub', { fps: 25 });
+    assert.match(written, /\{25\}\{50\}\{y:i\}first\|\{y:i\}second plain\n/);
+});
+
+test('SRT input with BOM, CRLF and {\\an8} placement', () => {
+    const srt = '\uFEFF1\r\n00:00:01,000 --> 00:00:02,000\r\n{\\an8}<font color="red">Top</font>\r\n\r\n2\r\n00:00:03,000 --> 00:00:04,000\r\n\r\n';
+    const { cues } = parseSubtitles(srt, 'srt');
+    assert.deepEqual(cues.map(c => [c.start, c.end, c.text, c.top]), [[1, 2, '<font color="red">Top</font>', true]]);
+    // WebVTT has no <font>; "-->" in text would end a WebVTT cue
+    assert.match(serializeSubtitles([{ ...cues[0], text: '<font color="red">a --> b</font>' }], 'vtt'), /\na -> b\n/);
+});
+
+test('unknown formats are rejected', () => {
+    assert.throws(() => parseSubtitles('', 'idx'), /unsupported subtitle format/);
+    assert.throws(() => serializeSubtitles([], 'idx'), /unsupported subtitle format/);
+});